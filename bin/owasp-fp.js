@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { AnalysisInputError, runAnalysis } = require('../lib/analyze');
+const { EXPORT_FORMATS, renderExport } = require('../lib/export');
+const { normalizeSeverity, findingSeverity, meetsSeverity } = require('../lib/severity');
+const { validateDecision } = require('../lib/decisions');
+const { validateAliases } = require('../lib/aliases');
+const { parsePolicy, validatePolicy } = require('../lib/policy');
+const { SCOPE_FILTERS, filterByScope } = require('../lib/scopes');
+const { parsePackageUrl } = require('../lib/coordinates');
+const {
+  loadVulnerabilityDirectory,
+  loadVulnerabilityStore,
+  refreshVulnerabilityStore,
+  describeVulnerabilityStore
+} = require('../lib/vulndb');
+
+// Exit codes: the failure code is configurable with --exit-code
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// Defaults shared with the server
+const DEFAULT_VULNDB_FILE = path.join('data', 'vulndb.json');
+const DEFAULT_VULNDB_IMPORT_DIR = path.join('data', 'vulndb-import');
+
+const USAGE = `Usage: owasp-fp analyze --report <file> --deps <file> [options]
+       owasp-fp vulndb refresh [--source <dir>] [--db <file>]
+
+Finds false positives in an OWASP Dependency-Check report by comparing it with
+the project's actual dependency tree.
+
+Analyze options:
+  -r, --report <file>         Dependency-Check report (HTML, JSON or XML)
+  -d, --deps <file>           Dependency tree: dependencies.json, package.json, npm lockfile or
+                              npm ls --json, Maven/Gradle tree, Python, Go or NuGet lockfile, SBOM
+  -f, --format <format>       Output format: json (default), csv, html, md, junit, sarif,
+                              openvex or cyclonedx-vex
+  -o, --output <file>         Write the results to a file instead of stdout
+      --fail-on <severity>    Fail when confirmed or needs-review findings remain at or
+                              above this severity: critical, high, medium or low
+      --fail-on-cvss <score>  Fail when such findings have a CVSS score at or above this score
+      --exit-code <code>      Exit code for a failure (default ${EXIT_FAILED})
+      --vulndb <path>         Offline vulnerability data: a store built by "vulndb refresh",
+                              or a directory of OSV/NVD JSON files. Findings whose CVE does
+                              not affect the installed version become false positives
+      --decisions <file>      Manual triage decisions to apply, as returned by
+                              GET /api/projects/<project>/decisions
+      --aliases <file>        Name aliases mapping report names to dependency tree names, as
+                              returned by GET /api/projects/<project>/aliases
+      --policy <file>         Triage policy (YAML or JSON): rules that force review, accept
+                              the risk of or fail the build on matching findings
+      --scope <scope>         all (default) or production: leave out findings only in dev
+                              or test scope, from the output and the thresholds
+      --product <purl>        Package URL of the product in VEX documents (default: the
+                              project the dependency file names)
+      --strict                Fail unless the report is a recognized Dependency-Check layout,
+                              instead of guessing findings from other HTML
+  -h, --help                  Show this help
+
+Vulndb refresh options (rebuilds the offline store from OSV/NVD files, .json or .json.gz):
+      --source <dir>          Directory with the data files (default ${DEFAULT_VULNDB_IMPORT_DIR})
+      --db <file>             Store to write (default ${DEFAULT_VULNDB_FILE})
+
+Exit codes: ${EXIT_OK} passed, ${EXIT_FAILED} (or --exit-code) failed a threshold or a fail-build
+policy rule, ${EXIT_USAGE} usage or input error`;
+
+const FORMATS = Object.keys(EXPORT_FORMATS);
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      report: { type: 'string', short: 'r' },
+      deps: { type: 'string', short: 'd' },
+      format: { type: 'string', short: 'f', default: 'json' },
+      output: { type: 'string', short: 'o' },
+      'fail-on': { type: 'string' },
+      'fail-on-cvss': { type: 'string' },
+      'exit-code': { type: 'string' },
+      vulndb: { type: 'string' },
+      decisions: { type: 'string' },
+      aliases: { type: 'string' },
+      policy: { type: 'string' },
+      scope: { type: 'string', default: 'all' },
+      product: { type: 'string' },
+      strict: { type: 'boolean' },
+      source: { type: 'string' },
+      db: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.join(' ') === 'vulndb refresh') {
+    return {
+      command: 'vulndb-refresh',
+      source: values.source || DEFAULT_VULNDB_IMPORT_DIR,
+      db: values.db || DEFAULT_VULNDB_FILE
+    };
+  }
+  if (positionals[0] !== 'analyze' || positionals.length > 1) {
+    throw new UsageError(positionals.length === 0 ? 'Missing command' : `Unknown command: ${positionals.join(' ')}`);
+  }
+  if (!values.report || !values.deps) {
+    throw new UsageError('Both --report and --deps are required');
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Use ${FORMATS.join(', ')}`);
+  }
+  if (values['fail-on'] && !normalizeSeverity(values['fail-on'])) {
+    throw new UsageError(`Unknown severity "${values['fail-on']}". Use critical, high, medium or low`);
+  }
+  const failOnCvss = values['fail-on-cvss'] !== undefined ? Number(values['fail-on-cvss']) : null;
+  if (failOnCvss !== null && (isNaN(failOnCvss) || failOnCvss < 0 || failOnCvss > 10)) {
+    throw new UsageError('--fail-on-cvss must be a score between 0 and 10');
+  }
+  if (!SCOPE_FILTERS.includes(values.scope)) {
+    throw new UsageError(`Unknown scope "${values.scope}". Use ${SCOPE_FILTERS.join(' or ')}`);
+  }
+  const product = values.product !== undefined ? parsePackageUrl(values.product) : null;
+  if (values.product !== undefined && !product) {
+    throw new UsageError('--product must be a package URL such as pkg:npm/my-app@1.0.0');
+  }
+  const exitCode = values['exit-code'] !== undefined ? Number(values['exit-code']) : EXIT_FAILED;
+  if (!Number.isInteger(exitCode) || exitCode < 0 || exitCode > 255) {
+    throw new UsageError('--exit-code must be an integer between 0 and 255');
+  }
+
+  return {
+    command: 'analyze',
+    report: values.report,
+    deps: values.deps,
+    format: values.format,
+    output: values.output || null,
+    failOn: values['fail-on'] || null,
+    failOnCvss: failOnCvss,
+    exitCode: exitCode,
+    vulndb: values.vulndb || null,
+    decisions: values.decisions || null,
+    aliases: values.aliases || null,
+    policy: values.policy || null,
+    scope: values.scope,
+    strict: Boolean(values.strict),
+    product: product ? { name: product.name, version: product.version, packageUrl: values.product } : null
+  };
+}
+
+function readInput(file) {
+  try {
+    return { content: fs.readFileSync(file, 'utf-8'), fileName: path.basename(file) };
+  } catch (error) {
+    throw new AnalysisInputError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load offline vulnerability data from a store file or a directory of OSV/NVD files
+ */
+function readVulnerabilityStore(location) {
+  try {
+    return fs.statSync(location).isDirectory() ? loadVulnerabilityDirectory(location) : loadVulnerabilityStore(location);
+  } catch (error) {
+    throw new AnalysisInputError(`Cannot read vulnerability data ${location}: ${error.message}`);
+  }
+}
+
+/**
+ * Load manual triage decisions: the { decisions } the API returns, or a plain list of decisions
+ */
+function readDecisions(file) {
+  let decisions;
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    decisions = Array.isArray(content) ? content : content.decisions;
+  } catch (error) {
+    throw new AnalysisInputError(`Cannot read decisions ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(decisions)) {
+    throw new AnalysisInputError(`${file} does not contain a list of decisions`);
+  }
+  decisions.forEach((decision, index) => {
+    const error = validateDecision(decision);
+    if (error) {
+      throw new AnalysisInputError(`Decision ${index + 1} in ${file}: ${error}`);
+    }
+  });
+  return decisions;
+}
+
+/**
+ * Load name aliases: the { aliases } the API returns, or a plain alias map
+ */
+function readAliases(file) {
+  let aliases;
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    aliases = content && typeof content.aliases === 'object' ? content.aliases : content;
+  } catch (error) {
+    throw new AnalysisInputError(`Cannot read aliases ${file}: ${error.message}`);
+  }
+  const error = validateAliases(aliases);
+  if (error) {
+    throw new AnalysisInputError(`${file}: ${error}`);
+  }
+  return aliases;
+}
+
+/**
+ * Load a triage policy: a YAML or JSON policy file, or the { policy } the API returns
+ */
+function readPolicy(file) {
+  let policy;
+  try {
+    const content = parsePolicy(fs.readFileSync(file, 'utf-8'));
+    policy = content && content.policy && typeof content.policy === 'object' ? content.policy : content;
+  } catch (error) {
+    throw new AnalysisInputError(`Cannot read policy ${file}: ${error.message}`);
+  }
+  const error = validatePolicy(policy);
+  if (error) {
+    throw new AnalysisInputError(`${file}: ${error}`);
+  }
+  return policy;
+}
+
+function refreshCommand(options) {
+  if (!fs.existsSync(options.source)) {
+    console.error(`owasp-fp: source directory ${options.source} does not exist`);
+    return EXIT_USAGE;
+  }
+  const store = refreshVulnerabilityStore(options.source, options.db);
+  const { records, sources } = describeVulnerabilityStore(store);
+  sources.filter(source => !source.format).forEach(source => {
+    console.error(`Skipped ${source.file}: ${source.error || 'not OSV or NVD data'}`);
+  });
+  console.error(`${records} vulnerabilities from ${sources.filter(source => source.format).length} files written to ${options.db}`);
+  return EXIT_OK;
+}
+
+function renderOutput(result, options) {
+  return renderExport(result, options.format, {
+    manifest: options.deps.split(path.sep).join('/'),
+    product: options.product
+  });
+}
+
+/**
+ * Confirmed and needs-review findings that exceed the configured thresholds
+ */
+function failingFindings(result, options) {
+  if (!options.failOn && options.failOnCvss === null) {
+    return [];
+  }
+  return [...result.confirmed, ...result.needsReview].filter(finding => {
+    if (options.failOn && meetsSeverity(finding, options.failOn)) return true;
+    if (options.failOnCvss !== null) {
+      const score = Math.max(finding.cvssV3Score || 0, finding.cvssV2Score || 0);
+      return score >= options.failOnCvss;
+    }
+    return false;
+  });
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`owasp-fp: ${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  if (options.command === 'vulndb-refresh') {
+    return refreshCommand(options);
+  }
+
+  let result;
+  try {
+    const vulnerabilityStore = options.vulndb ? readVulnerabilityStore(options.vulndb) : null;
+    const decisions = options.decisions ? readDecisions(options.decisions) : [];
+    const aliases = options.aliases ? readAliases(options.aliases) : {};
+    const policy = options.policy ? readPolicy(options.policy) : null;
+    result = filterByScope(runAnalysis(readInput(options.report), readInput(options.deps), {
+      vulnerabilityStore,
+      decisions,
+      aliases,
+      policy,
+      strict: options.strict
+    }), options.scope);
+  } catch (error) {
+    if (error instanceof AnalysisInputError) {
+      console.error(`owasp-fp: ${error.message}`);
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+
+  const output = renderOutput(result, options);
+  if (options.output) {
+    fs.writeFileSync(options.output, output.endsWith('\n') ? output : `${output}\n`);
+  } else {
+    process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+  }
+
+  const { summary } = result;
+  summary.reportDiagnostics.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+  console.error(`${summary.totalOWASPFindings} findings: ${summary.confirmed} confirmed, ` +
+    `${summary.falsePositives} false positives, ${summary.needsReview} need review` +
+    (summary.scopeFilter ? ` (${summary.outOfScope} outside ${summary.scopeFilter} scope left out)` : ''));
+  if (summary.policy) {
+    console.error(`Policy${summary.policy.name ? ` ${summary.policy.name}` : ''}: ${summary.policy.forcedReview} forced to review, ` +
+      `${summary.policy.autoAccepted} accepted, ${summary.policy.buildFailures} failing the build`);
+  }
+
+  const describe = finding => `${finding.dependencyName}@${finding.reportedVersion} ${finding.cve} ` +
+    `${(findingSeverity(finding) || 'unknown').toUpperCase()} (${finding.status})`;
+  const failing = failingFindings(result, options);
+  if (failing.length > 0) {
+    console.error(`${failing.length} confirmed or needs-review findings exceed the threshold:`);
+    failing.forEach(finding => console.error(`  ${describe(finding)}`));
+  }
+  // Of the remaining findings, those a fail-build policy rule fired on
+  const policyFailing = [...result.confirmed, ...result.needsReview]
+    .filter(finding => (finding.policyActions || []).some(action => action.action === 'fail-build'));
+  if (policyFailing.length > 0) {
+    console.error(`${policyFailing.length} confirmed or needs-review findings match fail-build policy rules:`);
+    policyFailing.forEach(finding => {
+      const rules = finding.policyActions.filter(action => action.action === 'fail-build').map(action => action.ruleId);
+      console.error(`  ${describe(finding)} [${rules.join(', ')}]`);
+    });
+  }
+  return failing.length > 0 || policyFailing.length > 0 ? options.exitCode : EXIT_OK;
+}
+
+process.exitCode = main(process.argv.slice(2));
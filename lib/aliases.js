@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Name aliases, per project: which package in the dependency tree a name in the OWASP report means,
+// e.g. { "babel-core": "@babel/core" }. All projects share one JSON file: { "<project>": { alias map } }
+
+/**
+ * Check an alias map as posted to the API; returns an error message, or null when it is valid
+ */
+function validateAliases(aliases) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    return 'aliases must be an object mapping report names to dependency tree names';
+  }
+  for (const [reportName, treeName] of Object.entries(aliases)) {
+    if (!reportName.trim() || typeof treeName !== 'string' || !treeName.trim()) {
+      return `Alias "${reportName}" must map a report name to a dependency tree name`;
+    }
+  }
+  return null;
+}
+
+// Projects are keys of a prototype-less object, so any project name is safe to use
+function readAliases(file) {
+  const aliases = Object.create(null);
+  return fs.existsSync(file) ? Object.assign(aliases, JSON.parse(fs.readFileSync(file, 'utf-8'))) : aliases;
+}
+
+/**
+ * The alias map of a project
+ */
+function loadAliases(file, projectName) {
+  return readAliases(file)[projectName] || {};
+}
+
+/**
+ * Replace the alias map of a project with a (validated) one; returns the stored map
+ */
+function saveAliases(file, projectName, input) {
+  const projectAliases = Object.create(null);
+  Object.entries(input).forEach(([reportName, treeName]) => {
+    projectAliases[reportName.trim()] = treeName.trim();
+  });
+
+  const aliases = readAliases(file);
+  aliases[projectName] = projectAliases;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(aliases, null, 2));
+  return projectAliases;
+}
+
+module.exports = {
+  validateAliases,
+  loadAliases,
+  saveAliases
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { readIndex, writeRecord, readRecord, deleteRecord } = require('./store');
+
+// Past analyses, in a file store (see lib/store.js) whose index has what the history list needs
+
+/**
+ * Metadata of a stored analysis, as listed by listAnalyses
+ */
+function describeAnalysis(analysis) {
+  return {
+    id: analysis.id,
+    projectName: analysis.projectName,
+    createdAt: analysis.createdAt,
+    report: analysis.report,
+    dependencies: analysis.dependencies,
+    summary: analysis.result.summary
+  };
+}
+
+/**
+ * Store an analysis result with its project name and input file metadata
+ * Returns the stored analysis: { id, projectName, createdAt, report, dependencies, result }
+ */
+function saveAnalysis(directory, { projectName, report, dependencies, result }) {
+  const analysis = {
+    id: crypto.randomUUID(),
+    projectName: projectName,
+    createdAt: new Date().toISOString(),
+    report: report,
+    dependencies: dependencies,
+    result: result
+  };
+  return writeRecord(directory, analysis, describeAnalysis(analysis));
+}
+
+/**
+ * List stored analyses, newest first, optionally only those of one project
+ */
+function listAnalyses(directory, filter = {}) {
+  return readIndex(directory)
+    .filter(entry => !filter.projectName || entry.projectName === filter.projectName)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * Read a stored analysis, null when there is none with this id
+ */
+function getAnalysis(directory, id) {
+  return readRecord(directory, id);
+}
+
+/**
+ * Delete a stored analysis; returns false when there is none with this id
+ */
+function deleteAnalysis(directory, id) {
+  return deleteRecord(directory, id);
+}
+
+module.exports = {
+  saveAnalysis,
+  listAnalyses,
+  getAnalysis,
+  deleteAnalysis
+};
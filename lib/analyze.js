@@ -0,0 +1,533 @@
+const { dependencyCoordinates, buildPackageUrl } = require('./coordinates');
+const { detectDependencyFormat, parseDependencyTree, parseProjectIdentity } = require('./dependencies');
+const { detectReportFormat, parseReport } = require('./report');
+const { matchVersion, isVersionRange } = require('./versions');
+const { checkAffectedVersion } = require('./vulndb');
+const { DECISIONS, findingKey, isDecisionExpired } = require('./decisions');
+const { MATCH_METHODS, MATCH_THRESHOLD, createPackageMatcher } = require('./matching');
+const { applyPolicy } = require('./policy');
+const { nodeScope, isProductionFinding } = require('./scopes');
+
+// Deduped nodes are walked through the subtree built for the same package and version, so
+// every path is listed; past this many occurrences they are left unexpanded, which bounds the
+// walk of very large trees with many shared packages
+const MAX_OCCURRENCES = 250000;
+
+const nodeKey = dep => `${dep.name}@${dep.version || 'unknown'}`;
+
+// A path from a top-level dependency is kept as its last step, { name, version, previous }, so
+// occurrences share the steps of their ancestors instead of each copying the whole path
+const pathStep = (dep, previous) => ({ name: dep.name, version: dep.version || 'unknown', previous: previous });
+
+/**
+ * The { name, version } steps of an occurrence's path, from its top-level dependency
+ */
+function dependencyPath(dep) {
+  const steps = [];
+  for (let step = dep.pathStep; step; step = step.previous) {
+    steps.push(step);
+  }
+  return steps.reverse();
+}
+
+/**
+ * Recursively extract all dependencies from the dependency tree
+ * Helper function to process a single dependency and its children
+ * Every occurrence records the last step of its path (see dependencyPath) and its scope (see
+ * lib/scopes.js). subtrees maps a package and version to its expanded node, which a deduped
+ * occurrence is walked through unless the package is already on its path
+ */
+function processDependency(dep, isTopLevel, allDeps, subtrees, previousStep = null, inheritedScope = null) {
+  const step = pathStep(dep, previousStep);
+  const scope = nodeScope(dep, inheritedScope);
+
+  // Add as direct dependency if top-level
+  if (isTopLevel) {
+    allDeps.direct.push({
+      name: dep.name,
+      version: dep.version || 'unknown',
+      parent: null,
+      pathStep: step,
+      coordinates: dependencyCoordinates(dep),
+      purl: dep.purl || null,
+      scope: scope
+    });
+  }
+
+  let children = dep.children;
+  if (dep.deduped && (!children || children.length === 0) && subtrees.has(nodeKey(dep)) &&
+    allDeps.nested.length < MAX_OCCURRENCES && !isOnPath(previousStep, nodeKey(dep))) {
+    children = subtrees.get(nodeKey(dep)).children;
+  }
+
+  // Process children (nested dependencies)
+  if (children && Array.isArray(children)) {
+    children.forEach(child => {
+      // Add child as nested dependency
+      allDeps.nested.push({
+        name: child.name,
+        version: child.version || 'unknown',
+        parent: dep.name,
+        pathStep: pathStep(child, step),
+        coordinates: dependencyCoordinates(child),
+        purl: child.purl || null,
+        scope: nodeScope(child, scope)
+      });
+
+      // Recursively process this child's children
+      processDependency(child, false, allDeps, subtrees, step, scope);
+    });
+  }
+}
+
+// Whether a package and version is on the path ending at step (deduped cycles are not expanded)
+function isOnPath(step, key) {
+  for (let current = step; current; current = current.previous) {
+    if (nodeKey(current) === key) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The expanded (not deduped) node of every package and version in the tree
+function collectSubtrees(nodes, subtrees) {
+  (nodes || []).forEach(node => {
+    if (!node.deduped && node.children && node.children.length > 0 && !subtrees.has(nodeKey(node))) {
+      subtrees.set(nodeKey(node), node);
+    }
+    collectSubtrees(node.children, subtrees);
+  });
+  return subtrees;
+}
+
+/**
+ * Format a dependency path as "express > body-parser > qs@6.7.0"
+ */
+function formatDependencyPath(path) {
+  return path.map((step, index) => (index === path.length - 1 ? `${step.name}@${step.version}` : step.name)).join(' > ');
+}
+
+/**
+ * Recursively extract all dependencies from the dependency tree
+ */
+function extractAllDependencies(dependencyTree) {
+  const allDeps = {
+    direct: [],
+    nested: []
+  };
+
+  if (!dependencyTree || !dependencyTree.dependencies) {
+    return allDeps;
+  }
+
+  // Process each top-level dependency
+  const subtrees = collectSubtrees(dependencyTree.dependencies, new Map());
+  dependencyTree.dependencies.forEach(dep => {
+    processDependency(dep, true, allDeps, subtrees);
+  });
+
+  return allDeps;
+}
+
+/**
+ * Main analysis function
+ * Classifies every finding as confirmed (the reported version is in the tree), a false
+ * positive (reasonCode "version_mismatch" or "not_in_tree") or needing review
+ * (reasonCode "ambiguous_name" or "unknown_version"). False positives are split into
+ * direct dependencies and nested libraries. Each result lists the paths to every
+ * occurrence of the package, the direct dependencies to upgrade to remove it and the scopes
+ * it is in (production is false for findings only in dev or test scope)
+ * With options.vulnerabilityStore (see lib/vulndb.js), installed versions outside the
+ * CVE's affected ranges make the finding a false positive (reasonCode "not_affected"),
+ * and an unknown reported version is confirmed when an installed version is affected
+ * (reasonCode "affected_version")
+ * Report names are matched to the tree by exact name, the project's options.aliases and
+ * normalized names (see lib/matching.js). Findings only matched by a guess (npm scope, CPE
+ * product, similar name) need review (reasonCode "low_confidence_match")
+ * Manual decisions in options.decisions (see lib/decisions.js) are applied last
+ * options.onProgress(stage, { done, total }) is told how many findings were matched so far
+ */
+function analyzeFalsePositives(owaspFindings, dependencyTree, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const allDeps = extractAllDependencies(dependencyTree);
+  const falsePositives = {
+    directDependencies: [],
+    nestedLibraries: []
+  };
+  const confirmed = [];
+  const needsReview = [];
+
+  // Looks up the occurrences of a reported package, keeping direct dependencies first
+  const matcher = createPackageMatcher([...allDeps.direct, ...allDeps.nested], options.aliases || {});
+
+  // Compare the reported version with every installed version using the ecosystem's version rules
+  const checkVersions = (occurrences, finding) => {
+    const checks = new Map();
+    occurrences.forEach(dep => {
+      if (!checks.has(dep.version)) {
+        checks.set(dep.version, {
+          installedVersion: dep.version,
+          ...matchVersion(dep.version, finding.version, finding.ecosystem || dep.coordinates.ecosystem)
+        });
+      }
+    });
+    return checks;
+  };
+
+  // Installed versions checked against the offline vulnerability store, when one is given.
+  // Unknown versions and declared ranges cannot be looked up
+  const checkAffected = (finding, versions) => (options.vulnerabilityStore ? versions : [])
+    .filter(version => version !== 'unknown' && !isVersionRange(version, finding.ecosystem))
+    .map(version => ({
+      installedVersion: version,
+      ...checkAffectedVersion(options.vulnerabilityStore, finding, version)
+    }));
+
+  const versionMismatchReason = versionChecks =>
+    `Version mismatch. Found versions: ${versionChecks.map(check => check.installedVersion).join(', ')}. ` +
+    versionChecks.map(check => check.reason).join('; ');
+
+  // Distinct packages among the candidates; more than one means the reported name is ambiguous
+  const candidatePackages = occurrences => Array.from(new Set(occurrences.map(dep => {
+    const { ecosystem, namespace, name } = dep.coordinates;
+    return `${namespace ? `${namespace}:` : ''}${name}${ecosystem ? ` (${ecosystem})` : ''}`;
+  })));
+
+  // Check each OWASP finding
+  // Progress is reported about a hundred times, however many findings there are
+  const progressStep = Math.max(1, Math.ceil(owaspFindings.length / 100));
+  owaspFindings.forEach((finding, index) => {
+    if (index % progressStep === 0) {
+      onProgress('matching', { done: index, total: owaspFindings.length });
+    }
+    const findingCoordinates = dependencyCoordinates(finding);
+    const findingVersion = finding.version;
+    const nameMatch = matcher.match(finding, findingCoordinates);
+    const directMatches = nameMatch.occurrences.filter(dep => dep.parent === null);
+    const nestedMatches = nameMatch.occurrences.filter(dep => dep.parent !== null);
+
+    // Vulnerability details carried into every result so each CVE can be triaged
+    const vulnerability = {
+      cve: finding.cve,
+      severity: finding.severity || 'UNKNOWN',
+      cvssV2Score: finding.cvssV2Score !== undefined ? finding.cvssV2Score : null,
+      cvssV3Score: finding.cvssV3Score !== undefined ? finding.cvssV3Score : null,
+      cwes: finding.cwes || [],
+      description: finding.description || '',
+      // Package identity, used to write suppression rules for the finding
+      ecosystem: finding.ecosystem || null,
+      namespace: finding.namespace || null,
+      packageUrl: finding.packageUrl || null,
+      cpes: finding.cpes || [],
+      fileName: finding.fileName || null
+    };
+
+    if (directMatches.length === 0 && nestedMatches.length === 0) {
+      // Not found in either direct or nested - definitely a false positive
+      // Try to determine if it should be direct or nested based on common patterns
+      // For now, we'll add it to direct dependencies
+      falsePositives.directDependencies.push({
+        dependencyName: finding.dependencyName,
+        reportedVersion: findingVersion,
+        ...vulnerability,
+        status: 'false_positive',
+        scopes: [],
+        production: true,
+        reasonCode: 'not_in_tree',
+        reason: 'Not found in project dependencies'
+      });
+      return;
+    }
+
+    // Every occurrence of the package counts: a nested copy at the reported version
+    // confirms the finding even when the direct dependency is at another version
+    const occurrences = [...directMatches, ...nestedMatches];
+    const checks = checkVersions(occurrences, finding);
+    const versionChecks = Array.from(checks.values());
+    // Full paths are built only here, for the occurrences of a reported package
+    const paths = occurrences.map(dep => ({
+      path: formatDependencyPath(dependencyPath(dep)),
+      directDependency: dependencyPath(dep)[0].name,
+      installedVersion: dep.version,
+      // Package URL of the installed package, from the tree or built with the report's ecosystem
+      packageUrl: dep.purl || buildPackageUrl({
+        ...dep.coordinates,
+        ecosystem: dep.coordinates.ecosystem || findingCoordinates.ecosystem
+      }, dep.version),
+      scope: dep.scope,
+      matched: checks.get(dep.version).matched
+    }));
+
+    // Occurrences that carry (or may carry) the reported version; upgrading the direct
+    // dependency at the top of their paths removes the finding
+    const affected = occurrences.filter(dep => checks.get(dep.version).matched !== false);
+    const relevant = affected.length > 0 ? affected : occurrences;
+    const nestedOccurrence = relevant.find(dep => dep.parent !== null);
+    const isDirect = relevant.some(dep => dep.parent === null);
+    const scopes = Array.from(new Set(relevant.map(dep => dep.scope)));
+    // The tree knows the ecosystem of a package even when the report does not (HTML reports have no purls)
+    const treeCoordinates = (relevant.find(dep => dep.coordinates.ecosystem) || {}).coordinates;
+
+    const details = {
+      reportedVersion: findingVersion,
+      ...vulnerability,
+      ecosystem: treeCoordinates ? treeCoordinates.ecosystem : vulnerability.ecosystem,
+      namespace: vulnerability.namespace || (treeCoordinates ? treeCoordinates.namespace : null),
+      dependencyLevel: isDirect ? 'direct' : 'nested',
+      actualVersions: versionChecks.map(check => check.installedVersion),
+      versionChecks: versionChecks,
+      paths: paths,
+      upgradeDirectDependencies: Array.from(new Set(affected.map(dep => dependencyPath(dep)[0].name))),
+      // Scopes of the affected occurrences ("runtime", "dev", "compile", "test", ...); findings
+      // only in dev or test scope do not ship with the product
+      scopes: scopes,
+      production: isProductionFinding({ scopes }),
+      ...(nestedOccurrence && !isDirect ? { parentDependency: nestedOccurrence.parent } : {}),
+      // How the report name was matched, unless it is the tree's name
+      ...(nameMatch.method !== 'exact' ? {
+        nameMatch: {
+          method: nameMatch.method,
+          confidence: nameMatch.confidence,
+          treeName: nameMatch.treeName,
+          candidates: nameMatch.candidates
+        }
+      } : {})
+    };
+
+    const packages = candidatePackages(occurrences);
+    const matchedChecks = versionChecks.filter(check => check.matched === true);
+    const undecidedChecks = versionChecks.filter(check => check.matched === null);
+
+    // With offline vulnerability data, look the installed versions up in the CVE's affected ranges
+    const affectedChecks = packages.length === 1
+      ? checkAffected(finding, (matchedChecks.length > 0 ? matchedChecks : undecidedChecks).map(check => check.installedVersion))
+      : [];
+    const decidedChecks = affectedChecks.filter(check => check.affected !== null);
+    const notAffected = decidedChecks.length > 0 && decidedChecks.length === affectedChecks.length &&
+      decidedChecks.every(check => check.affected === false);
+    if (affectedChecks.length > 0) {
+      details.affectedChecks = affectedChecks;
+    }
+
+    // No occurrence is affected, so there is nothing to upgrade
+    const pushFalsePositive = (reasonCode, reason) => {
+      if (directMatches.length > 0) {
+        falsePositives.directDependencies.push({
+          dependencyName: finding.dependencyName,
+          ...details,
+          upgradeDirectDependencies: [],
+          status: 'false_positive',
+          reasonCode: reasonCode,
+          reason: reason
+        });
+      } else {
+        falsePositives.nestedLibraries.push({
+          libraryName: finding.dependencyName,
+          ...details,
+          upgradeDirectDependencies: [],
+          status: 'false_positive',
+          reasonCode: reasonCode,
+          reason: reason
+        });
+      }
+    };
+
+    if (nameMatch.confidence < MATCH_THRESHOLD) {
+      const candidates = nameMatch.candidates
+        .map(candidate => `${candidate.name} (${MATCH_METHODS[candidate.method].label}, confidence ${candidate.confidence})`);
+      needsReview.push({
+        dependencyName: finding.dependencyName,
+        ...details,
+        status: 'needs_review',
+        reasonCode: 'low_confidence_match',
+        reason: `No package named ${finding.dependencyName} in the tree. Possible matches: ${candidates.join(', ')}. ` +
+          'Add a name alias if one of them is the reported package'
+      });
+    } else if (packages.length > 1) {
+      needsReview.push({
+        dependencyName: finding.dependencyName,
+        ...details,
+        status: 'needs_review',
+        reasonCode: 'ambiguous_name',
+        reason: `Name matches several packages in the tree: ${packages.join(', ')}`
+      });
+    } else if (notAffected) {
+      pushFalsePositive('not_affected', affectedChecks.map(check => check.reason).join('; '));
+    } else if (matchedChecks.length > 0) {
+      confirmed.push({
+        dependencyName: finding.dependencyName,
+        ...details,
+        status: 'confirmed',
+        reasonCode: 'version_match',
+        reason: matchedChecks.map(check => check.reason).join('; ')
+      });
+    } else if (decidedChecks.some(check => check.affected === true)) {
+      // The reported version is unknown, but an installed version is inside the affected ranges
+      const affectedVersions = decidedChecks.filter(check => check.affected === true).map(check => check.installedVersion);
+      confirmed.push({
+        dependencyName: finding.dependencyName,
+        ...details,
+        upgradeDirectDependencies: Array.from(new Set(occurrences
+          .filter(dep => affectedVersions.includes(dep.version))
+          .map(dep => dependencyPath(dep)[0].name))),
+        status: 'confirmed',
+        reasonCode: 'affected_version',
+        reason: decidedChecks.filter(check => check.affected === true).map(check => check.reason).join('; ')
+      });
+    } else if (undecidedChecks.length > 0) {
+      needsReview.push({
+        dependencyName: finding.dependencyName,
+        ...details,
+        status: 'needs_review',
+        reasonCode: 'unknown_version',
+        reason: undecidedChecks.map(check => check.reason).join('; ')
+      });
+    } else {
+      pushFalsePositive('version_mismatch', versionMismatchReason(versionChecks));
+    }
+  });
+  onProgress('matching', { done: owaspFindings.length, total: owaspFindings.length });
+
+  return applyDecisions({ confirmed, falsePositives, needsReview }, options.decisions || []);
+}
+
+/**
+ * Apply manual triage decisions to the automatic triage. An active decision moves its finding:
+ * "confirmed" into the confirmed findings, "not_exploitable" and "accepted_risk" into the false
+ * positives (reasonCode "manual_<decision>"), keeping the automatic classification in automatic.
+ * The entry's manualDecision tells where the decision came from; expired decisions are not
+ * applied, only attached with expired: true
+ */
+function applyDecisions(triage, decisions, now = new Date()) {
+  if (decisions.length === 0) {
+    return triage;
+  }
+  const decisionsByKey = new Map(decisions.map(decision =>
+    [findingKey(decision.dependencyName, decision.namespace, decision.cve), decision]));
+  const confirmed = [];
+  const falsePositives = { directDependencies: [], nestedLibraries: [] };
+  const needsReview = [];
+
+  const apply = (entry, origin) => {
+    const { dependencyName, libraryName, ...details } = entry;
+    const name = dependencyName || libraryName;
+    const decision = decisionsByKey.get(findingKey(name, entry.namespace, entry.cve));
+    if (!decision || isDecisionExpired(decision, now)) {
+      origin.push(decision ? { ...entry, manualDecision: { ...decision, expired: true } } : entry);
+      return;
+    }
+
+    const decided = {
+      ...details,
+      automatic: { status: entry.status, reasonCode: entry.reasonCode, reason: entry.reason },
+      manualDecision: { ...decision, expired: false },
+      reasonCode: `manual_${decision.decision}`,
+      reason: `${DECISIONS[decision.decision]} (manual decision by ${decision.author}` +
+        `${decision.createdAt ? ` on ${decision.createdAt.split('T')[0]}` : ''}): ${decision.justification}`
+    };
+    if (decision.decision === 'confirmed') {
+      confirmed.push({ dependencyName: name, ...decided, status: 'confirmed' });
+    } else if (origin === falsePositives.nestedLibraries ||
+      (origin !== falsePositives.directDependencies && entry.dependencyLevel === 'nested')) {
+      falsePositives.nestedLibraries.push({ libraryName: name, ...decided, upgradeDirectDependencies: [], status: 'false_positive' });
+    } else {
+      falsePositives.directDependencies.push({ dependencyName: name, ...decided, upgradeDirectDependencies: [], status: 'false_positive' });
+    }
+  };
+
+  triage.confirmed.forEach(entry => apply(entry, confirmed));
+  triage.needsReview.forEach(entry => apply(entry, needsReview));
+  triage.falsePositives.directDependencies.forEach(entry => apply(entry, falsePositives.directDependencies));
+  triage.falsePositives.nestedLibraries.forEach(entry => apply(entry, falsePositives.nestedLibraries));
+  return { confirmed, falsePositives, needsReview };
+}
+
+/**
+ * Error for input files that cannot be analyzed, such as an unrecognized report format
+ */
+class AnalysisInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalysisInputError';
+  }
+}
+
+/**
+ * Analyze an OWASP report against a dependency tree, both given as { content, fileName }
+ * Formats are detected from content and file name. Returns the findings, their triage
+ * (confirmed, falsePositives, needsReview) and the summary; throws AnalysisInputError
+ * for unrecognized files. options.strict rejects reports that are only readable with heuristics,
+ * options.policy (see lib/policy.js) is evaluated on the triage; the other options are passed
+ * on to analyzeFalsePositives
+ * options.onProgress(stage, details) is called as the analysis moves through its stages:
+ * parsing_report, building_tree, matching (with done and total findings) and applying_policy
+ */
+function runAnalysis(report, dependencies, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const reportFormat = detectReportFormat(report.content, report.fileName);
+  if (!reportFormat) {
+    throw new AnalysisInputError('Unrecognized OWASP report. Upload a Dependency-Check HTML, JSON or XML report');
+  }
+
+  // dependencies.json, npm, Maven, Gradle, Python, Go and NuGet files, CycloneDX or SPDX SBOMs
+  const dependencyFormat = detectDependencyFormat(dependencies.content, dependencies.fileName);
+  if (!dependencyFormat) {
+    throw new AnalysisInputError(
+      'Unrecognized dependencies file. Supported: dependencies.json, package.json, package-lock.json, ' +
+      'npm-shrinkwrap.json, npm ls --json, mvn dependency:tree, gradle dependencies, poetry.lock, Pipfile.lock, ' +
+      'requirements.txt, go.mod, go mod graph, packages.lock.json and CycloneDX/SPDX SBOMs'
+    );
+  }
+
+  onProgress('parsing_report', {});
+  const { findings, diagnostics } = parseReport(report.content, reportFormat, { strict: options.strict });
+  if (options.strict && diagnostics.confidence !== 'high') {
+    throw new AnalysisInputError(
+      'Strict mode: the OWASP report is not a recognized Dependency-Check layout (no summary table found). ' +
+      'Upload the HTML, JSON or XML report Dependency-Check generates, or analyze without strict mode'
+    );
+  }
+  onProgress('building_tree', {});
+  const dependencyTree = parseDependencyTree(dependencies.content, dependencyFormat);
+  let triage = analyzeFalsePositives(findings, dependencyTree, options);
+  let policySummary = null;
+  if (options.policy) {
+    onProgress('applying_policy', {});
+    ({ triage, summary: policySummary } = applyPolicy(triage, options.policy));
+  }
+  const { confirmed, falsePositives, needsReview } = triage;
+  const entries = [...confirmed, ...needsReview, ...falsePositives.directDependencies, ...falsePositives.nestedLibraries];
+
+  return {
+    findings: findings,
+    confirmed: confirmed,
+    falsePositives: falsePositives,
+    needsReview: needsReview,
+    summary: {
+      reportFormat: reportFormat,
+      dependencyFormat: dependencyFormat,
+      reportDiagnostics: diagnostics,
+      project: parseProjectIdentity(dependencies.content, dependencyFormat),
+      totalOWASPFindings: findings.length,
+      totalVulnerableDependencies: new Set(findings.map(f => `${f.namespace || ''}:${f.dependencyName}:${f.version}`)).size,
+      confirmed: confirmed.length,
+      falsePositives: falsePositives.directDependencies.length + falsePositives.nestedLibraries.length,
+      needsReview: needsReview.length,
+      directFalsePositives: falsePositives.directDependencies.length,
+      nestedFalsePositives: falsePositives.nestedLibraries.length,
+      manualDecisions: entries.filter(entry => entry.manualDecision && !entry.manualDecision.expired).length,
+      expiredDecisions: entries.filter(entry => entry.manualDecision && entry.manualDecision.expired).length,
+      nonProduction: entries.filter(entry => entry.production === false).length,
+      policy: policySummary,
+      vulnerabilityDataUpdatedAt: options.vulnerabilityStore ? options.vulnerabilityStore.updatedAt : null
+    }
+  };
+}
+
+module.exports = {
+  AnalysisInputError,
+  extractAllDependencies,
+  analyzeFalsePositives,
+  runAnalysis
+};
@@ -0,0 +1,196 @@
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const inflateRaw = util.promisify(zlib.inflateRaw);
+const gunzip = util.promisify(zlib.gunzip);
+
+// Cap on the total size of an archive's decompressed files, whatever sizes the archive declares,
+// so a small compressed upload cannot fill the memory
+const MAX_EXTRACTED_SIZE = 512 * 1024 * 1024;
+
+const tooLarge = maxSize => new Error(`The files are larger than ${maxSize} bytes once extracted`);
+
+// Decompress with a cap on the output, failing with tooLarge beyond it
+async function decompress(inflate, data, maxSize, maxOutputLength) {
+  try {
+    return await inflate(data, { maxOutputLength: Math.max(maxOutputLength, 1) });
+  } catch (error) {
+    throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge(maxSize) : error;
+  }
+}
+
+// Archive entry names as "dir/file": forward slashes, no leading "./" or "/"; a ".." segment
+// would point outside the archive, which no manifest path should do
+function entryName(name) {
+  const normalized = name.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+  if (normalized.split('/').includes('..')) {
+    throw new Error(`${normalized} points outside the archive`);
+  }
+  return normalized;
+}
+
+const truncated = () => new Error('The archive is truncated');
+
+/**
+ * Read the files of a zip archive (stored or deflated entries; no ZIP64 or encryption)
+ */
+async function readZip(buffer, maxSize) {
+  // The end of central directory record is at the end, before an optional comment
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 65535); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a zip archive: no central directory');
+  }
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  if (offset > end) {
+    throw truncated();
+  }
+
+  const files = new Map();
+  let remaining = maxSize;
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > end || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip archive: bad central directory entry');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = entryName(buffer.toString('utf-8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !name) {
+      continue;
+    }
+    if (flags & 1) {
+      throw new Error(`${name} is encrypted`);
+    }
+    // The data follows the local header, whose name and extra field may differ from the central ones
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Corrupt zip archive: bad local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw truncated();
+    }
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (size > remaining) {
+      throw tooLarge(maxSize);
+    }
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      // The declared size may lie: inflating stops at what is left of the cap
+      content = await decompress(inflateRaw, data, maxSize, remaining);
+    } else {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+    remaining -= content.length;
+    if (remaining < 0) {
+      throw tooLarge(maxSize);
+    }
+    files.set(name, content);
+  }
+  return files;
+}
+
+// A NUL-terminated text field of a tar header
+function tarField(block, start, length) {
+  const text = block.toString('utf-8', start, start + length);
+  const nul = text.indexOf('\0');
+  return nul === -1 ? text : text.slice(0, nul);
+}
+
+/**
+ * Read the files of a tar archive (ustar, with GNU long names and pax paths)
+ */
+function readTar(buffer) {
+  const files = new Map();
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+    const size = parseInt(tarField(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const prefix = tarField(header, 257, 6).startsWith('ustar') ? tarField(header, 345, 155) : '';
+    if (isNaN(size) || offset + 512 + size > buffer.length) {
+      throw truncated();
+    }
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = tarField(data, 0, data.length);
+      continue;
+    }
+    if (type === 'x') {
+      const pathRecord = data.toString('utf-8').split('\n').find(record => / path=/.test(record));
+      if (pathRecord) longName = pathRecord.slice(pathRecord.indexOf('path=') + 5);
+      continue;
+    }
+    const name = entryName(longName || (prefix ? `${prefix}/${tarField(header, 0, 100)}` : tarField(header, 0, 100)));
+    longName = null;
+    if ((type === '0' || type === '\0') && name) {
+      files.set(name, data);
+    }
+  }
+  // Ended inside a header, not at the end of the buffer or at the end-of-archive blocks
+  if (offset < buffer.length && offset + 512 > buffer.length) {
+    throw truncated();
+  }
+  return files;
+}
+
+/**
+ * Read the files of an uploaded archive: zip, tar, or gzipped tar (.tar.gz, .tgz)
+ * The format is detected from the content, the file name is only used in messages
+ * Returns a Map of entry names ("service/report.json") to contents (Buffers); throws when the
+ * upload is not a readable archive or its files exceed options.maxSize bytes (MAX_EXTRACTED_SIZE)
+ */
+async function readArchive(buffer, fileName, options = {}) {
+  const maxSize = options.maxSize || MAX_EXTRACTED_SIZE;
+  try {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+      return await readZip(buffer, maxSize);
+    }
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x06054b50) {
+      return new Map(); // An empty zip archive
+    }
+    let tar = buffer;
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      tar = await decompress(gunzip, buffer, maxSize, maxSize);
+    }
+    if (tar.length >= 512 && tar.toString('ascii', 257, 262) === 'ustar') {
+      return readTar(tar);
+    }
+    if (/\.tar$/i.test(fileName || '') && tar.length % 512 === 0) {
+      return readTar(tar);
+    }
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(fileName || 'the archive')}: ${error.message}`);
+  }
+  throw new Error(`${path.basename(fileName || 'The upload')} is not a zip, tar or tar.gz archive`);
+}
+
+module.exports = {
+  MAX_EXTRACTED_SIZE,
+  readArchive
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { readIndex, writeRecord, readRecord } = require('./store');
+
+// Batch analyses (see lib/portfolio.js), in a file store (see lib/store.js): each batch is
+// rewritten as its projects finish, the index has the metadata the batch list needs
+
+/**
+ * Metadata of a stored batch, as listed by listBatches
+ */
+function describeBatch(batch) {
+  return {
+    id: batch.id,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+    status: batch.status,
+    fileName: batch.fileName,
+    projects: batch.projects.length,
+    totals: batch.portfolio ? batch.portfolio.totals : null
+  };
+}
+
+/**
+ * Store a new batch of projects to analyze: [{ name, report, dependencies, jobId }]
+ * Returns the stored batch: { id, createdAt, finishedAt, status, fileName, projects, portfolio }
+ */
+function createBatch(directory, { fileName, projects }) {
+  const batch = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    fileName: fileName,
+    projects: projects.map(project => ({ ...project, status: 'queued', error: null, analysisId: null })),
+    portfolio: null
+  };
+  return saveBatch(directory, batch);
+}
+
+/**
+ * Store the current state of a batch, replacing the earlier one
+ */
+function saveBatch(directory, batch) {
+  return writeRecord(directory, batch, describeBatch(batch));
+}
+
+/**
+ * List stored batches, newest first
+ */
+function listBatches(directory) {
+  return readIndex(directory).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * Read a stored batch, null when there is none with this id
+ */
+function getBatch(directory, id) {
+  return readRecord(directory, id);
+}
+
+/**
+ * Finish the batches a previous server process left running: their jobs were lost with it, so
+ * projects that had not finished are marked failed. portfolio(batch) builds the finished batch's
+ * portfolio view
+ */
+function failInterruptedBatches(directory, portfolio) {
+  readIndex(directory).filter(entry => entry.status === 'running').forEach(entry => {
+    const batch = getBatch(directory, entry.id);
+    if (!batch) {
+      return;
+    }
+    batch.projects.forEach(project => {
+      if (project.status !== 'completed' && project.status !== 'failed') {
+        Object.assign(project, { status: 'failed', error: 'The server restarted before the analysis finished' });
+      }
+    });
+    batch.status = 'completed';
+    batch.finishedAt = new Date().toISOString();
+    batch.portfolio = portfolio(batch);
+    saveBatch(directory, batch);
+  });
+}
+
+module.exports = {
+  createBatch,
+  saveBatch,
+  listBatches,
+  getBatch,
+  failInterruptedBatches
+};
@@ -0,0 +1,142 @@
+const { toCsv } = require('./export');
+
+// Comparison of two analyses: which findings are new, resolved, still present or changed classification
+
+// When a scan lists the same package and CVE more than once, the most severe classification counts
+const STATUS_RANK = { confirmed: 0, needs_review: 1, false_positive: 2 };
+
+/**
+ * Every triaged finding of an analysis result, keyed by package and CVE
+ * The version is not part of the key, so an upgraded package keeps its findings
+ */
+function indexFindings(result) {
+  const entries = [
+    ...result.confirmed,
+    ...result.needsReview,
+    ...result.falsePositives.directDependencies,
+    ...result.falsePositives.nestedLibraries
+  ];
+  const findings = new Map();
+  entries.forEach(entry => {
+    const name = entry.dependencyName || entry.libraryName;
+    const key = `${entry.namespace || ''}:${name}|${entry.cve}`.toLowerCase();
+    const existing = findings.get(key);
+    if (!existing || STATUS_RANK[entry.status] < STATUS_RANK[existing.status]) {
+      findings.set(key, { name, entry });
+    }
+  });
+  return findings;
+}
+
+// The parts of a finding that can differ between the two scans
+function findingState(entry) {
+  return {
+    status: entry.status,
+    reasonCode: entry.reasonCode,
+    reason: entry.reason,
+    reportedVersion: entry.reportedVersion,
+    actualVersions: entry.actualVersions || [],
+    dependencyLevel: entry.dependencyLevel || null
+  };
+}
+
+function comparisonEntry(name, baseline, current) {
+  const entry = current || baseline;
+  return {
+    dependencyName: name,
+    namespace: entry.namespace || null,
+    cve: entry.cve,
+    severity: entry.severity,
+    cvssV3Score: entry.cvssV3Score,
+    cvssV2Score: entry.cvssV2Score,
+    baseline: baseline ? findingState(baseline) : null,
+    current: current ? findingState(current) : null
+  };
+}
+
+const byDependencyAndCve = (a, b) =>
+  a.dependencyName.localeCompare(b.dependencyName) || String(a.cve).localeCompare(String(b.cve));
+
+/**
+ * Compare two analysis results ({ confirmed, falsePositives, needsReview }), the baseline being the older scan
+ * Returns newFindings, resolved, stillPresent (same classification) and changed (classification flipped),
+ * each entry carrying the finding's state in the baseline and the current scan, plus counts in summary
+ */
+function compareAnalyses(baseline, current) {
+  const baselineFindings = indexFindings(baseline);
+  const currentFindings = indexFindings(current);
+  const newFindings = [];
+  const resolved = [];
+  const stillPresent = [];
+  const changed = [];
+
+  currentFindings.forEach(({ name, entry }, key) => {
+    const previous = baselineFindings.get(key);
+    if (!previous) {
+      newFindings.push(comparisonEntry(name, null, entry));
+    } else if (previous.entry.status !== entry.status) {
+      changed.push(comparisonEntry(name, previous.entry, entry));
+    } else {
+      stillPresent.push(comparisonEntry(name, previous.entry, entry));
+    }
+  });
+  baselineFindings.forEach(({ name, entry }, key) => {
+    if (!currentFindings.has(key)) {
+      resolved.push(comparisonEntry(name, entry, null));
+    }
+  });
+
+  [newFindings, resolved, stillPresent, changed].forEach(list => list.sort(byDependencyAndCve));
+
+  return {
+    newFindings,
+    resolved,
+    stillPresent,
+    changed,
+    summary: {
+      newFindings: newFindings.length,
+      resolved: resolved.length,
+      stillPresent: stillPresent.length,
+      changed: changed.length
+    }
+  };
+}
+
+/**
+ * Render a comparison as CSV, one row per finding and change
+ */
+function renderComparisonCsv(comparison) {
+  const header = [
+    'change', 'dependency', 'cve', 'severity',
+    'baselineStatus', 'currentStatus', 'baselineVersion', 'currentVersion', 'reason'
+  ];
+  const rows = [];
+  [
+    ['new', comparison.newFindings],
+    ['resolved', comparison.resolved],
+    ['changed', comparison.changed],
+    ['still_present', comparison.stillPresent]
+  ].forEach(([change, entries]) => {
+    entries.forEach(entry => {
+      const baseline = entry.baseline || {};
+      const current = entry.current || {};
+      rows.push([
+        change,
+        entry.namespace ? `${entry.namespace}:${entry.dependencyName}` : entry.dependencyName,
+        entry.cve,
+        entry.severity,
+        baseline.status,
+        current.status,
+        baseline.reportedVersion,
+        current.reportedVersion,
+        (entry.current || entry.baseline).reason
+      ]);
+    });
+  });
+  return toCsv([header, ...rows]);
+}
+
+module.exports = {
+  compareAnalyses,
+  renderComparisonCsv
+};
@@ -0,0 +1,103 @@
+/**
+ * Parse a package URL (pkg:type/namespace/name@version?qualifiers#subpath)
+ * Returns null when the value is not a package URL
+ */
+function parsePackageUrl(packageUrl) {
+  const match = (packageUrl || '').trim().match(/^pkg:([a-zA-Z][a-zA-Z0-9.+-]*)\/([^?#]+?)(?:@([^?#]+))?(?:\?([^#]*))?(?:#(.*))?$/);
+  if (!match) return null;
+
+  const type = match[1].toLowerCase();
+  const segments = match[2].split('/').filter(segment => segment.length > 0).map(decodeURIComponent);
+  const name = segments.pop();
+  if (!name) return null;
+
+  const qualifiers = {};
+  (match[4] || '').split('&').filter(Boolean).forEach(pair => {
+    const [key, value = ''] = pair.split('=');
+    qualifiers[key.toLowerCase()] = decodeURIComponent(value);
+  });
+
+  return {
+    type: type,
+    namespace: segments.length > 0 ? segments.join('/') : null,
+    name: name,
+    version: match[3] ? decodeURIComponent(match[3]) : null,
+    qualifiers: qualifiers
+  };
+}
+
+/**
+ * Normalize a Python package name (PEP 503): lowercase, runs of "-", "_" and "." become "-"
+ */
+function normalizePythonName(name) {
+  return (name || '').toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Resolve ecosystem, namespace and name of a finding or dependency tree node
+ * Uses the package URL when present, then groupId/artifactId, scoped npm names
+ * and "groupId:artifactId" names
+ */
+function dependencyCoordinates(item) {
+  const parsed = parsePackageUrl(item.packageUrl || item.purl);
+  if (parsed) {
+    const purlName = parsed.type === 'pypi' ? normalizePythonName(parsed.name) : parsed.name;
+    return { ecosystem: parsed.type, namespace: parsed.namespace, name: purlName };
+  }
+
+  const name = (item.dependencyName || item.name || '').trim();
+
+  if (item.groupId && item.artifactId) {
+    return { ecosystem: item.ecosystem || 'maven', namespace: item.groupId, name: item.artifactId };
+  }
+
+  if (item.namespace) {
+    return { ecosystem: item.ecosystem || null, namespace: item.namespace, name: name };
+  }
+
+  const scoped = name.match(/^(@[^/]+)\/(.+)$/);
+  if (scoped) {
+    return { ecosystem: item.ecosystem || 'npm', namespace: scoped[1], name: scoped[2] };
+  }
+
+  const maven = name.match(/^([^:\s]+):([^:\s]+)$/);
+  if (maven) {
+    return { ecosystem: item.ecosystem || 'maven', namespace: maven[1], name: maven[2] };
+  }
+
+  if (item.ecosystem === 'pypi') {
+    return { ecosystem: 'pypi', namespace: null, name: normalizePythonName(name) };
+  }
+
+  return { ecosystem: item.ecosystem || null, namespace: null, name: name };
+}
+
+/**
+ * Check whether two sets of coordinates can refer to the same package
+ * Namespace and ecosystem only have to agree when both sides know them
+ */
+function coordinatesMatch(a, b) {
+  if (a.name.toLowerCase() !== b.name.toLowerCase()) return false;
+  if (a.namespace && b.namespace && a.namespace.toLowerCase() !== b.namespace.toLowerCase()) return false;
+  if (a.ecosystem && b.ecosystem && a.ecosystem !== b.ecosystem) return false;
+  return true;
+}
+
+/**
+ * Build a package URL from coordinates ({ ecosystem, namespace, name }) and a version
+ * Only exact versions go into it; returns null when the ecosystem is unknown
+ */
+function buildPackageUrl(coordinates, version) {
+  if (!coordinates.ecosystem || !coordinates.name) return null;
+  const segments = [...(coordinates.namespace ? coordinates.namespace.split('/') : []), ...coordinates.name.split('/')];
+  const exactVersion = version && version !== 'unknown' && /^[\w.+!-]+$/.test(version) ? `@${encodeURIComponent(version)}` : '';
+  return `pkg:${coordinates.ecosystem}/${segments.map(encodeURIComponent).join('/')}${exactVersion}`;
+}
+
+module.exports = {
+  parsePackageUrl,
+  buildPackageUrl,
+  normalizePythonName,
+  dependencyCoordinates,
+  coordinatesMatch
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Manual triage decisions, recorded per project for a dependency and CVE and applied to later analyses.
+// All projects share one JSON file: { "<project>": [decision, ...] }
+const DECISIONS = {
+  not_exploitable: 'Not exploitable',
+  accepted_risk: 'Accepted risk',
+  confirmed: 'Confirmed'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Key of a finding: package (with its namespace, if any) and CVE, case-insensitive
+ */
+function findingKey(dependencyName, namespace, cve) {
+  return `${namespace || ''}:${dependencyName}|${cve}`.toLowerCase();
+}
+
+/**
+ * A decision expires at the end of its expiry day (UTC)
+ */
+function isDecisionExpired(decision, now = new Date()) {
+  return Boolean(decision.expiresAt) && new Date(`${decision.expiresAt}T23:59:59.999Z`) < now;
+}
+
+/**
+ * Check a decision as posted to the API; returns an error message, or null when it is valid
+ */
+function validateDecision(input) {
+  if (!input || typeof input !== 'object') {
+    return 'A decision object is required';
+  }
+  for (const field of ['dependencyName', 'cve', 'justification', 'author']) {
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      return `${field} is required`;
+    }
+  }
+  if (!Object.prototype.hasOwnProperty.call(DECISIONS, input.decision)) {
+    return `decision must be one of ${Object.keys(DECISIONS).join(', ')}`;
+  }
+  if (input.expiresAt && (!DATE_PATTERN.test(input.expiresAt) || isNaN(Date.parse(input.expiresAt)))) {
+    return 'expiresAt must be a date such as 2025-12-31';
+  }
+  return null;
+}
+
+// Projects are keys of a prototype-less object, so any project name is safe to use
+function readDecisions(file) {
+  const decisions = Object.create(null);
+  return fs.existsSync(file) ? Object.assign(decisions, JSON.parse(fs.readFileSync(file, 'utf-8'))) : decisions;
+}
+
+function writeDecisions(file, decisions) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(decisions, null, 2));
+}
+
+/**
+ * The decisions recorded for a project
+ */
+function loadDecisions(file, projectName) {
+  return readDecisions(file)[projectName] || [];
+}
+
+/**
+ * Record a (validated) decision for a project; it replaces an earlier decision on the same finding
+ * Returns the stored decision
+ */
+function recordDecision(file, projectName, input) {
+  const decision = {
+    id: crypto.randomUUID(),
+    dependencyName: input.dependencyName.trim(),
+    namespace: input.namespace || null,
+    cve: input.cve.trim(),
+    decision: input.decision,
+    justification: input.justification.trim(),
+    author: input.author.trim(),
+    expiresAt: input.expiresAt || null,
+    createdAt: new Date().toISOString()
+  };
+
+  const decisions = readDecisions(file);
+  const key = findingKey(decision.dependencyName, decision.namespace, decision.cve);
+  decisions[projectName] = (decisions[projectName] || [])
+    .filter(existing => findingKey(existing.dependencyName, existing.namespace, existing.cve) !== key)
+    .concat(decision);
+  writeDecisions(file, decisions);
+  return decision;
+}
+
+/**
+ * Delete a decision of a project; returns false when there is none with this id
+ */
+function deleteDecision(file, projectName, id) {
+  const decisions = readDecisions(file);
+  const projectDecisions = decisions[projectName] || [];
+  if (!projectDecisions.some(decision => decision.id === id)) {
+    return false;
+  }
+  decisions[projectName] = projectDecisions.filter(decision => decision.id !== id);
+  writeDecisions(file, decisions);
+  return true;
+}
+
+module.exports = {
+  DECISIONS,
+  findingKey,
+  isDecisionExpired,
+  validateDecision,
+  loadDecisions,
+  recordDecision,
+  deleteDecision
+};
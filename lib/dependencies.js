@@ -0,0 +1,1137 @@
+const cheerio = require('cheerio');
+const path = require('path');
+const { parsePackageUrl, normalizePythonName, dependencyCoordinates, buildPackageUrl } = require('./coordinates');
+const { compareVersions } = require('./versions');
+
+/**
+ * Convert package.json format to dependencies.json format
+ * Declared ranges are checked against the reported version. Development, optional and peer
+ * dependencies are marked with dev, optional and peer; a package declared in more than one
+ * list is taken from the first of dependencies, optionalDependencies, peerDependencies and devDependencies
+ */
+function convertPackageJsonToDependencies(packageJson) {
+  const dependencies = [];
+  const seen = new Set();
+
+  [
+    ['dependencies', null],
+    ['optionalDependencies', 'optional'],
+    ['peerDependencies', 'peer'],
+    ['devDependencies', 'dev']
+  ].forEach(([list, flag]) => {
+    Object.keys(packageJson[list] || {}).forEach(name => {
+      if (seen.has(name)) {
+        return;
+      }
+      seen.add(name);
+      const node = {
+        name: name,
+        version: packageJson[list][name],
+        ecosystem: 'npm',
+        children: []
+      };
+      if (flag) node[flag] = true;
+      dependencies.push(node);
+    });
+  });
+
+  return { dependencies };
+}
+
+/**
+ * Package name from a package-lock "packages" key such as "node_modules/a/node_modules/@scope/b"
+ */
+function packageNameFromLocation(location) {
+  const index = location.lastIndexOf('node_modules/');
+  return index === -1 ? location : location.slice(index + 'node_modules/'.length);
+}
+
+/**
+ * Resolve where "name" is installed when required from "fromLocation", following
+ * Node's lookup: the package's own node_modules first, then each ancestor's
+ */
+function resolveLockfileLocation(packages, fromLocation, name) {
+  let base = fromLocation;
+  while (true) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[candidate]) {
+      return candidate;
+    }
+    if (!base) {
+      return null;
+    }
+    // Step up to the enclosing node_modules owner ("node_modules/a/node_modules/b" -> "node_modules/a")
+    const index = base.lastIndexOf('/node_modules/');
+    base = index === -1 ? '' : base.slice(0, index);
+  }
+}
+
+/**
+ * Build the dependency tree from a lockfileVersion 2/3 "packages" map
+ * Each installed location is expanded once; later occurrences are marked as deduped,
+ * like `npm ls` does, which also stops dependency cycles
+ */
+function convertLockfilePackages(packages) {
+  const expanded = new Set();
+
+  const requiredNames = entry => Object.keys(Object.assign({},
+    entry.dependencies,
+    entry.optionalDependencies,
+    entry.peerDependencies
+  ));
+
+  const buildNode = location => {
+    let entry = packages[location];
+    let realLocation = location;
+
+    // Workspace and "file:" dependencies are links to another location
+    if (entry.link && entry.resolved !== undefined && packages[entry.resolved]) {
+      realLocation = entry.resolved;
+      entry = packages[realLocation];
+    }
+
+    const node = {
+      name: entry.name || packageNameFromLocation(location),
+      version: entry.version || 'unknown',
+      ecosystem: 'npm',
+      children: []
+    };
+    if (entry.dev) node.dev = true;
+    if (entry.optional) node.optional = true;
+    if (entry.peer) node.peer = true;
+
+    if (expanded.has(realLocation)) {
+      node.deduped = true;
+      return node;
+    }
+    expanded.add(realLocation);
+
+    requiredNames(entry).forEach(name => {
+      const childLocation = resolveLockfileLocation(packages, realLocation, name);
+      if (childLocation) {
+        node.children.push(buildNode(childLocation));
+      }
+    });
+
+    return node;
+  };
+
+  const root = packages[''] || {};
+  const dependencies = [];
+  Object.keys(Object.assign({},
+    root.dependencies,
+    root.devDependencies,
+    root.optionalDependencies,
+    root.peerDependencies
+  )).forEach(name => {
+    const location = resolveLockfileLocation(packages, '', name);
+    if (location) {
+      dependencies.push(buildNode(location));
+    }
+  });
+
+  return dependencies;
+}
+
+/**
+ * Build the dependency tree from a lockfileVersion 1 "dependencies" map
+ * Version 1 does not record the root's own dependencies, so packages that no other
+ * package requires are taken as the direct dependencies
+ */
+function convertLockfileV1Dependencies(lockDependencies) {
+  const expanded = new Set();
+
+  const required = new Set();
+  const collectRequires = deps => {
+    Object.values(deps || {}).forEach(entry => {
+      Object.keys(entry.requires || {}).forEach(name => required.add(name));
+      collectRequires(entry.dependencies);
+    });
+  };
+  collectRequires(lockDependencies);
+
+  // scopes is the chain of node_modules maps from the root down to the requiring package
+  const buildNode = (name, entry, scopes) => {
+    const node = {
+      name: name,
+      version: entry.version || 'unknown',
+      ecosystem: 'npm',
+      children: []
+    };
+    if (entry.dev) node.dev = true;
+    if (entry.optional) node.optional = true;
+
+    if (expanded.has(entry)) {
+      node.deduped = true;
+      return node;
+    }
+    expanded.add(entry);
+
+    const childScopes = entry.dependencies ? scopes.concat([entry.dependencies]) : scopes;
+    Object.keys(entry.requires || {}).forEach(childName => {
+      const scope = childScopes.slice().reverse().find(s => s[childName]);
+      if (scope) {
+        node.children.push(buildNode(childName, scope[childName], childScopes));
+      }
+    });
+
+    return node;
+  };
+
+  return Object.keys(lockDependencies || {})
+    .filter(name => !required.has(name))
+    .map(name => buildNode(name, lockDependencies[name], [lockDependencies]));
+}
+
+/**
+ * Convert package-lock.json / npm-shrinkwrap.json (lockfileVersion 1, 2 or 3)
+ * to dependencies.json format with the exact installed versions
+ */
+function convertNpmLockfileToDependencies(lockfile) {
+  if (lockfile.packages) {
+    return { dependencies: convertLockfilePackages(lockfile.packages) };
+  }
+  return { dependencies: convertLockfileV1Dependencies(lockfile.dependencies) };
+}
+
+/**
+ * Convert `npm ls --all --json` output to dependencies.json format
+ */
+function convertNpmLsToDependencies(npmLs) {
+  const convert = deps => Object.keys(deps || {})
+    .filter(name => !deps[name].missing && deps[name].version)
+    .map(name => {
+      const entry = deps[name];
+      const node = {
+        name: name,
+        version: entry.version,
+        ecosystem: 'npm',
+        children: convert(entry.dependencies)
+      };
+      if (entry.dev) node.dev = true;
+      if (entry.optional) node.optional = true;
+      if (entry.peer) node.peer = true;
+      return node;
+    });
+
+  return { dependencies: convert(npmLs.dependencies) };
+}
+
+/**
+ * Build a tree from a dependency graph, starting at the given root ids
+ * edges maps a node id to the ids it depends on; createNode returns the node without children,
+ * or null to leave the id (and what is only reachable through it) out.
+ * Each node is expanded once, later occurrences are marked as deduped, which also cuts cycles
+ */
+function buildTreeFromGraph(rootIds, edges, createNode) {
+  const expanded = new Set();
+
+  const buildNode = id => {
+    const created = createNode(id);
+    if (!created) {
+      return null;
+    }
+    const node = Object.assign(created, { children: [] });
+    if (expanded.has(id)) {
+      node.deduped = true;
+      return node;
+    }
+    expanded.add(id);
+    (edges.get(id) || []).forEach(childId => {
+      const child = buildNode(childId);
+      if (child) node.children.push(child);
+    });
+    return node;
+  };
+
+  return rootIds.map(buildNode).filter(Boolean);
+}
+
+// Maven dependency scopes, used to tell a trailing scope from a version
+const MAVEN_SCOPES = ['compile', 'provided', 'runtime', 'test', 'system', 'import'];
+
+/**
+ * Parse a Maven coordinate as printed by the dependency plugin:
+ * groupId:artifactId[:type[:classifier]]:version[:scope]
+ */
+function parseMavenCoordinate(text) {
+  const parts = text.trim().split(':');
+  if (parts.length < 3) {
+    return null;
+  }
+
+  let scope = null;
+  if (parts.length >= 5 && MAVEN_SCOPES.includes(parts[parts.length - 1])) {
+    scope = parts.pop();
+  }
+
+  return {
+    groupId: parts[0],
+    artifactId: parts[1],
+    version: parts[parts.length - 1],
+    scope: scope
+  };
+}
+
+/**
+ * Create a tree node for a Maven artifact
+ */
+function createMavenNode(coordinate) {
+  const node = {
+    name: `${coordinate.groupId}:${coordinate.artifactId}`,
+    version: coordinate.version,
+    groupId: coordinate.groupId,
+    artifactId: coordinate.artifactId,
+    ecosystem: 'maven',
+    children: []
+  };
+  if (coordinate.scope) node.scope = coordinate.scope;
+  return node;
+}
+
+// The node of a Maven coordinate label in a dot or tgf graph, null when the label is not a coordinate
+function mavenGraphNode(label) {
+  const coordinate = parseMavenCoordinate(label);
+  return coordinate ? createMavenNode(coordinate) : null;
+}
+
+/**
+ * Convert `mvn dependency:tree` text output (plain or verbose) to dependencies.json format
+ * The children of every module root become direct dependencies
+ */
+function convertMavenTreeToDependencies(text) {
+  const dependencies = [];
+  const stack = [];
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/^\[[A-Z]+\]\s?/, '').replace(/\s+$/, '');
+
+    // Module root: a bare coordinate without tree markers
+    if (/^[\w.-]+:[\w.-]+:[\w.-]+:[^\s:]+(:[^\s:]+)*$/.test(line)) {
+      stack.length = 0;
+      stack[0] = { children: dependencies };
+      return;
+    }
+
+    const match = line.match(/^((?:[| ] {2})*)[+\\]- (.+)$/);
+    if (!match || stack.length === 0) {
+      return;
+    }
+
+    const depth = match[1].length / 3 + 1;
+    let entry = match[2].trim();
+    const node = { omitted: null, managedFrom: null };
+
+    // Verbose output wraps omitted entries: "(g:a:jar:1.1:compile - omitted for conflict with 1.2)"
+    const omitted = entry.match(/^\((.+?) - (.*)\)$/);
+    if (omitted) {
+      entry = omitted[1];
+      const conflict = omitted[2].match(/omitted for conflict with ([^\s;)]+)/);
+      if (conflict) {
+        node.omitted = 'conflict';
+        node.version = conflict[1];
+      } else if (/omitted for duplicate/.test(omitted[2])) {
+        node.omitted = 'duplicate';
+      } else if (/omitted for cycle/.test(omitted[2])) {
+        node.omitted = 'cycle';
+      }
+      const managed = omitted[2].match(/version managed from ([^\s;)]+)/);
+      if (managed) node.managedFrom = managed[1];
+    }
+
+    // Trailing markers: "(version managed from 2.10.0; scope managed from runtime)"
+    const markers = entry.match(/^(\S+)\s+\((.*)\)$/);
+    if (markers) {
+      entry = markers[1];
+      const managed = markers[2].match(/version managed from ([^\s;)]+)/);
+      if (managed) node.managedFrom = managed[1];
+    }
+
+    const coordinate = parseMavenCoordinate(entry);
+    if (!coordinate || !stack[depth - 1]) {
+      return;
+    }
+
+    // The version actually used replaces the requested one for conflict losers
+    const result = createMavenNode(coordinate);
+    if (node.version && node.version !== coordinate.version) {
+      result.requestedVersion = coordinate.version;
+      result.version = node.version;
+    }
+    if (node.managedFrom) result.managedFrom = node.managedFrom;
+    if (node.omitted) result.omitted = node.omitted;
+
+    stack[depth - 1].children.push(result);
+    stack[depth] = result;
+    stack.length = depth + 1;
+  });
+
+  return { dependencies };
+}
+
+/**
+ * Convert `mvn dependency:tree -DoutputType=dot` output to dependencies.json format
+ */
+function convertMavenDotToDependencies(text) {
+  const edges = new Map();
+  const roots = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const graph = line.match(/^\s*digraph\s+"([^"]+)"/);
+    if (graph) {
+      roots.push(graph[1]);
+      return;
+    }
+    const edge = line.match(/"([^"]+)"\s*->\s*"([^"]+)"/);
+    if (edge) {
+      if (!edges.has(edge[1])) edges.set(edge[1], []);
+      edges.get(edge[1]).push(edge[2]);
+    }
+  });
+
+  const directIds = [];
+  roots.forEach(root => directIds.push(...(edges.get(root) || [])));
+
+  return {
+    dependencies: buildTreeFromGraph(directIds, edges, mavenGraphNode)
+  };
+}
+
+/**
+ * Convert `mvn dependency:tree -DoutputType=tgf` output to dependencies.json format
+ * Each module block lists "id coordinate" nodes, a "#" line, then "from to scope" edges
+ */
+function convertMavenTgfToDependencies(text) {
+  const labels = new Map();
+  const edges = new Map();
+  const roots = [];
+  let inEdges = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line === '#') {
+      inEdges = true;
+      return;
+    }
+    const tokens = line.split(/\s+/);
+    if (tokens.length < 2) {
+      return;
+    }
+
+    // A node line after the edges starts the next module
+    if (tokens[1].includes(':')) {
+      if (inEdges || roots.length === 0) {
+        roots.push(tokens[0]);
+        inEdges = false;
+      }
+      labels.set(tokens[0], tokens[1]);
+      return;
+    }
+
+    if (inEdges) {
+      if (!edges.has(tokens[0])) edges.set(tokens[0], []);
+      edges.get(tokens[0]).push(tokens[1]);
+    }
+  });
+
+  const directIds = [];
+  roots.forEach(root => directIds.push(...(edges.get(root) || [])));
+
+  return {
+    dependencies: buildTreeFromGraph(directIds, edges, id => mavenGraphNode(labels.get(id) || id))
+  };
+}
+
+/**
+ * Map a Gradle configuration name to a dependency scope
+ */
+function gradleConfigurationScope(configuration) {
+  if (/test/i.test(configuration)) return 'test';
+  if (/annotationProcessor|compileOnly/i.test(configuration)) return 'provided';
+  if (/runtimeClasspath$/i.test(configuration)) return 'runtime';
+  return 'compile';
+}
+
+/**
+ * Convert `gradle dependencies` output to dependencies.json format
+ * Resolvable classpath configurations are merged, compile first, then runtime, then test;
+ * a direct dependency already taken from an earlier configuration is not repeated
+ */
+function convertGradleToDependencies(text) {
+  const configurations = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+$/, '');
+    const header = line.match(/^([A-Za-z][\w]*)(?: - .*)?$/);
+    if (header) {
+      current = { name: header[1], lines: [] };
+      configurations.push(current);
+      return;
+    }
+    if (current && /^[|+\\ ]*[+\\]--- /.test(line)) {
+      current.lines.push(line);
+    }
+  });
+
+  const withLines = configurations.filter(c => c.lines.length > 0);
+  const classpaths = withLines.filter(c => /classpath$/i.test(c.name));
+  const selected = (classpaths.length > 0 ? classpaths : withLines).slice().sort((a, b) => {
+    const order = c => ['compile', 'runtime', 'provided', 'test'].indexOf(gradleConfigurationScope(c.name));
+    return order(a) - order(b);
+  });
+
+  const dependencies = [];
+  const directKeys = new Set();
+
+  selected.forEach(configuration => {
+    const scope = gradleConfigurationScope(configuration.name);
+    const stack = [{ children: [] }];
+
+    configuration.lines.forEach(line => {
+      const match = line.match(/^((?:[| ] {4})*)[+\\]--- (.+)$/);
+      if (!match) {
+        return;
+      }
+      const depth = match[1].length / 5 + 1;
+      let entry = match[2].trim();
+      const parent = stack[depth - 1];
+      if (!parent) {
+        return;
+      }
+
+      // Constraints, unresolved and failed entries are not on the classpath
+      if (/\((c|n)\)$/.test(entry) || / FAILED$/.test(entry)) {
+        stack.length = depth;
+        return;
+      }
+
+      const deduped = / \(\*\)$/.test(entry);
+      entry = entry.replace(/ \(\*\)$/, '');
+
+      // Project dependencies are transparent: their dependencies attach to the parent
+      if (entry.startsWith('project ')) {
+        stack[depth] = parent;
+        stack.length = depth + 1;
+        return;
+      }
+
+      // "g:a:requested -> used", "g:a -> used" or "g:a:version"
+      const [declared, used] = entry.split(/\s+->\s+/);
+      const parts = declared.split(':');
+      if (parts.length < 2) {
+        return;
+      }
+      const requested = parts.length > 2 ? parts.slice(2).join(':') : null;
+      const version = used ? used.trim() : requested;
+
+      const node = createMavenNode({ groupId: parts[0], artifactId: parts[1], version: version || 'unknown', scope: scope });
+      if (used && requested && requested !== version) node.requestedVersion = requested;
+      if (deduped) node.deduped = true;
+
+      parent.children.push(node);
+      stack[depth] = node;
+      stack.length = depth + 1;
+    });
+
+    stack[0].children.forEach(node => {
+      if (!directKeys.has(node.name)) {
+        directKeys.add(node.name);
+        dependencies.push(node);
+      }
+    });
+  });
+
+  return { dependencies };
+}
+
+/**
+ * Create a tree node for an SBOM component, carrying its package URL
+ */
+function createSbomNode(component) {
+  const parsed = parsePackageUrl(component.purl);
+  let name = component.name || (parsed && parsed.name) || 'unknown';
+  if (component.group) {
+    name = parsed && parsed.type === 'maven' ? `${component.group}:${name}` : `${component.group}/${name}`;
+  }
+
+  const node = {
+    name: name,
+    version: component.version || (parsed && parsed.version) || 'unknown',
+    children: []
+  };
+  if (component.purl) node.purl = component.purl;
+  if (parsed) node.ecosystem = parsed.type;
+  return node;
+}
+
+/**
+ * Build the tree of an SBOM from its dependency graph
+ * Starts at the root component's dependencies; without a usable root, every component
+ * that nothing depends on is taken as a direct dependency
+ */
+function buildSbomTree(components, edges, rootId) {
+  let directIds = rootId && (edges.get(rootId) || []).length > 0 ? edges.get(rootId) : null;
+
+  if (!directIds) {
+    const dependedOn = new Set();
+    edges.forEach(children => children.forEach(child => dependedOn.add(child)));
+    directIds = Array.from(components.keys()).filter(id => id !== rootId && !dependedOn.has(id));
+  }
+
+  const createNode = id => createSbomNode(components.get(id) || { name: id });
+  return { dependencies: buildTreeFromGraph(directIds.filter(id => components.has(id)), edges, createNode) };
+}
+
+/**
+ * Convert a CycloneDX JSON SBOM to dependencies.json format, rooted at the metadata component
+ */
+function convertCycloneDxToDependencies(bom) {
+  const components = new Map();
+  const collect = list => (list || []).forEach(component => {
+    const id = component['bom-ref'] || component.purl || `${component.name}@${component.version}`;
+    components.set(id, component);
+    collect(component.components);
+  });
+  collect(bom.components);
+
+  const edges = new Map();
+  (bom.dependencies || []).forEach(dependency => {
+    edges.set(dependency.ref, (dependency.dependsOn || []).slice());
+  });
+
+  const root = bom.metadata && bom.metadata.component;
+  return buildSbomTree(components, edges, root ? root['bom-ref'] || root.purl : null);
+}
+
+/**
+ * Convert a CycloneDX XML SBOM to dependencies.json format, rooted at the metadata component
+ */
+function convertCycloneDxXmlToDependencies(xmlContent) {
+  const $ = cheerio.load(xmlContent, { xmlMode: true });
+  const read = $component => ({
+    'bom-ref': $component.attr('bom-ref'),
+    group: $component.children('group').text().trim() || undefined,
+    name: $component.children('name').text().trim(),
+    version: $component.children('version').text().trim(),
+    purl: $component.children('purl').text().trim() || undefined
+  });
+
+  const components = new Map();
+  $('bom > components component').each((index, element) => {
+    const component = read($(element));
+    components.set(component['bom-ref'] || component.purl || `${component.name}@${component.version}`, component);
+  });
+
+  const edges = new Map();
+  $('bom > dependencies > dependency').each((index, element) => {
+    const $dependency = $(element);
+    edges.set($dependency.attr('ref'), $dependency.children('dependency').map((i, child) => $(child).attr('ref')).get());
+  });
+
+  const $root = $('bom > metadata > component').first();
+  const root = $root.length > 0 ? read($root) : null;
+  return buildSbomTree(components, edges, root ? root['bom-ref'] || root.purl : null);
+}
+
+/**
+ * Convert an SPDX JSON SBOM to dependencies.json format
+ * DEPENDS_ON and *_DEPENDENCY_OF relationships form the graph; the root is the package
+ * the document DESCRIBES, falling back to its CONTAINS relationships when it has no dependencies
+ */
+function convertSpdxToDependencies(spdx) {
+  const components = new Map();
+  (spdx.packages || []).forEach(pkg => {
+    const purlRef = (pkg.externalRefs || []).find(ref => ref.referenceType === 'purl');
+    components.set(pkg.SPDXID, {
+      name: pkg.name,
+      version: pkg.versionInfo,
+      purl: purlRef ? purlRef.referenceLocator : undefined
+    });
+  });
+
+  const edges = new Map();
+  const contains = new Map();
+  const addEdge = (map, from, to) => {
+    if (!map.has(from)) map.set(from, []);
+    if (!map.get(from).includes(to)) map.get(from).push(to);
+  };
+
+  let rootId = (spdx.documentDescribes || [])[0] || null;
+  (spdx.relationships || []).forEach(rel => {
+    const type = rel.relationshipType;
+    if (type === 'DESCRIBES' && !rootId) {
+      rootId = rel.relatedSpdxElement;
+    } else if (type === 'DESCRIBED_BY' && !rootId) {
+      rootId = rel.spdxElementId;
+    } else if (type === 'DEPENDS_ON') {
+      addEdge(edges, rel.spdxElementId, rel.relatedSpdxElement);
+    } else if (/DEPENDENCY_OF$/.test(type)) {
+      addEdge(edges, rel.relatedSpdxElement, rel.spdxElementId);
+    } else if (type === 'CONTAINS') {
+      addEdge(contains, rel.spdxElementId, rel.relatedSpdxElement);
+    }
+  });
+
+  if (rootId && !edges.has(rootId) && contains.has(rootId)) {
+    edges.set(rootId, contains.get(rootId));
+  }
+
+  return buildSbomTree(components, edges, rootId);
+}
+
+/**
+ * Create a tree node for a package of the given purl ecosystem
+ */
+function createEcosystemNode(ecosystem, name, version) {
+  return {
+    name: name,
+    version: version || 'unknown',
+    ecosystem: ecosystem,
+    purl: buildPackageUrl(dependencyCoordinates({ name, ecosystem }), version),
+    children: []
+  };
+}
+
+/**
+ * Convert poetry.lock to dependencies.json format
+ * The lock file does not say which packages the project declares, so packages that no
+ * other package depends on are taken as the direct dependencies
+ */
+function convertPoetryLockToDependencies(text) {
+  const packages = new Map();
+  const edges = new Map();
+  let current = null;
+  let section = null;
+
+  const unquote = value => value.trim().replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1');
+
+  text.split(/\r?\n/).forEach(line => {
+    const header = line.match(/^\s*\[\[?([^\]]+)\]\]?\s*$/);
+    if (header) {
+      section = header[1].trim();
+      if (section === 'package') {
+        current = { name: null, version: null, dev: false, dependencies: [] };
+        packages.set(packages.size, current);
+      }
+      return;
+    }
+
+    const keyValue = line.match(/^("?)([A-Za-z0-9_.-]+)\1\s*=\s*(.*)$/);
+    if (!keyValue || !current) {
+      return;
+    }
+    const key = keyValue[2];
+    const value = keyValue[3];
+
+    if (section === 'package') {
+      if (key === 'name') current.name = unquote(value);
+      if (key === 'version') current.version = unquote(value);
+      // Poetry < 1.2 writes category = "dev", later versions list groups = ["main", "dev"]
+      if (key === 'category') current.dev = unquote(value) === 'dev';
+      if (key === 'groups') current.dev = !/"main"/.test(value);
+    } else if (section === 'package.dependencies') {
+      current.dependencies.push(normalizePythonName(key));
+    }
+  });
+
+  const components = new Map();
+  packages.forEach(pkg => {
+    if (pkg.name) {
+      const id = normalizePythonName(pkg.name);
+      components.set(id, pkg);
+      edges.set(id, pkg.dependencies);
+    }
+  });
+  // Drop edges to packages that are not locked (e.g. extras that were not selected)
+  edges.forEach((children, id) => edges.set(id, children.filter(child => components.has(child))));
+
+  const dependedOn = new Set();
+  edges.forEach(children => children.forEach(child => dependedOn.add(child)));
+  const directIds = Array.from(components.keys()).filter(id => !dependedOn.has(id));
+
+  return {
+    dependencies: buildTreeFromGraph(directIds, edges, id => {
+      const pkg = components.get(id);
+      const node = createEcosystemNode('pypi', pkg.name, pkg.version);
+      if (pkg.dev) node.dev = true;
+      return node;
+    })
+  };
+}
+
+/**
+ * Convert Pipfile.lock to dependencies.json format ("default" and "develop" packages)
+ */
+function convertPipfileLockToDependencies(pipfileLock) {
+  const dependencies = [];
+  ['default', 'develop'].forEach(group => {
+    Object.keys(pipfileLock[group] || {}).forEach(name => {
+      const entry = pipfileLock[group][name];
+      const version = (entry.version || '').replace(/^===?/, '') || 'unknown';
+      const node = createEcosystemNode('pypi', name, version);
+      if (group === 'develop') node.dev = true;
+      dependencies.push(node);
+    });
+  });
+  return { dependencies };
+}
+
+/**
+ * Convert pip freeze / requirements.txt to dependencies.json format
+ * Pinned requirements (name==version) keep their version; other specifiers are kept as written
+ */
+function convertRequirementsToDependencies(text) {
+  const dependencies = [];
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+#.*$/, '').replace(/\\$/, '').trim();
+    if (!line || line.startsWith('#') || line.startsWith('-')) {
+      return;
+    }
+
+    // name[extras] <specifier> ; markers   or   name @ url
+    const match = line.split(';')[0].match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*(?:(===?)\s*([^\s,]+)|([<>!~=][^@]*?)|@\s*\S+)?\s*(?:--hash\S*.*)?$/);
+    if (!match) {
+      return;
+    }
+    const version = match[3] || (match[4] ? match[4].trim() : 'unknown');
+    dependencies.push(createEcosystemNode('pypi', match[1], version));
+  });
+  return { dependencies };
+}
+
+/**
+ * Convert go.mod and/or `go mod graph` output to dependencies.json format
+ * With graph lines the tree follows the requirement graph at the selected (highest)
+ * version of every module, as minimal version selection does. With go.mod alone, every
+ * requirement is listed, indirect ones flagged, and replace directives applied
+ */
+function convertGoModToDependencies(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const graphLines = lines.filter(line => /^\S+ \S+@v\S+$/.test(line));
+
+  if (graphLines.length > 0) {
+    const selected = new Map();
+    const roots = [];
+    const select = (modulePath, version) => {
+      if (!selected.has(modulePath) || compareVersions(version, selected.get(modulePath), 'golang') > 0) {
+        selected.set(modulePath, version);
+      }
+    };
+
+    const requirements = [];
+    graphLines.forEach(line => {
+      const [from, to] = line.split(' ');
+      const [fromPath, fromVersion] = from.split('@');
+      const [toPath, toVersion] = to.split('@');
+      if (!fromVersion && !roots.includes(fromPath)) roots.push(fromPath);
+      if (fromVersion) select(fromPath, fromVersion);
+      select(toPath, toVersion);
+      requirements.push({ fromPath, fromVersion, toPath });
+    });
+
+    // Only the edges of the selected version of each module make up the build list
+    const edges = new Map();
+    requirements.forEach(req => {
+      if (req.fromVersion && req.fromVersion !== selected.get(req.fromPath)) return;
+      if (!edges.has(req.fromPath)) edges.set(req.fromPath, []);
+      if (!edges.get(req.fromPath).includes(req.toPath)) edges.get(req.fromPath).push(req.toPath);
+    });
+
+    const directIds = [];
+    roots.forEach(root => (edges.get(root) || []).forEach(id => {
+      if (!directIds.includes(id)) directIds.push(id);
+    }));
+
+    return {
+      dependencies: buildTreeFromGraph(directIds, edges, id => createEcosystemNode('golang', id, selected.get(id)))
+    };
+  }
+
+  const requires = [];
+  const replaces = new Map();
+  let block = null;
+  lines.forEach(line => {
+    const blockStart = line.match(/^(require|replace|exclude|retract)\s*\($/);
+    if (blockStart) {
+      block = blockStart[1];
+      return;
+    }
+    if (line === ')') {
+      block = null;
+      return;
+    }
+
+    const directive = line.match(/^(require|replace|exclude|retract)\s+(.*)$/);
+    const kind = directive ? directive[1] : block;
+    const body = directive ? directive[2] : line;
+    if (kind === 'require') {
+      const match = body.match(/^(\S+)\s+(\S+)(\s*\/\/\s*indirect)?/);
+      if (match) requires.push({ path: match[1], version: match[2], indirect: Boolean(match[3]) });
+    } else if (kind === 'replace') {
+      const match = body.match(/^(\S+)(?:\s+\S+)?\s*=>\s*(\S+)(?:\s+(\S+))?/);
+      if (match) replaces.set(match[1], { path: match[2], version: match[3] || null });
+    }
+  });
+
+  return {
+    dependencies: requires.map(req => {
+      const replacement = replaces.get(req.path);
+      const node = createEcosystemNode('golang', req.path, replacement && replacement.version ? replacement.version : req.version);
+      if (replacement) node.replacedBy = replacement.version ? `${replacement.path}@${replacement.version}` : replacement.path;
+      if (req.indirect) node.indirect = true;
+      return node;
+    })
+  };
+}
+
+/**
+ * Convert a NuGet packages.lock.json to dependencies.json format
+ * Direct and project references of every target framework are merged
+ */
+function convertNugetLockToDependencies(lockfile) {
+  const dependencies = [];
+  const seen = new Set();
+
+  Object.keys(lockfile.dependencies || {}).forEach(framework => {
+    // Runtime specific graphs ("net6.0/win-x64") repeat the framework's packages
+    if (framework.includes('/')) {
+      return;
+    }
+
+    const entries = new Map();
+    Object.keys(lockfile.dependencies[framework]).forEach(name => {
+      entries.set(name.toLowerCase(), Object.assign({ name: name }, lockfile.dependencies[framework][name]));
+    });
+
+    const edges = new Map();
+    entries.forEach((entry, id) => {
+      edges.set(id, Object.keys(entry.dependencies || {}).map(child => child.toLowerCase()).filter(child => entries.has(child)));
+    });
+
+    const directIds = Array.from(entries.keys()).filter(id => {
+      const entry = entries.get(id);
+      const key = `${id}@${entry.resolved}`;
+      if ((entry.type !== 'Direct' && entry.type !== 'Project') || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    dependencies.push(...buildTreeFromGraph(directIds, edges, id => {
+      const entry = entries.get(id);
+      return createEcosystemNode('nuget', entry.name, entry.resolved || 'project');
+    }));
+  });
+
+  return { dependencies };
+}
+
+/**
+ * Detect text (non-JSON) dependency formats from the file name and content
+ */
+function detectTextDependencyFormat(text, baseName) {
+  if (baseName === 'poetry.lock' || (/^\[\[package\]\]\s*$/m.test(text) && /^name\s*=\s*"/m.test(text))) {
+    return 'poetry-lock';
+  }
+  if (baseName === 'go.mod' || /^module\s+\S+/m.test(text) || /^\S+ \S+@v\d\S*$/m.test(text)) {
+    return 'go-mod';
+  }
+  if (/<bom[\s>]/.test(text) && text.includes('cyclonedx')) {
+    return 'cyclonedx-xml';
+  }
+  if (/^\s*digraph\s+"/m.test(text) && text.includes('->')) {
+    return 'maven-dot';
+  }
+  if (/^#\s*$/m.test(text) && /^\S+ [\w.-]+:[\w.-]+:\S+$/m.test(text)) {
+    return 'maven-tgf';
+  }
+  if (/^(\[[A-Z]+\]\s)?(?:[| ] {2})*[+\\]- [\w.-]+:[\w.-]+:/m.test(text)) {
+    return 'maven-tree';
+  }
+  if (/^(?:[| ] {4})*[+\\]--- /m.test(text)) {
+    return 'gradle';
+  }
+  if (/^requirements.*\.txt$/.test(baseName) || /^[A-Za-z0-9][A-Za-z0-9._-]*(\[[^\]]*\])?\s*===?\s*\S+/m.test(text)) {
+    return 'requirements';
+  }
+  return null;
+}
+
+/**
+ * Detect the format of an uploaded dependencies file
+ * Returns 'tree', 'package-json', 'npm-lockfile', 'npm-ls', 'maven-tree', 'maven-dot',
+ * 'maven-tgf', 'gradle', 'cyclonedx', 'cyclonedx-xml', 'spdx', 'poetry-lock', 'pipfile-lock',
+ * 'requirements', 'go-mod', 'nuget-lock' or null when unrecognized
+ */
+function detectDependencyFormat(content, fileName) {
+  const text = content.replace(/^\uFEFF/, '');
+  const baseName = path.basename(fileName || '').toLowerCase();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return detectTextDependencyFormat(text, baseName);
+  }
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const values = data.dependencies && typeof data.dependencies === 'object' ? Object.values(data.dependencies) : [];
+  const isNugetLock = values.length > 0 && values.every(framework => framework && typeof framework === 'object' &&
+    Object.values(framework).every(entry => entry && typeof entry === 'object' && entry.type !== undefined));
+
+  if (baseName === 'pipfile.lock' || (data._meta && (data.default || data.develop))) {
+    return 'pipfile-lock';
+  }
+  if (baseName === 'packages.lock.json' || (typeof data.version === 'number' && isNugetLock)) {
+    return 'nuget-lock';
+  }
+
+  if (data.bomFormat === 'CycloneDX') {
+    return 'cyclonedx';
+  }
+  if (data.spdxVersion) {
+    return 'spdx';
+  }
+  if (data.lockfileVersion !== undefined || baseName === 'package-lock.json' || baseName === 'npm-shrinkwrap.json') {
+    return 'npm-lockfile';
+  }
+  if (Array.isArray(data.dependencies)) {
+    return 'tree';
+  }
+  if (values.length > 0 && values.every(value => value && typeof value === 'object')) {
+    return 'npm-ls';
+  }
+  if (values.every(value => typeof value === 'string') &&
+      (data.dependencies || data.devDependencies || baseName === 'package.json')) {
+    return 'package-json';
+  }
+  return null;
+}
+
+/**
+ * Parse an uploaded dependencies file into dependencies.json format
+ */
+function parseDependencyTree(content, format) {
+  const text = content.replace(/^\uFEFF/, '');
+  switch (format) {
+    case 'maven-tree':
+      return convertMavenTreeToDependencies(text);
+    case 'maven-dot':
+      return convertMavenDotToDependencies(text);
+    case 'maven-tgf':
+      return convertMavenTgfToDependencies(text);
+    case 'gradle':
+      return convertGradleToDependencies(text);
+    case 'cyclonedx-xml':
+      return convertCycloneDxXmlToDependencies(text);
+    case 'poetry-lock':
+      return convertPoetryLockToDependencies(text);
+    case 'requirements':
+      return convertRequirementsToDependencies(text);
+    case 'go-mod':
+      return convertGoModToDependencies(text);
+  }
+
+  const data = JSON.parse(text);
+  switch (format) {
+    case 'npm-lockfile':
+      return convertNpmLockfileToDependencies(data);
+    case 'npm-ls':
+      return convertNpmLsToDependencies(data);
+    case 'cyclonedx':
+      return convertCycloneDxToDependencies(data);
+    case 'spdx':
+      return convertSpdxToDependencies(data);
+    case 'pipfile-lock':
+      return convertPipfileLockToDependencies(data);
+    case 'nuget-lock':
+      return convertNugetLockToDependencies(data);
+    case 'package-json':
+      return convertPackageJsonToDependencies(data);
+    default:
+      return data;
+  }
+}
+
+/**
+ * Identity of the project whose dependencies a file lists, as { name, version, packageUrl }
+ * Read from the root of npm files, SBOMs, go.mod, Maven trees and dependencies.json
+ * (optional top-level name, version and purl); null when the file does not tell
+ */
+function parseProjectIdentity(content, format) {
+  const text = content.replace(/^\uFEFF/, '');
+  // A root package URL that does not parse, or has a malformed escape ("%zz"), is dropped and
+  // the component name identifies the project
+  const parseRootPackageUrl = packageUrl => {
+    try {
+      return parsePackageUrl(packageUrl);
+    } catch (error) {
+      if (error instanceof URIError) return null;
+      throw error;
+    }
+  };
+  const identity = (name, version, packageUrl, ecosystem) => {
+    const parsed = parseRootPackageUrl(packageUrl);
+    if (!name && !parsed) return null;
+    const purl = parsed ? packageUrl : buildPackageUrl({ ...dependencyCoordinates({ name, ecosystem }), ecosystem }, version);
+    return { name: name || parsed.name, version: version || null, packageUrl: purl || null };
+  };
+
+  switch (format) {
+    case 'maven-tree': {
+      const rootLine = text.split(/\r?\n/)
+        .map(line => line.replace(/^\[[A-Z]+\]\s?/, '').trim())
+        .find(line => /^[\w.-]+:[\w.-]+:[\w.-]+:[^\s:]+(:[^\s:]+)*$/.test(line));
+      const coordinate = rootLine ? parseMavenCoordinate(rootLine) : null;
+      return coordinate
+        ? identity(`${coordinate.groupId}:${coordinate.artifactId}`, coordinate.version, null, 'maven')
+        : null;
+    }
+    case 'go-mod': {
+      const module = text.match(/^\s*module\s+"?([^\s"]+)"?/m);
+      return module ? identity(module[1], null, null, 'golang') : null;
+    }
+    case 'cyclonedx-xml': {
+      const $ = cheerio.load(text, { xmlMode: true });
+      const $root = $('bom > metadata > component').first();
+      if ($root.length === 0) return null;
+      const group = $root.children('group').text().trim();
+      const name = $root.children('name').text().trim();
+      return identity(group ? `${group}/${name}` : name, $root.children('version').text().trim() || null,
+        $root.children('purl').text().trim() || null, null);
+    }
+  }
+  if (['gradle', 'maven-dot', 'maven-tgf', 'poetry-lock', 'requirements'].includes(format)) {
+    return null;
+  }
+
+  const data = JSON.parse(text);
+  switch (format) {
+    case 'npm-lockfile':
+    case 'npm-ls':
+    case 'package-json':
+      return identity(data.name, data.version, null, 'npm');
+    case 'cyclonedx': {
+      const root = data.metadata && data.metadata.component;
+      return root ? identity(root.group ? `${root.group}/${root.name}` : root.name, root.version, root.purl, null) : null;
+    }
+    case 'spdx': {
+      const rootId = (data.documentDescribes || [])[0];
+      const root = (data.packages || []).find(pkg => pkg.SPDXID === rootId);
+      if (!root) return null;
+      const purlRef = (root.externalRefs || []).find(ref => ref.referenceType === 'purl');
+      return identity(root.name, root.versionInfo, purlRef ? purlRef.referenceLocator : null, null);
+    }
+    case 'tree':
+      return identity(data.name, data.version, data.purl, null);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  detectDependencyFormat,
+  parseDependencyTree,
+  parseProjectIdentity
+};
@@ -0,0 +1,185 @@
+const { renderHtmlReport } = require('./render');
+const { renderSarifReport } = require('./sarif');
+const { renderOpenVex, renderCycloneDxVex } = require('./vex');
+const { findingSeverity } = require('./severity');
+const { escapeXml } = require('./xml');
+
+// Every triaged finding with the bucket it is in and its package name
+function triagedEntries(result) {
+  return [
+    ...result.confirmed.map(entry => ({ bucket: 'confirmed', name: entry.dependencyName, entry })),
+    ...result.needsReview.map(entry => ({ bucket: 'needs_review', name: entry.dependencyName, entry })),
+    ...result.falsePositives.directDependencies.map(entry => ({ bucket: 'direct_false_positive', name: entry.dependencyName, entry })),
+    ...result.falsePositives.nestedLibraries.map(entry => ({ bucket: 'nested_false_positive', name: entry.libraryName, entry }))
+  ];
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows of values into CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Render an analysis result as CSV, one row per finding
+ */
+function renderCsvReport(result) {
+  const header = [
+    'bucket', 'status', 'reasonCode', 'dependency', 'reportedVersion', 'installedVersions', 'cve',
+    'severity', 'cvssV3Score', 'cvssV2Score', 'upgradeDirectDependencies', 'paths', 'scopes', 'reason'
+  ];
+  const rows = triagedEntries(result).map(({ bucket, name, entry }) => [
+    bucket,
+    entry.status,
+    entry.reasonCode,
+    entry.namespace ? `${entry.namespace}:${name}` : name,
+    entry.reportedVersion,
+    (entry.actualVersions || []).join(' '),
+    entry.cve,
+    entry.severity,
+    entry.cvssV3Score,
+    entry.cvssV2Score,
+    (entry.upgradeDirectDependencies || []).join(' '),
+    (entry.paths || []).map(p => p.path).join('; '),
+    (entry.scopes || []).join(' '),
+    entry.reason
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+function markdownCell(value) {
+  return (value === null || value === undefined ? '' : String(value)).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownTable(entries, nameKey) {
+  const rows = entries.map(entry => `| ${[
+    entry.namespace ? `${entry.namespace}:${entry[nameKey]}` : entry[nameKey],
+    entry.reportedVersion,
+    (entry.actualVersions || []).join(', '),
+    entry.cve,
+    entry.severity,
+    entry.reason
+  ].map(markdownCell).join(' | ')} |`);
+  return [
+    '| Dependency | Reported Version | Installed Versions | CVE | Severity | Reason |',
+    '|------------|------------------|--------------------|-----|----------|--------|',
+    ...rows
+  ].join('\n');
+}
+
+/**
+ * Render an analysis result as Markdown, e.g. for a pull request comment
+ */
+function renderMarkdownReport(result) {
+  const { summary } = result;
+  const section = (title, entries, nameKey, emptyText) =>
+    `## ${title}\n\n${entries.length === 0 ? `_${emptyText}_` : markdownTable(entries, nameKey)}\n`;
+
+  return [
+    '# OWASP False Positives Report\n',
+    `Generated: ${new Date().toISOString()}\n`,
+    '| Total OWASP Findings | Confirmed | Direct False Positives | Nested False Positives | Needs Review |',
+    '|----------------------|-----------|------------------------|------------------------|--------------|',
+    `| ${summary.totalOWASPFindings} CVEs in ${summary.totalVulnerableDependencies} dependencies | ${summary.confirmed} | ` +
+      `${summary.directFalsePositives} | ${summary.nestedFalsePositives} | ${summary.needsReview} |\n`,
+    section('Confirmed Vulnerabilities', result.confirmed, 'dependencyName', 'No confirmed vulnerabilities.'),
+    section('Needs Review', result.needsReview, 'dependencyName', 'No findings need review.'),
+    section('Direct Dependencies False Positives', result.falsePositives.directDependencies, 'dependencyName',
+      'No false positives found in direct dependencies.'),
+    section('Nested Libraries False Positives', result.falsePositives.nestedLibraries, 'libraryName',
+      'No false positives found in nested libraries.')
+  ].join('\n');
+}
+
+/**
+ * Render an analysis result as a JUnit XML report: one test case per finding, classed by
+ * package. Confirmed findings fail, findings that need review are skipped and false
+ * positives pass, with the reason as output
+ */
+function renderJunitReport(result) {
+  const entries = triagedEntries(result);
+  const failures = entries.filter(({ bucket }) => bucket === 'confirmed').length;
+  const skipped = entries.filter(({ bucket }) => bucket === 'needs_review').length;
+
+  const testCases = entries.map(({ bucket, name, entry }) => {
+    const className = `${entry.namespace ? `${entry.namespace}:` : ''}${name}@${entry.reportedVersion}`;
+    const severity = (findingSeverity(entry) || 'unknown').toUpperCase();
+    let body;
+    if (bucket === 'confirmed') {
+      body = `      <failure message="${escapeXml(`${entry.cve} (${severity}) is confirmed`)}" type="${escapeXml(severity)}">` +
+        `${escapeXml(entry.reason)}</failure>\n`;
+    } else if (bucket === 'needs_review') {
+      body = `      <skipped message="${escapeXml(`Needs review: ${entry.reason}`)}"/>\n`;
+    } else {
+      body = `      <system-out>${escapeXml(`False positive: ${entry.reason}`)}</system-out>\n`;
+    }
+    return `    <testcase classname="${escapeXml(className)}" name="${escapeXml(entry.cve)}" time="0">\n${body}    </testcase>\n`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="owasp-fp" tests="${entries.length}" failures="${failures}" skipped="${skipped}">\n` +
+    `  <testsuite name="OWASP Dependency-Check triage" tests="${entries.length}" failures="${failures}" ` +
+    `errors="0" skipped="${skipped}" timestamp="${new Date().toISOString().split('.')[0]}">\n` +
+    testCases +
+    '  </testsuite>\n' +
+    '</testsuites>\n';
+}
+
+/**
+ * Export formats of an analysis: file extension, content type and renderer
+ * Renderers take the analysis result and options: manifest (the dependency file, for SARIF),
+ * product and projectName (for VEX documents)
+ */
+const EXPORT_FORMATS = {
+  json: {
+    extension: 'json',
+    contentType: 'application/json',
+    render: result => JSON.stringify({
+      confirmed: result.confirmed,
+      falsePositives: result.falsePositives,
+      needsReview: result.needsReview,
+      summary: result.summary
+    }, null, 2)
+  },
+  csv: { extension: 'csv', contentType: 'text/csv', render: renderCsvReport },
+  html: { extension: 'html', contentType: 'text/html', render: renderHtmlReport },
+  md: { extension: 'md', contentType: 'text/markdown', render: renderMarkdownReport },
+  junit: { extension: 'junit.xml', contentType: 'application/xml', render: renderJunitReport },
+  sarif: {
+    extension: 'sarif',
+    contentType: 'application/sarif+json',
+    render: (result, options) => JSON.stringify(renderSarifReport(result, { manifest: options.manifest }), null, 2)
+  },
+  openvex: {
+    extension: 'openvex.json',
+    contentType: 'application/json',
+    render: (result, options) => JSON.stringify(renderOpenVex(result, options), null, 2)
+  },
+  'cyclonedx-vex': {
+    extension: 'cdx.json',
+    contentType: 'application/vnd.cyclonedx+json',
+    render: (result, options) => JSON.stringify(renderCycloneDxVex(result, options), null, 2)
+  }
+};
+
+/**
+ * Render an analysis result in one of EXPORT_FORMATS
+ */
+function renderExport(result, format, options = {}) {
+  return EXPORT_FORMATS[format].render(result, options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsv,
+  renderCsvReport,
+  renderMarkdownReport,
+  renderJunitReport,
+  renderExport
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+// Stages of an analysis job, with a label and the progress it starts at in percent;
+// matching advances from its start to the next stage's as findings are matched
+const JOB_STAGES = {
+  queued: { label: 'Waiting for a worker', percent: 0 },
+  reading: { label: 'Reading uploads', percent: 2 },
+  parsing_report: { label: 'Parsing report', percent: 5 },
+  building_tree: { label: 'Building dependency tree', percent: 35 },
+  matching: { label: 'Matching findings', percent: 45 },
+  applying_policy: { label: 'Applying policy', percent: 90 },
+  saving: { label: 'Saving analysis', percent: 95 },
+  completed: { label: 'Completed', percent: 100 },
+  failed: { label: 'Failed', percent: 100 }
+};
+
+/**
+ * The public state of a job, as the API returns it
+ */
+function describeJob(job) {
+  let percent = JOB_STAGES[job.stage].percent;
+  if (job.stage === 'matching' && job.total > 0) {
+    percent += Math.floor((JOB_STAGES.applying_policy.percent - percent) * job.done / job.total);
+  }
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stageLabel: JOB_STAGES[job.stage].label,
+    done: job.done,
+    total: job.total,
+    percent: percent,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Create a queue of background jobs, each run in a worker thread running workerFile with the
+ * job's workerData. At most options.concurrency jobs run at once, the others wait in order;
+ * finished jobs are kept for options.retention milliseconds.
+ * A worker posts { type: 'progress', stage, done, total } messages, then
+ * { type: 'completed', ...output } or { type: 'failed', message, inputError }
+ */
+function createJobQueue(workerFile, options = {}) {
+  const concurrency = options.concurrency || 2;
+  const retention = options.retention || 60 * 60 * 1000;
+  const jobs = new Map();
+  const waiting = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+
+  const update = (job, changes) => {
+    Object.assign(job, changes);
+    events.emit(job.id, describeJob(job));
+  };
+
+  const finish = (job, changes) => {
+    if (job.status === 'completed' || job.status === 'failed') {
+      return;
+    }
+    update(job, { ...changes, finishedAt: new Date().toISOString() });
+    running--;
+    job.resolve(job);
+    startNext();
+  };
+
+  const start = job => {
+    running++;
+    update(job, { status: 'running', stage: 'reading', startedAt: new Date().toISOString() });
+    const worker = new Worker(workerFile, { workerData: job.workerData });
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        update(job, { stage: message.stage, done: message.done || 0, total: message.total || 0 });
+      } else if (message.type === 'completed') {
+        const { type, ...output } = message;
+        try {
+          update(job, { stage: 'saving' });
+          finish(job, { status: 'completed', stage: 'completed', result: job.complete(output) });
+        } catch (error) {
+          finish(job, { status: 'failed', stage: 'failed', error: error.message });
+        }
+      } else if (message.type === 'failed') {
+        finish(job, { status: 'failed', stage: 'failed', error: message.message, inputError: Boolean(message.inputError) });
+      }
+    });
+    worker.on('error', error => finish(job, { status: 'failed', stage: 'failed', error: error.message }));
+    worker.on('exit', code => finish(job, { status: 'failed', stage: 'failed', error: `Worker stopped with exit code ${code}` }));
+  };
+
+  const startNext = () => {
+    while (running < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  };
+
+  // Forget jobs that finished longer than the retention time ago
+  const prune = () => {
+    const cutoff = Date.now() - retention;
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    });
+  };
+
+  return {
+    /**
+     * Queue a job. complete(output) runs in the main thread with the worker's output when it
+     * succeeds and returns the job's result. job.finished resolves with the job once it is done
+     */
+    submit(workerData, complete) {
+      prune();
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        stage: 'queued',
+        done: 0,
+        total: 0,
+        result: null,
+        error: null,
+        inputError: false,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        workerData,
+        complete
+      };
+      job.finished = new Promise(resolve => {
+        job.resolve = resolve;
+      });
+      jobs.set(job.id, job);
+      waiting.push(job);
+      startNext();
+      return job;
+    },
+
+    /**
+     * A job by id, null when it is unknown or was forgotten
+     */
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * Call listener with the job's state on every change; returns the function that stops it
+     */
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    }
+  };
+}
+
+module.exports = {
+  JOB_STAGES,
+  describeJob,
+  createJobQueue
+};
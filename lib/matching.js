@@ -0,0 +1,231 @@
+const { dependencyCoordinates, coordinatesMatch } = require('./coordinates');
+
+// Matching of report names to packages in the dependency tree. An exact name or a project alias
+// is certain and a normalized name nearly so; a joined npm scope, a CPE product name or a similar
+// name is only a candidate, and findings matched that way need review
+const MATCH_METHODS = {
+  exact: { label: 'exact name', confidence: 1 },
+  alias: { label: 'project alias', confidence: 1 },
+  normalized: { label: 'normalized name', confidence: 0.95 },
+  cpe: { label: 'CPE product name', confidence: 0.8 },
+  scope: { label: 'npm scope', confidence: 0.75 },
+  fuzzy: { label: 'similar name', confidence: 0.85 }
+};
+
+// Matches below this confidence are candidates, not matches
+const MATCH_THRESHOLD = 0.9;
+
+// Similar names below this similarity are not candidates
+const MIN_SIMILARITY = 0.8;
+const MAX_CANDIDATES = 5;
+
+const ARCHIVE_EXTENSION = /\.(jar|war|ear|aar|zip|nupkg|whl|gem|tgz|tar\.gz)$/i;
+
+// A trailing version, with Maven qualifiers: "-5.3.0", "-2.9.8.RELEASE", "-31.1-jre"
+const VERSION_SUFFIX = /-v?\d+(\.\d+)+(?:[.-](?:release|final|ga|jre|android|snapshot|sp\d*|rc\d*|m\d+|alpha\d*|beta\d*))*$/i;
+
+/**
+ * Normalize a package name for comparison: lowercase, without archive extension or trailing
+ * version, with runs of "-", "_" and "." as "-" ("Spring_Core-5.3.0.RELEASE.jar" is "spring-core")
+ */
+function normalizePackageName(name) {
+  return (name || '').trim().toLowerCase()
+    .replace(ARCHIVE_EXTENSION, '')
+    .replace(VERSION_SUFFIX, '')
+    .replace(/[-_.]+/g, '-');
+}
+
+/**
+ * The name of a package as users write it: "@babel/core", "org.springframework:spring-core" or "qs"
+ */
+function packageLabel(coordinates) {
+  if (!coordinates.namespace) return coordinates.name;
+  return coordinates.namespace.startsWith('@')
+    ? `${coordinates.namespace}/${coordinates.name}`
+    : `${coordinates.namespace}:${coordinates.name}`;
+}
+
+// "@babel/core" joined as "babel-core", the name the package had before it was scoped
+function scopeJoinedName(coordinates) {
+  return coordinates.namespace && coordinates.namespace.startsWith('@')
+    ? normalizePackageName(`${coordinates.namespace.slice(1)}-${coordinates.name}`)
+    : null;
+}
+
+// Product names of CPEs such as "cpe:2.3:a:apache:log4j:2.14.0" or "cpe:/a:apache:log4j:2.14.0"
+function cpeProducts(cpes) {
+  return Array.from(new Set((cpes || []).map(cpe => {
+    const parts = cpe.split(':');
+    const product = cpe.startsWith('cpe:2.3:') ? parts[4] : parts[3];
+    return product && product !== '*' ? normalizePackageName(product) : null;
+  }).filter(Boolean)));
+}
+
+/**
+ * Similarity of two names, from 0 to 1: one minus their edit distance (insertions, deletions,
+ * substitutions and transpositions of adjacent characters) relative to the longer name
+ */
+function nameSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const distances = [Array.from({ length: b.length + 1 }, (value, index) => index)];
+  for (let i = 1; i <= a.length; i++) {
+    distances[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return 1 - distances[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+// Namespace and ecosystem have to agree when both sides know them, like coordinatesMatch without the name
+function identityCompatible(a, b) {
+  if (a.namespace && b.namespace && a.namespace.toLowerCase() !== b.namespace.toLowerCase()) return false;
+  if (a.ecosystem && b.ecosystem && a.ecosystem !== b.ecosystem) return false;
+  return true;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (key === null) return;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+/**
+ * Create the name matcher for the dependency occurrences of a tree (see extractAllDependencies)
+ * aliases maps report names to tree names, e.g. { "babel-core": "@babel/core" }
+ * match(finding, coordinates) returns { occurrences, method, confidence, treeName, candidates }:
+ * the occurrences of the best match, how it was found, and for uncertain matches every candidate
+ * package with its method and confidence. occurrences is empty when nothing matches at all
+ */
+function createPackageMatcher(occurrences, aliases = {}) {
+  const byName = groupBy(occurrences, dep => dep.coordinates.name.toLowerCase());
+  const byNormalizedName = groupBy(occurrences, dep => normalizePackageName(dep.coordinates.name));
+  const byScopeJoinedName = groupBy(occurrences, dep => scopeJoinedName(dep.coordinates));
+  const aliasTargets = new Map(Object.entries(aliases)
+    .map(([from, to]) => [from.trim().toLowerCase(), dependencyCoordinates({ name: to.trim() })]));
+
+  // Normalized tree names by length: names whose lengths differ too much cannot be similar enough
+  const namesByLength = groupBy(Array.from(byNormalizedName.keys()), name => name.length);
+  const similarNamesCache = new Map();
+
+  // The normalized tree names similar to a normalized report name, with their similarity;
+  // computed once per report name
+  const similarNames = name => {
+    if (!similarNamesCache.has(name)) {
+      const similar = [];
+      namesByLength.forEach((treeNames, length) => {
+        if (Math.abs(name.length - length) / Math.max(name.length, length) > 1 - MIN_SIMILARITY) return;
+        treeNames.forEach(treeName => {
+          const similarity = nameSimilarity(name, treeName);
+          if (similarity >= MIN_SIMILARITY) {
+            similar.push({ name: treeName, similarity });
+          }
+        });
+      });
+      similarNamesCache.set(name, similar);
+    }
+    return similarNamesCache.get(name);
+  };
+
+  const exactMatches = coordinates =>
+    (byName.get(coordinates.name.toLowerCase()) || []).filter(dep => coordinatesMatch(dep.coordinates, coordinates));
+
+  const result = (method, deps) => ({
+    occurrences: deps,
+    method: method,
+    confidence: MATCH_METHODS[method].confidence,
+    treeName: packageLabel(deps[0].coordinates),
+    candidates: []
+  });
+
+  return {
+    match(finding, coordinates) {
+      const exact = exactMatches(coordinates);
+      if (exact.length > 0) {
+        return result('exact', exact);
+      }
+
+      // Aliases are looked up by the name the report shows, with or without its namespace
+      const aliasKeys = [finding.dependencyName, coordinates.name, packageLabel(coordinates)]
+        .filter(Boolean).map(name => name.toLowerCase());
+      const aliasTarget = aliasKeys.map(key => aliasTargets.get(key)).find(Boolean);
+      const aliased = aliasTarget ? exactMatches(aliasTarget) : [];
+      if (aliased.length > 0) {
+        return result('alias', aliased);
+      }
+
+      const normalizedName = normalizePackageName(coordinates.name);
+      const normalized = (byNormalizedName.get(normalizedName) || [])
+        .filter(dep => identityCompatible(dep.coordinates, coordinates));
+      if (normalized.length > 0) {
+        return result('normalized', normalized);
+      }
+
+      // Candidates, each package with the most confident way it was found
+      const candidates = new Map();
+      const addCandidates = (deps, method, confidence = MATCH_METHODS[method].confidence) => {
+        deps.filter(dep => identityCompatible(dep.coordinates, coordinates)).forEach(dep => {
+          const label = packageLabel(dep.coordinates);
+          if (!candidates.has(label)) {
+            candidates.set(label, { name: label, method, confidence, occurrences: [] });
+          }
+          const candidate = candidates.get(label);
+          if (candidate.confidence < confidence) {
+            Object.assign(candidate, { method, confidence });
+          }
+          if (!candidate.occurrences.includes(dep)) {
+            candidate.occurrences.push(dep);
+          }
+        });
+      };
+
+      // "babel-core" in the report and "@babel/core" in the tree, or the other way round
+      addCandidates(byScopeJoinedName.get(normalizedName) || [], 'scope');
+      const joined = scopeJoinedName(coordinates);
+      if (joined) {
+        addCandidates(byNormalizedName.get(joined) || [], 'scope');
+      }
+      cpeProducts(finding.cpes).forEach(product => addCandidates(byNormalizedName.get(product) || [], 'cpe'));
+      similarNames(normalizedName).forEach(({ name, similarity }) => {
+        addCandidates(byNormalizedName.get(name), 'fuzzy', Math.round(similarity * MATCH_METHODS.fuzzy.confidence * 100) / 100);
+      });
+
+      const ranked = Array.from(candidates.values())
+        .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name))
+        .slice(0, MAX_CANDIDATES);
+      if (ranked.length === 0) {
+        return { occurrences: [], method: null, confidence: 0, treeName: null, candidates: [] };
+      }
+      return {
+        occurrences: ranked[0].occurrences,
+        method: ranked[0].method,
+        confidence: ranked[0].confidence,
+        treeName: ranked[0].name,
+        candidates: ranked.map(({ name, method, confidence }) => ({ name, method, confidence }))
+      };
+    }
+  };
+}
+
+module.exports = {
+  MATCH_METHODS,
+  MATCH_THRESHOLD,
+  normalizePackageName,
+  nameSimilarity,
+  createPackageMatcher
+};
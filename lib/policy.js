@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { SEVERITY_LEVELS, normalizeSeverity, findingSeverity, meetsSeverity } = require('./severity');
+
+// Triage policy: rules evaluated after the analysis, each matching findings by status, severity,
+// ecosystem, scope, CVE id and package, with an action:
+// - force-review moves the finding into needs review (e.g. never clear Critical CVEs automatically)
+// - auto-accept accepts the risk, moving it into the false positives (e.g. ignore devDependencies)
+// - fail-build keeps the finding where it is, but fails the build while it is confirmed or needs review
+// exceptions.maxDays sends manual exceptions (not exploitable, accepted risk) that do not expire
+// within that many days of being recorded back to review
+const POLICY_ACTIONS = ['force-review', 'auto-accept', 'fail-build'];
+const MATCH_CONDITIONS = ['status', 'reasonCode', 'severity', 'minSeverity', 'ecosystem', 'scope', 'cve', 'package'];
+const STATUSES = ['confirmed', 'false_positive', 'needs_review'];
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+// A glob pattern such as "CVE-2021-*" or "org.apache.*:*" as a case-insensitive regular expression
+function globPattern(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse a policy file, YAML or JSON (JSON is YAML too)
+ * Throws when the file is not valid YAML
+ */
+function parsePolicy(content) {
+  try {
+    return YAML.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    // The first line names the problem and its position; the rest is an excerpt of the file
+    throw new Error(error.message.split('\n')[0].replace(/:$/, ''));
+  }
+}
+
+/**
+ * Check a parsed policy; returns an error message, or null when it is valid
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'A policy must be an object with rules and/or exceptions';
+  }
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    return 'rules must be a list';
+  }
+  const ids = new Set();
+  for (const [index, rule] of (policy.rules || []).entries()) {
+    const name = rule && rule.id ? `Rule "${rule.id}"` : `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !rule.id.trim()) {
+      return `${name} needs an id`;
+    }
+    if (ids.has(rule.id)) {
+      return `${name} is defined twice`;
+    }
+    ids.add(rule.id);
+    if (!POLICY_ACTIONS.includes(rule.action)) {
+      return `${name}: action must be one of ${POLICY_ACTIONS.join(', ')}`;
+    }
+    const match = rule.match || {};
+    if (typeof match !== 'object' || Array.isArray(match)) {
+      return `${name}: match must be an object`;
+    }
+    for (const [condition, value] of Object.entries(match)) {
+      if (!MATCH_CONDITIONS.includes(condition)) {
+        return `${name}: unknown condition "${condition}". Use ${MATCH_CONDITIONS.join(', ')}`;
+      }
+      if (asList(value).some(item => typeof item !== 'string' || !item.trim())) {
+        return `${name}: ${condition} must be a string or a list of strings`;
+      }
+    }
+    if (match.status && asList(match.status).some(status => !STATUSES.includes(status))) {
+      return `${name}: status must be ${STATUSES.join(', ')}`;
+    }
+    const severities = [...(match.severity ? asList(match.severity) : []), ...(match.minSeverity ? asList(match.minSeverity) : [])];
+    if (severities.some(severity => !normalizeSeverity(severity))) {
+      return `${name}: severities are ${SEVERITY_LEVELS.join(', ')}`;
+    }
+  }
+  const exceptions = policy.exceptions;
+  if (exceptions !== undefined && (!exceptions || typeof exceptions !== 'object' ||
+    (exceptions.maxDays !== undefined && !(Number.isInteger(exceptions.maxDays) && exceptions.maxDays > 0)))) {
+    return 'exceptions.maxDays must be a positive number of days';
+  }
+  return null;
+}
+
+// Names a package pattern is compared with: "log4j-core", "org.apache.logging.log4j:log4j-core", "@babel/core"
+function packageNames(entry) {
+  const name = entry.dependencyName || entry.libraryName;
+  if (!entry.namespace) return [name];
+  return [name, `${entry.namespace}:${name}`, `${entry.namespace}/${name}`];
+}
+
+/**
+ * Tell whether every scope of a finding is one of a rule's scopes: a finding also reached through
+ * another scope (e.g. runtime as well as dev) is not matched, nor is one without scopes
+ */
+function scopesMatch(entry, scopes) {
+  const listed = asList(scopes).map(scope => scope.toLowerCase());
+  const entryScopes = entry.scopes || [];
+  return entryScopes.length > 0 && entryScopes.every(scope => listed.includes(scope.toLowerCase()));
+}
+
+/**
+ * Tell whether a triaged finding meets every condition of a rule
+ */
+function ruleMatches(rule, entry) {
+  const match = rule.match || {};
+  const anyOf = (condition, test) => match[condition] === undefined || asList(match[condition]).some(test);
+  return (match.scope === undefined || scopesMatch(entry, match.scope)) &&
+    anyOf('status', status => entry.status === status) &&
+    anyOf('reasonCode', code => entry.reasonCode === code) &&
+    anyOf('severity', severity => findingSeverity(entry) === normalizeSeverity(severity)) &&
+    anyOf('minSeverity', severity => meetsSeverity(entry, severity)) &&
+    anyOf('ecosystem', ecosystem => (entry.ecosystem || '').toLowerCase() === ecosystem.toLowerCase()) &&
+    anyOf('cve', pattern => globPattern(pattern).test(entry.cve || '')) &&
+    anyOf('package', pattern => packageNames(entry).some(name => globPattern(pattern).test(name)));
+}
+
+// The rule an action cites
+function citation(rule) {
+  return { ruleId: rule.id, action: rule.action, description: rule.description || null };
+}
+
+/**
+ * Check a manual exception against exceptions.maxDays: it has to expire, at most maxDays after it was recorded
+ * Returns the reason it breaks the policy, or null
+ */
+function exceptionViolation(decision, maxDays) {
+  if (!decision.expiresAt) {
+    return `the exception does not expire, but the policy requires exceptions to expire within ${maxDays} days`;
+  }
+  // Whole days from the day it was recorded (UTC) to its expiry date
+  const recorded = (decision.createdAt ? new Date(decision.createdAt) : new Date()).toISOString().split('T')[0];
+  const days = (Date.parse(decision.expiresAt) - Date.parse(recorded)) / (24 * 60 * 60 * 1000);
+  return days > maxDays
+    ? `the exception expires on ${decision.expiresAt}, more than the ${maxDays} days the policy allows`
+    : null;
+}
+
+/**
+ * Evaluate a (validated) policy on an analysis result ({ confirmed, falsePositives, needsReview })
+ * Rules apply in order: the first force-review or auto-accept rule that matches moves the finding
+ * (findings with an active manual decision keep it), and every matching fail-build rule is recorded.
+ * Moved findings get reasonCode "policy_review" or "policy_accepted" and keep their automatic
+ * classification in automatic; every finding a rule fired on lists it in policyActions
+ * Returns the new triage and the policy summary: counts, and whether the build fails
+ */
+function applyPolicy(triage, policy) {
+  const rules = policy.rules || [];
+  const maxDays = policy.exceptions && policy.exceptions.maxDays;
+  const confirmed = [];
+  const falsePositives = { directDependencies: [], nestedLibraries: [] };
+  const needsReview = [];
+  const summary = { name: policy.name || null, rules: rules.length, forcedReview: 0, autoAccepted: 0, buildFailures: 0, failed: false };
+
+  const evaluate = (entry, origin) => {
+    const { dependencyName, libraryName, ...details } = entry;
+    const name = dependencyName || libraryName;
+    const actions = [];
+    let moved = null;
+
+    const manual = entry.manualDecision && !entry.manualDecision.expired;
+    if (manual && maxDays && entry.status === 'false_positive') {
+      const violation = exceptionViolation(entry.manualDecision, maxDays);
+      if (violation) {
+        actions.push({ ruleId: 'exceptions.maxDays', action: 'force-review', description: violation });
+        moved = 'force-review';
+      }
+    }
+    rules.filter(rule => ruleMatches(rule, entry)).forEach(rule => {
+      if (rule.action === 'fail-build') {
+        actions.push(citation(rule));
+      } else if (!moved && !manual) {
+        actions.push(citation(rule));
+        moved = rule.action;
+      }
+    });
+
+    if (actions.length === 0) {
+      origin.push(entry);
+      return;
+    }
+    // A finding already where the rule would move it stays as it is, citing the rule
+    if ((moved === 'force-review' && entry.status === 'needs_review') ||
+      (moved === 'auto-accept' && entry.status === 'false_positive')) {
+      moved = null;
+    }
+
+    const reason = action => `Policy rule ${action.ruleId} (${action.action})${action.description ? `: ${action.description}` : ''}`;
+    const movedBy = actions.find(action => action.action === moved);
+    const decided = movedBy ? {
+      ...details,
+      automatic: entry.automatic || { status: entry.status, reasonCode: entry.reasonCode, reason: entry.reason },
+      reasonCode: moved === 'force-review' ? 'policy_review' : 'policy_accepted',
+      reason: reason(movedBy),
+      policyActions: actions
+    } : { ...entry, policyActions: actions };
+
+    if (moved === 'force-review') {
+      summary.forcedReview++;
+      needsReview.push({ dependencyName: name, ...decided, status: 'needs_review' });
+    } else if (moved === 'auto-accept') {
+      summary.autoAccepted++;
+      const nested = origin === falsePositives.nestedLibraries ||
+        (origin !== falsePositives.directDependencies && entry.dependencyLevel === 'nested');
+      const accepted = { ...decided, upgradeDirectDependencies: [], status: 'false_positive' };
+      if (nested) {
+        falsePositives.nestedLibraries.push({ libraryName: name, ...accepted });
+      } else {
+        falsePositives.directDependencies.push({ dependencyName: name, ...accepted });
+      }
+    } else {
+      origin.push(decided);
+    }
+  };
+
+  triage.confirmed.forEach(entry => evaluate(entry, confirmed));
+  triage.needsReview.forEach(entry => evaluate(entry, needsReview));
+  triage.falsePositives.directDependencies.forEach(entry => evaluate(entry, falsePositives.directDependencies));
+  triage.falsePositives.nestedLibraries.forEach(entry => evaluate(entry, falsePositives.nestedLibraries));
+
+  // Only findings that are still confirmed or need review fail the build
+  summary.buildFailures = [...confirmed, ...needsReview]
+    .filter(entry => (entry.policyActions || []).some(action => action.action === 'fail-build')).length;
+  summary.failed = summary.buildFailures > 0;
+  return { triage: { confirmed, falsePositives, needsReview }, summary };
+}
+
+// Projects are keys of a prototype-less object, so any project name is safe to use
+function readPolicies(file) {
+  const policies = Object.create(null);
+  return fs.existsSync(file) ? Object.assign(policies, JSON.parse(fs.readFileSync(file, 'utf-8'))) : policies;
+}
+
+function writePolicies(file, policies) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(policies, null, 2));
+}
+
+/**
+ * The policy of a project, null when it has none
+ * All projects share one JSON file: { "<project>": policy }
+ */
+function loadPolicy(file, projectName) {
+  return readPolicies(file)[projectName] || null;
+}
+
+/**
+ * Store a (validated) policy for a project, replacing its previous one
+ */
+function savePolicy(file, projectName, policy) {
+  const policies = readPolicies(file);
+  policies[projectName] = policy;
+  writePolicies(file, policies);
+  return policy;
+}
+
+/**
+ * Remove the policy of a project; returns false when it has none
+ */
+function deletePolicy(file, projectName) {
+  const policies = readPolicies(file);
+  if (!policies[projectName]) {
+    return false;
+  }
+  delete policies[projectName];
+  writePolicies(file, policies);
+  return true;
+}
+
+module.exports = {
+  POLICY_ACTIONS,
+  parsePolicy,
+  validatePolicy,
+  applyPolicy,
+  loadPolicy,
+  savePolicy,
+  deletePolicy
+};
@@ -0,0 +1,243 @@
+const path = require('path');
+const YAML = require('yaml');
+const { SEVERITY_LEVELS, findingSeverity } = require('./severity');
+
+// Batch analysis of a portfolio: an archive (or a multi-file upload) with a manifest pairing each
+// project's OWASP report with its dependency tree, e.g. manifest.yaml:
+//   projects:
+//     - name: billing
+//       report: billing/dependency-check-report.json
+//       dependencies: billing/package-lock.json
+// Paths are relative to the manifest's directory
+const MANIFEST_PATTERN = /(^|\/)manifest\.(json|ya?ml)$/i;
+const MAX_PROJECTS = 200;
+
+/**
+ * The manifest among the names of an archive's files: the least nested manifest.json,
+ * manifest.yaml or manifest.yml; null when there is none
+ */
+function findManifest(fileNames) {
+  const manifests = fileNames.filter(name => MANIFEST_PATTERN.test(name));
+  manifests.sort((a, b) => a.split('/').length - b.split('/').length);
+  return manifests[0] || null;
+}
+
+/**
+ * Parse a manifest, YAML or JSON
+ * Throws when the file is not valid YAML
+ */
+function parseManifest(content) {
+  try {
+    return YAML.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(error.message.split('\n')[0].replace(/:$/, ''));
+  }
+}
+
+/**
+ * Check a parsed manifest against the uploaded file names, paths being relative to baseDir
+ * Returns an error message, or null when it is valid
+ */
+function validateManifest(manifest, fileNames, baseDir = '') {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.projects)) {
+    return 'The manifest must have a list of projects';
+  }
+  if (manifest.projects.length === 0) {
+    return 'The manifest lists no projects';
+  }
+  if (manifest.projects.length > MAX_PROJECTS) {
+    return `The manifest lists ${manifest.projects.length} projects, at most ${MAX_PROJECTS} are analyzed at once`;
+  }
+  const files = new Set(fileNames);
+  const names = new Set();
+  for (const [index, project] of manifest.projects.entries()) {
+    const label = project && typeof project.name === 'string' && project.name.trim()
+      ? `Project "${project.name}"`
+      : `Project ${index + 1}`;
+    if (!project || typeof project !== 'object' || typeof project.name !== 'string' || !project.name.trim()) {
+      return `${label} needs a name`;
+    }
+    if (names.has(project.name.trim())) {
+      return `${label} is listed twice`;
+    }
+    names.add(project.name.trim());
+    for (const field of ['report', 'dependencies']) {
+      if (typeof project[field] !== 'string' || !project[field].trim()) {
+        return `${label} needs a ${field} file`;
+      }
+      if (!files.has(manifestPath(baseDir, project[field]))) {
+        return `${label}: ${project[field]} is not in the upload`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Name of the uploaded file a manifest path refers to
+ */
+function manifestPath(baseDir, file) {
+  return path.posix.join(baseDir || '.', file.trim().replace(/\\/g, '/'));
+}
+
+// Package of a finding, with its namespace (group) when it has one
+function packageLabel(entry) {
+  const name = entry.dependencyName || entry.libraryName;
+  return entry.namespace ? `${entry.namespace}:${name}` : name;
+}
+
+// When a project reports a CVE more than once, its most severe classification counts
+const STATUS_RANK = { confirmed: 0, needs_review: 1, false_positive: 2 };
+
+const severityRank = severity => SEVERITY_LEVELS.indexOf(severity);
+
+/**
+ * Aggregate the analyses of a batch into a portfolio view
+ * projects: [{ name, status, error, analysis }], analysis being the stored analysis of a
+ * completed project. Returns:
+ * - totals: projects, analyzed and failed, findings by classification (and out of scope, for
+ *   filtered results), confirmed findings by severity (unknown when the report gives none), distinct and shared CVEs, projects
+ *   failing their policy
+ * - projects: the per-project breakdown
+ * - cves: each CVE with the projects it was reported in and its classification there, those
+ *   found in most projects first
+ * - falsePositiveSources: the packages behind the most false positives, with their reason codes
+ * - falsePositiveReasons: false positives by reason code
+ */
+function buildPortfolio(projects) {
+  const totals = {
+    projects: projects.length,
+    analyzed: 0,
+    failed: 0,
+    findings: 0,
+    confirmed: 0,
+    falsePositives: 0,
+    needsReview: 0,
+    outOfScope: 0,
+    confirmedBySeverity: Object.fromEntries([...SEVERITY_LEVELS].reverse().concat('unknown').map(level => [level, 0])),
+    cves: 0,
+    sharedCves: 0,
+    policyFailures: 0
+  };
+  const cves = new Map();
+  const sources = new Map();
+  const reasons = {};
+
+  const breakdown = projects.map(project => {
+    if (!project.analysis) {
+      totals.failed++;
+      return { name: project.name, status: 'failed', error: project.error || null, analysisId: null, summary: null };
+    }
+    const { result } = project.analysis;
+    const { summary } = result;
+    totals.analyzed++;
+    totals.findings += summary.totalOWASPFindings;
+    totals.confirmed += summary.confirmed;
+    totals.falsePositives += summary.falsePositives;
+    totals.needsReview += summary.needsReview;
+    totals.outOfScope += summary.outOfScope || 0;
+    if (summary.policy && summary.policy.failed) totals.policyFailures++;
+    result.confirmed.forEach(entry => {
+      totals.confirmedBySeverity[findingSeverity(entry) || 'unknown']++;
+    });
+
+    const falsePositives = [...result.falsePositives.directDependencies, ...result.falsePositives.nestedLibraries];
+    const entries = [...result.confirmed, ...result.needsReview, ...falsePositives];
+    entries.filter(entry => entry.cve).forEach(entry => {
+      const id = entry.cve.toUpperCase();
+      if (!cves.has(id)) {
+        cves.set(id, { cve: id, severity: null, cvssScore: null, projects: new Map() });
+      }
+      const cve = cves.get(id);
+      const severity = findingSeverity(entry);
+      if (severity && severityRank(severity) > severityRank(cve.severity)) cve.severity = severity;
+      const score = entry.cvssV3Score !== null && entry.cvssV3Score !== undefined ? entry.cvssV3Score : entry.cvssV2Score;
+      if (score !== null && score !== undefined && (cve.cvssScore === null || score > cve.cvssScore)) cve.cvssScore = score;
+
+      const existing = cve.projects.get(project.name);
+      if (existing) {
+        existing.packages.add(packageLabel(entry));
+        if (STATUS_RANK[entry.status] < STATUS_RANK[existing.status]) existing.status = entry.status;
+      } else {
+        cve.projects.set(project.name, {
+          name: project.name,
+          analysisId: project.analysis.id,
+          status: entry.status,
+          packages: new Set([packageLabel(entry)])
+        });
+      }
+    });
+
+    falsePositives.forEach(entry => {
+      const label = packageLabel(entry);
+      if (!sources.has(label)) {
+        sources.set(label, { package: label, findings: 0, cves: new Set(), projects: new Set(), reasonCodes: {} });
+      }
+      const source = sources.get(label);
+      source.findings++;
+      if (entry.cve) source.cves.add(entry.cve.toUpperCase());
+      source.projects.add(project.name);
+      source.reasonCodes[entry.reasonCode] = (source.reasonCodes[entry.reasonCode] || 0) + 1;
+      reasons[entry.reasonCode] = (reasons[entry.reasonCode] || 0) + 1;
+    });
+
+    return {
+      name: project.name,
+      status: 'completed',
+      error: null,
+      analysisId: project.analysis.id,
+      summary: {
+        findings: summary.totalOWASPFindings,
+        confirmed: summary.confirmed,
+        falsePositives: summary.falsePositives,
+        needsReview: summary.needsReview,
+        nonProduction: summary.nonProduction || 0,
+        policyFailed: Boolean(summary.policy && summary.policy.failed)
+      }
+    };
+  });
+
+  const cveList = [...cves.values()].map(cve => {
+    const affected = [...cve.projects.values()].map(project => ({ ...project, packages: [...project.packages].sort() }));
+    return {
+      cve: cve.cve,
+      severity: cve.severity,
+      cvssScore: cve.cvssScore,
+      projectCount: affected.length,
+      confirmedIn: affected.filter(project => project.status === 'confirmed').length,
+      needsReviewIn: affected.filter(project => project.status === 'needs_review').length,
+      falsePositiveIn: affected.filter(project => project.status === 'false_positive').length,
+      projects: affected
+    };
+  }).sort((a, b) =>
+    b.projectCount - a.projectCount ||
+    b.confirmedIn - a.confirmedIn ||
+    severityRank(b.severity) - severityRank(a.severity) ||
+    a.cve.localeCompare(b.cve));
+  totals.cves = cveList.length;
+  totals.sharedCves = cveList.filter(cve => cve.projectCount > 1).length;
+
+  const falsePositiveSources = [...sources.values()].map(source => ({
+    package: source.package,
+    findings: source.findings,
+    cves: source.cves.size,
+    projects: [...source.projects].sort(),
+    reasonCodes: source.reasonCodes
+  })).sort((a, b) => b.findings - a.findings || b.projects.length - a.projects.length || a.package.localeCompare(b.package));
+
+  return {
+    totals: totals,
+    projects: breakdown,
+    cves: cveList,
+    falsePositiveSources: falsePositiveSources,
+    falsePositiveReasons: reasons
+  };
+}
+
+module.exports = {
+  findManifest,
+  parseManifest,
+  validateManifest,
+  manifestPath,
+  buildPortfolio
+};
@@ -0,0 +1,509 @@
+const { DECISIONS } = require('./decisions');
+const { MATCH_METHODS } = require('./matching');
+
+// Standalone HTML reports of an analysis and of a comparison of two analyses
+
+function escapeHtml(text) {
+  return (text === null || text === undefined ? '' : text.toString())
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Group per-CVE results by dependency and reported version
+ */
+function groupByDependency(items, nameKey) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = `${item[nameKey]}@${item.reportedVersion}`;
+    if (!groups.has(key)) {
+      groups.set(key, { name: item[nameKey], first: item, items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+  return Array.from(groups.values());
+}
+
+function renderCve(item) {
+  const severity = (item.severity || 'UNKNOWN').toLowerCase();
+  const scores = [];
+  if (item.cvssV3Score !== null && item.cvssV3Score !== undefined) scores.push(`CVSS v3: ${item.cvssV3Score}`);
+  if (item.cvssV2Score !== null && item.cvssV2Score !== undefined) scores.push(`CVSS v2: ${item.cvssV2Score}`);
+  if (item.cwes && item.cwes.length > 0) scores.push(item.cwes.join(', '));
+
+  return `
+        <li class="cve-item">
+            <span class="severity severity-${escapeHtml(severity)}">${escapeHtml(item.severity || 'UNKNOWN')}</span>
+            <strong>${escapeHtml(item.cve || 'N/A')}</strong>
+            ${scores.length > 0 ? `<span class="cve-scores">${escapeHtml(scores.join(' · '))}</span>` : ''}
+            ${item.description ? `<div class="cve-description">${escapeHtml(item.description)}</div>` : ''}
+            ${renderDecision(item.manualDecision)}
+            ${renderPolicyActions(item)}
+        </li>
+    `;
+}
+
+const POLICY_ACTION_LABELS = {
+  'force-review': 'Forced to review',
+  'auto-accept': 'Risk accepted',
+  'fail-build': 'Fails the build'
+};
+
+// The policy rules that fired on a finding, each citing its rule; fail-build rules
+// only fail the build while the finding is confirmed or needs review
+function renderPolicyActions(item) {
+  const actions = item.policyActions || [];
+  if (actions.length === 0) {
+    return '';
+  }
+  const label = action => (action.action === 'fail-build' && item.status === 'false_positive'
+    ? 'Would fail the build'
+    : POLICY_ACTION_LABELS[action.action]);
+  const lines = actions.map(action =>
+    `<div>${escapeHtml(`${label(action)}: rule ${action.ruleId}${action.description ? ` (${action.description})` : ''}`)}</div>`
+  ).join('');
+  const failsBuild = item.status !== 'false_positive' && actions.some(action => action.action === 'fail-build');
+  return `<div class="decision-info${failsBuild ? ' policy-fail' : ''}"><strong>Policy:</strong>${lines}</div>`;
+}
+
+// Where a manual triage decision came from; expired decisions are flagged and no longer applied
+function renderDecision(decision) {
+  if (!decision) {
+    return '';
+  }
+  const details = [`by ${decision.author}`];
+  if (decision.createdAt) details.push(`on ${decision.createdAt.split('T')[0]}`);
+  if (decision.expiresAt) details.push(`${decision.expired ? 'expired' : 'expires'} ${decision.expiresAt}`);
+  return `
+            <div class="decision-info${decision.expired ? ' decision-expired' : ''}">
+                <strong>${decision.expired ? 'Expired manual decision (not applied)' : 'Manual decision'}:</strong>
+                ${escapeHtml(DECISIONS[decision.decision] || decision.decision)} ${escapeHtml(details.join(', '))}
+                <div>${escapeHtml(decision.justification)}</div>
+            </div>
+    `;
+}
+
+/**
+ * Render how the report name was matched to the tree, when it is not the tree's name
+ * Uncertain matches list every candidate package
+ */
+function renderNameMatch(item) {
+  if (!item.nameMatch) {
+    return '';
+  }
+  const describe = match => `${match.name || match.treeName} (${MATCH_METHODS[match.method].label}, confidence ${match.confidence})`;
+  return item.nameMatch.candidates.length > 0
+    ? `<div class="upgrade-info name-match"><strong>Possible matches:</strong> ${escapeHtml(item.nameMatch.candidates.map(describe).join(', '))}</div>`
+    : `<div class="upgrade-info name-match"><strong>Matched as:</strong> ${escapeHtml(describe(item.nameMatch))}</div>`;
+}
+
+/**
+ * Render every path to the package; paths at other versions than the reported one are dimmed
+ */
+function renderPaths(item) {
+  if (!item.paths || item.paths.length === 0) {
+    return item.parentDependency ? `<div class="parent-info"><strong>Parent:</strong> ${escapeHtml(item.parentDependency)}</div>` : '';
+  }
+  const paths = item.paths.map(p => `<li class="${p.matched === false ? 'path-other' : 'path-affected'}">${escapeHtml(p.path)}` +
+    `${p.scope ? `<span class="path-scope">${escapeHtml(p.scope)}</span>` : ''}</li>`).join('');
+  const upgrade = item.upgradeDirectDependencies && item.upgradeDirectDependencies.length > 0
+    ? `<div class="upgrade-info"><strong>Upgrade:</strong> ${escapeHtml(item.upgradeDirectDependencies.join(', '))}</div>`
+    : '';
+  return `<div class="path-info"><strong>Paths:</strong><ul class="path-list">${paths}</ul></div>${upgrade}`;
+}
+
+/**
+ * Render results grouped by dependency, listing every CVE of each dependency
+ */
+function renderResultItems(items, nameKey) {
+  return groupByDependency(items, nameKey).map(group => {
+    const item = group.first;
+    const reasons = Array.from(new Set(group.items.map(i => i.reason)));
+    return `
+            <div class="result-item">
+                <h4>${escapeHtml(group.name)}</h4>
+                <div class="version-info">
+                    <strong>Reported Version:</strong> ${escapeHtml(item.reportedVersion)}
+                    ${item.actualVersions ? `<br><strong>Actual Versions:</strong> ${escapeHtml(item.actualVersions.join(', '))}` : ''}
+                </div>
+                ${renderNameMatch(item)}
+                ${renderPaths(item)}
+                <ul class="cve-list">${group.items.map(renderCve).join('')}</ul>
+                <div class="reason">${escapeHtml(reasons.join(' '))}</div>
+            </div>
+        `;
+  }).join('');
+}
+
+// Stylesheet shared by the standalone HTML reports
+const REPORT_STYLE = `        body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 20px;
+        background: #EEF2F5;
+        color: #025064;
+    }
+    .header {
+        background: #317D9B;
+        color: white;
+        padding: 30px;
+        border-radius: 8px;
+        margin-bottom: 30px;
+        text-align: center;
+    }
+    h1 { 
+        margin: 0 0 10px 0;
+        color: white;
+    }
+    .timestamp { 
+        opacity: 0.9; 
+        font-size: 14px;
+        color: white;
+    }
+    .summary {
+        background: white;
+        padding: 20px;
+        border-radius: 8px;
+        margin-bottom: 30px;
+        box-shadow: 0 2px 4px rgba(2, 80, 100, 0.1);
+    }
+    .summary h2 { 
+        margin-top: 0; 
+        color: #317D9B;
+    }
+    .stat { 
+        display: inline-block;
+        margin-right: 30px;
+        font-size: 16px;
+        color: #025064;
+    }
+    .stat strong { 
+        color: #317D9B;
+    }
+    .section {
+        background: white;
+        padding: 25px;
+        border-radius: 8px;
+        margin-bottom: 20px;
+        box-shadow: 0 2px 4px rgba(2, 80, 100, 0.1);
+    }
+    .section h2 {
+        color: #317D9B;
+        margin-top: 0;
+        border-bottom: 2px solid #317D9B;
+        padding-bottom: 10px;
+    }
+    .result-item {
+        background: #EEF2F5;
+        padding: 15px;
+        margin: 15px 0;
+        border-radius: 6px;
+        border-left: 4px solid #025064;
+    }
+    .section-confirmed .result-item { border-left-color: #C0392B; }
+    .section-review .result-item { border-left-color: #D68910; }
+    .result-item h4 {
+        margin: 0 0 10px 0;
+        color: #025064;
+        font-size: 18px;
+    }
+    .path-list {
+        list-style: none;
+        padding: 0;
+        margin: 4px 0 8px 0;
+        font-family: monospace;
+        font-size: 13px;
+    }
+    .path-other { opacity: 0.6; }
+    .path-scope {
+        margin-left: 6px;
+        padding: 0 6px;
+        background: white;
+        border-radius: 4px;
+        font-size: 12px;
+    }
+    .path-info, .upgrade-info {
+        margin: 8px 0;
+        font-size: 14px;
+    }
+    .version-info, .parent-info {
+        margin: 8px 0;
+        font-size: 14px;
+        color: #025064;
+    }
+    .reason {
+        margin-top: 10px;
+        padding: 10px;
+        background: white;
+        border-radius: 4px;
+        font-size: 14px;
+        line-height: 1.5;
+        color: #025064;
+    }
+    .cve-list {
+        list-style: none;
+        padding: 0;
+        margin: 10px 0;
+    }
+    .cve-item {
+        padding: 8px 0;
+        border-top: 1px solid white;
+        font-size: 14px;
+    }
+    .cve-scores {
+        margin-left: 8px;
+        opacity: 0.8;
+    }
+    .cve-description {
+        margin-top: 4px;
+        font-size: 13px;
+    }
+    .decision-info {
+        margin-top: 6px;
+        padding: 6px 10px;
+        background: white;
+        border-left: 3px solid #317D9B;
+        font-size: 13px;
+    }
+    .decision-expired { border-left-color: #D68910; }
+    .policy-fail { border-left-color: #C0392B; }
+    .severity {
+        display: inline-block;
+        padding: 2px 8px;
+        margin-right: 6px;
+        border-radius: 4px;
+        font-size: 12px;
+        font-weight: 600;
+        color: white;
+        background: #317D9B;
+    }
+    .severity-critical { background: #8B1E1E; }
+    .severity-high { background: #C0392B; }
+    .severity-medium, .severity-moderate { background: #D68910; }
+    .severity-low { background: #317D9B; }
+    .no-results {
+        color: #025064;
+        font-style: italic;
+        padding: 20px;
+        text-align: center;
+    }
+    @media print {
+        body { background: white; }
+        .section { box-shadow: none; border: 1px solid #317D9B; }
+    }`;
+
+/**
+ * Render an analysis result ({ confirmed, falsePositives, needsReview, summary }) as a standalone HTML report,
+ * the same report the results page downloads
+ */
+function renderHtmlReport(result) {
+  const { confirmed, falsePositives, needsReview, summary } = result;
+  const timestamp = new Date().toLocaleString();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>OWASP False Positives Report</title>
+    <style>
+${REPORT_STYLE}
+</style>
+</head>
+<body>
+<div class="header">
+    <h1>OWASP False Positives Report</h1>
+    <div class="timestamp">Generated: ${escapeHtml(timestamp)}</div>
+</div>
+
+<div class="summary">
+    <h2>Summary</h2>
+    <div class="stat"><strong>Total OWASP Findings:</strong> ${summary.totalOWASPFindings} CVEs in ${summary.totalVulnerableDependencies} dependencies</div>
+    <div class="stat"><strong>Confirmed:</strong> ${summary.confirmed}</div>
+    <div class="stat"><strong>Direct False Positives:</strong> ${summary.directFalsePositives}</div>
+    <div class="stat"><strong>Nested False Positives:</strong> ${summary.nestedFalsePositives}</div>
+    <div class="stat"><strong>Needs Review:</strong> ${summary.needsReview}</div>
+    ${summary.policy ? `<div class="stat"><strong>Policy${summary.policy.name ? ` ${escapeHtml(summary.policy.name)}` : ''}:</strong> ` +
+      `${summary.policy.forcedReview} forced to review, ${summary.policy.autoAccepted} accepted` +
+      `${summary.policy.failed ? `, build fails (${summary.policy.buildFailures} findings)` : ''}</div>` : ''}
+    ${summary.scopeFilter ? `<div class="stat"><strong>Production Scope Only:</strong> ${summary.outOfScope} findings in development or test dependencies left out</div>` : ''}
+</div>
+
+<div class="section section-confirmed">
+    <h2>Confirmed Vulnerabilities</h2>
+    ${confirmed.length === 0
+        ? '<p class="no-results">No confirmed vulnerabilities.</p>'
+        : renderResultItems(confirmed, 'dependencyName')
+    }
+</div>
+
+<div class="section section-review">
+    <h2>Needs Review</h2>
+    ${needsReview.length === 0
+        ? '<p class="no-results">No findings need review.</p>'
+        : renderResultItems(needsReview, 'dependencyName')
+    }
+</div>
+
+<div class="section">
+    <h2>Direct Dependencies False Positives</h2>
+    ${falsePositives.directDependencies.length === 0 
+        ? '<p class="no-results">No false positives found in direct dependencies.</p>'
+        : renderResultItems(falsePositives.directDependencies, 'dependencyName')
+    }
+</div>
+
+<div class="section">
+    <h2>Nested Libraries False Positives</h2>
+    ${falsePositives.nestedLibraries.length === 0
+        ? '<p class="no-results">No false positives found in nested libraries.</p>'
+        : renderResultItems(falsePositives.nestedLibraries, 'libraryName')
+    }
+</div>
+</body>
+</html>
+`;
+}
+
+const STATUS_LABELS = {
+  confirmed: 'Confirmed',
+  false_positive: 'False positive',
+  needs_review: 'Needs review'
+};
+
+// One side of a compared finding: its classification and versions in that scan
+function renderComparisonState(state) {
+  if (!state) {
+    return '<td class="compare-absent">Not reported</td>';
+  }
+  const versions = state.actualVersions.length > 0 ? ` (installed ${state.actualVersions.join(', ')})` : '';
+  return `<td class="status-${escapeHtml(state.status)}">
+                <strong>${escapeHtml(STATUS_LABELS[state.status] || state.status)}</strong>
+                <div class="version-info">${escapeHtml(state.reportedVersion || 'N/A')}${escapeHtml(versions)}</div>
+                <div class="compare-reason">${escapeHtml(state.reason)}</div>
+            </td>`;
+}
+
+function renderComparisonTable(entries, emptyText) {
+  if (entries.length === 0) {
+    return `<p class="no-results">${escapeHtml(emptyText)}</p>`;
+  }
+  const rows = entries.map(entry => `
+        <tr>
+            <td><strong>${escapeHtml(entry.namespace ? `${entry.namespace}:${entry.dependencyName}` : entry.dependencyName)}</strong></td>
+            <td>
+                <span class="severity severity-${escapeHtml((entry.severity || 'UNKNOWN').toLowerCase())}">${escapeHtml(entry.severity || 'UNKNOWN')}</span>
+                ${escapeHtml(entry.cve)}
+            </td>
+            ${renderComparisonState(entry.baseline)}
+            ${renderComparisonState(entry.current)}
+        </tr>`).join('');
+  return `<table class="compare-table">
+        <thead><tr><th>Dependency</th><th>CVE</th><th>Baseline</th><th>Current</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Project, date and input files of one of the compared scans
+function describeScan(scan) {
+  if (!scan) {
+    return '';
+  }
+  return [
+    scan.projectName,
+    scan.createdAt ? new Date(scan.createdAt).toLocaleString() : null,
+    scan.report && scan.dependencies ? `${scan.report.fileName} / ${scan.dependencies.fileName}` : null
+  ].filter(Boolean).join(' · ');
+}
+
+// Additional styles of the comparison report
+const COMPARISON_STYLE = `
+    .compare-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 14px;
+    }
+    .compare-table th, .compare-table td {
+        text-align: left;
+        vertical-align: top;
+        padding: 8px;
+        border-bottom: 1px solid #EEF2F5;
+    }
+    .compare-table td:nth-child(3), .compare-table td:nth-child(4) { width: 32%; }
+    .compare-reason {
+        font-size: 13px;
+        opacity: 0.8;
+    }
+    .compare-absent { font-style: italic; opacity: 0.6; }
+    .status-confirmed strong { color: #C0392B; }
+    .status-needs_review strong { color: #D68910; }
+    .status-false_positive strong { color: #317D9B; }`;
+
+/**
+ * Render a comparison of two analyses (see compareAnalyses) as a standalone HTML report,
+ * baseline and current scan side by side
+ */
+function renderHtmlComparison(comparison) {
+  const { summary } = comparison;
+  const timestamp = new Date().toLocaleString();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>OWASP Scan Comparison</title>
+    <style>
+${REPORT_STYLE}
+${COMPARISON_STYLE}
+</style>
+</head>
+<body>
+<div class="header">
+    <h1>OWASP Scan Comparison</h1>
+    <div class="timestamp">Generated: ${escapeHtml(timestamp)}</div>
+</div>
+
+<div class="summary">
+    <h2>Summary</h2>
+    <div class="version-info"><strong>Baseline:</strong> ${escapeHtml(describeScan(comparison.baseline))}</div>
+    <div class="version-info"><strong>Current:</strong> ${escapeHtml(describeScan(comparison.current))}</div>
+    <div class="stat"><strong>New:</strong> ${summary.newFindings}</div>
+    <div class="stat"><strong>Resolved:</strong> ${summary.resolved}</div>
+    <div class="stat"><strong>Classification Changed:</strong> ${summary.changed}</div>
+    <div class="stat"><strong>Still Present:</strong> ${summary.stillPresent}</div>
+</div>
+
+<div class="section">
+    <h2>New Findings</h2>
+    ${renderComparisonTable(comparison.newFindings, 'No new findings.')}
+</div>
+
+<div class="section">
+    <h2>Resolved Findings</h2>
+    ${renderComparisonTable(comparison.resolved, 'No resolved findings.')}
+</div>
+
+<div class="section">
+    <h2>Classification Changed</h2>
+    ${renderComparisonTable(comparison.changed, 'No finding changed classification.')}
+</div>
+
+<div class="section">
+    <h2>Still Present</h2>
+    ${renderComparisonTable(comparison.stillPresent, 'No findings present in both scans.')}
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtmlReport,
+  renderHtmlComparison
+};
@@ -0,0 +1,812 @@
+const cheerio = require('cheerio');
+const path = require('path');
+const { parsePackageUrl } = require('./coordinates');
+
+/**
+ * Split an archive file name such as "log4j-core-2.14.0.jar" into name and version
+ * Returns null when the file name does not carry a version
+ */
+function splitArchiveFileName(fileName) {
+  const base = (fileName || '').trim().replace(/\.(jar|war|ear|aar|zip|nupkg|whl|gem|tgz|tar\.gz)$/i, '');
+  if (base === (fileName || '').trim()) return null;
+
+  // The version starts at the last "-<digits>." (e.g. log4j-1.2-api-2.14.0),
+  // or at the last "-<digit>" for versions without dots
+  let separator = -1;
+  const dotted = /-\d+\./g;
+  let match;
+  while ((match = dotted.exec(base)) !== null) {
+    separator = match.index;
+  }
+  if (separator === -1) {
+    separator = base.search(/-\d[^-]*$/);
+  }
+  if (separator <= 0) return null;
+
+  return {
+    name: base.slice(0, separator),
+    version: base.slice(separator + 1)
+  };
+}
+
+/**
+ * Parse a dependency label as shown in HTML reports
+ * Understands "groupId:artifactId:version", "name:version", "name (version)" and jar file names
+ */
+function parseDependencyLabel(label) {
+  const text = (label || '').trim();
+  const identity = { dependencyName: text, version: '', ecosystem: null, namespace: null };
+
+  const parts = text.split(':').map(part => part.trim());
+  const looksLikeVersion = value => /^v?\d/.test(value || '');
+
+  if (parts.length === 3 && looksLikeVersion(parts[2])) {
+    // Maven coordinates: groupId:artifactId:version
+    identity.ecosystem = 'maven';
+    identity.namespace = parts[0];
+    identity.dependencyName = parts[1];
+    identity.version = parts[2];
+  } else if (parts.length > 1) {
+    const separator = text.lastIndexOf(':');
+    identity.dependencyName = text.slice(0, separator).trim();
+    identity.version = text.slice(separator + 1).trim();
+  } else if (/^(.+?)\s*\(([^)]+)\)/.test(text)) {
+    const match = text.match(/^(.+?)\s*\(([^)]+)\)/);
+    identity.dependencyName = match[1].trim();
+    identity.version = match[2].trim();
+  } else {
+    const archive = splitArchiveFileName(text);
+    if (archive) {
+      identity.dependencyName = archive.name;
+      identity.version = archive.version;
+    }
+  }
+
+  // npm scoped packages keep their scope as namespace
+  const scoped = identity.dependencyName.match(/^(@[^/]+)\/(.+)$/);
+  if (scoped) {
+    identity.ecosystem = 'npm';
+    identity.namespace = scoped[1];
+    identity.dependencyName = scoped[2];
+  }
+
+  return identity;
+}
+
+/**
+ * Whether a package URL has a malformed percent escape ("%zz"), which parsePackageUrl cannot decode
+ */
+function hasMalformedEscape(packageUrl) {
+  try {
+    parsePackageUrl(packageUrl);
+    return false;
+  } catch (error) {
+    if (error instanceof URIError) return true;
+    throw error;
+  }
+}
+
+/**
+ * Build a finding identity from the first usable package URL
+ */
+function identityFromPackageUrls(packageUrls) {
+  for (const packageUrl of packageUrls.filter(url => !hasMalformedEscape(url))) {
+    const parsed = parsePackageUrl(packageUrl);
+    if (parsed) {
+      return {
+        dependencyName: parsed.name,
+        version: parsed.version || '',
+        ecosystem: parsed.type,
+        namespace: parsed.namespace,
+        packageUrl: packageUrl
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pull identifiers with the given prefix (e.g. "pkg:" or "cpe:") out of free text
+ */
+function identifiersFromText(text, prefix) {
+  return (text || '').split(/[\s,]+/).filter(token => token.startsWith(prefix));
+}
+
+// First-column labels of a header row written as table cells; compared whole, since package
+// names such as paranamer-2.8.jar or dependency-check-core contain these words
+const HEADER_LABELS = ['dependency', 'dependencies', 'dependency name', 'name', 'package', 'library', 'component',
+  'version', 'cve', 'cves', 'vulnerability', 'vulnerabilities'];
+
+function isHeaderLabel(text) {
+  return HEADER_LABELS.includes(text.trim().toLowerCase());
+}
+
+/**
+ * Locate the columns of the report summary table from its header row
+ */
+function summaryTableColumns($) {
+  const columns = {
+    dependency: 0,
+    version: 1,
+    cve: 2,
+    packageUrls: null,
+    cpes: null,
+    severity: null
+  };
+
+  const headers = $('#summaryTable thead th, #summaryTable tr:first-child th').map((i, th) => $(th).text().trim().toLowerCase()).get();
+  if (headers.length === 0) {
+    return columns;
+  }
+
+  const find = predicate => {
+    const index = headers.findIndex(predicate);
+    return index === -1 ? null : index;
+  };
+
+  columns.dependency = find(h => h.startsWith('dependency')) || 0;
+  columns.version = find(h => h === 'version');
+  columns.cve = find(h => h === 'cve' || h === 'cves' || h === 'vulnerabilities');
+  columns.packageUrls = find(h => h === 'package' || h === 'packages');
+  columns.cpes = find(h => h === 'vulnerability ids' || h === 'cpe' || h === 'cpes');
+  columns.severity = find(h => h.includes('severity'));
+
+  return columns;
+}
+
+/**
+ * Split a cell listing vulnerability ids (e.g. "CVE-2021-44228, CVE-2021-45046")
+ */
+function splitVulnerabilityIds(text) {
+  const ids = (text || '').split(/[\s,;]+/).filter(id => id.length > 0 && id !== 'N/A');
+  return ids.length > 0 ? ids : ['N/A'];
+}
+
+/**
+ * Create an empty vulnerability record
+ */
+function createVulnerability(name, severity) {
+  return {
+    name: name,
+    source: null,
+    severity: (severity || 'UNKNOWN').toUpperCase(),
+    cvssV2Score: null,
+    cvssV3Score: null,
+    cwes: [],
+    description: ''
+  };
+}
+
+/**
+ * Create a finding for one vulnerability on one dependency
+ */
+function createFinding(dependency, vulnerability) {
+  return {
+    dependencyName: dependency.dependencyName,
+    version: dependency.version || 'unknown',
+    cve: vulnerability.name,
+    severity: vulnerability.severity,
+    cvssV2Score: vulnerability.cvssV2Score,
+    cvssV3Score: vulnerability.cvssV3Score,
+    cwes: vulnerability.cwes,
+    description: vulnerability.description,
+    source: vulnerability.source,
+    ecosystem: dependency.ecosystem || null,
+    namespace: dependency.namespace || null,
+    packageUrl: dependency.packageUrl || null,
+    fileName: dependency.fileName,
+    packageUrls: dependency.packageUrls || [],
+    cpes: dependency.cpes || []
+  };
+}
+
+/**
+ * Parse the "Published Vulnerabilities" section that follows a dependency header (h3)
+ * Each vulnerability starts with a paragraph holding its id in bold, followed by a
+ * description paragraph (with CWEs after a line break) and CVSS score lists
+ */
+function parseVulnerabilitySection($, $header) {
+  const vulnerabilities = [];
+  const $content = $header.nextAll('.subsectioncontent').first();
+  const $vulnHeader = $content.find('h4').filter((i, h4) => /^published vulnerabilities$/i.test($(h4).text().trim())).first();
+  if ($vulnHeader.length === 0) {
+    return vulnerabilities;
+  }
+
+  let current = null;
+  $vulnHeader.nextAll('div').first().children().each((index, element) => {
+    const $child = $(element);
+    const id = $child.is('p') ? $child.children('b').first().text().trim() : '';
+
+    if (/^[A-Z][A-Za-z0-9]*-[\w.:-]+$/.test(id)) {
+      current = createVulnerability(id);
+      const link = $child.find('a').attr('href') || '';
+      current.source = link.includes('nvd.nist.gov') ? 'NVD' : null;
+      vulnerabilities.push(current);
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    if ($child.is('ul')) {
+      // "CVSSv2: Base Score: HIGH (9.3)", "CVSSv3: Base Score: CRITICAL (10.0)" or "Unscored: Severity: moderate"
+      $child.children('li').each((i, li) => {
+        const text = $(li).text().trim();
+        const score = text.match(/Base Score:\s*([A-Za-z]+)\s*\(([\d.]+)\)/);
+        const unscored = text.match(/Severity:\s*([A-Za-z]+)/);
+
+        if (score && /^CVSSv2/i.test(text)) {
+          current.cvssV2Score = parseFloat(score[2]);
+          if (current.cvssV3Score === null) current.severity = score[1].toUpperCase();
+        } else if (score && /^CVSSv3/i.test(text)) {
+          current.cvssV3Score = parseFloat(score[2]);
+          current.severity = score[1].toUpperCase();
+        } else if (unscored && current.severity === 'UNKNOWN') {
+          current.severity = unscored[1].toUpperCase();
+        }
+      });
+    } else if ($child.is('p') && !current.description) {
+      const parts = ($child.html() || '').split(/<br\s*\/?>/i).map(part => cheerio.load(`<div>${part}</div>`)('div').text().trim());
+      current.description = parts[0];
+      current.cwes = parts.slice(1).join(' ').match(/CWE-\d+/g) || [];
+    }
+  });
+
+  return vulnerabilities;
+}
+
+/**
+ * Find the dependency section header (h3) an in-page anchor link points to
+ */
+function findDependencySection($, href) {
+  if (!href || !href.startsWith('#')) {
+    return null;
+  }
+  const anchorName = href.slice(1);
+  const $anchor = $('a[name], [id]').filter((i, el) => $(el).attr('name') === anchorName || $(el).attr('id') === anchorName).first();
+  const $header = $anchor.is('h3') ? $anchor : $anchor.closest('h3');
+  return $header.length > 0 ? $header : null;
+}
+
+// Parsing strategies, from the report formats Dependency-Check writes to the heuristics
+// HTML reports fall back to, with how far their findings can be trusted
+const PARSE_STRATEGIES = {
+  json: { label: 'Dependency-Check JSON report', confidence: 'high' },
+  xml: { label: 'Dependency-Check XML report', confidence: 'high' },
+  'summary-table': { label: 'Dependency-Check summary table', confidence: 'high' },
+  'dependency-sections': { label: 'dependency section headers', confidence: 'medium' },
+  'generic-table': { label: 'generic table rows', confidence: 'low' },
+  'class-selectors': { label: 'dependency and vulnerability classes', confidence: 'low' },
+  'list-items': { label: 'list items and text blocks', confidence: 'low' },
+  'body-text': { label: 'name and version patterns in the page text', confidence: 'low' }
+};
+
+// Skipped rows kept in the diagnostics; the count covers all of them
+const MAX_SKIPPED_ROWS = 50;
+
+/**
+ * Create the diagnostics of a report parse: the strategy that found the findings,
+ * its confidence, the rows skipped and why, and warnings about the result
+ */
+function createDiagnostics(strategy = null) {
+  return {
+    strategy: strategy,
+    confidence: null,
+    skippedRowCount: 0,
+    skippedRows: [],
+    warnings: []
+  };
+}
+
+// Cell texts of a table row, for the skipped rows of the diagnostics
+function rowText($, $row) {
+  return $row.children('td, th').map((i, cell) => $(cell).text().trim()).get().join(' | ');
+}
+
+function skipRow(diagnostics, strategy, row, text, reason) {
+  diagnostics.skippedRowCount++;
+  if (diagnostics.skippedRows.length < MAX_SKIPPED_ROWS) {
+    diagnostics.skippedRows.push({ strategy, row, text: text.replace(/\s+/g, ' ').trim().slice(0, 120), reason });
+  }
+}
+
+/**
+ * Set the confidence of a parse and warn about heuristic strategies and findings without a vulnerability id
+ */
+function completeDiagnostics(diagnostics, findings) {
+  const strategy = PARSE_STRATEGIES[diagnostics.strategy];
+  diagnostics.confidence = strategy ? strategy.confidence : 'low';
+
+  if (!strategy) {
+    diagnostics.warnings.push('The report is not a recognized Dependency-Check layout and no findings were found in it');
+  } else if (strategy.confidence === 'low') {
+    diagnostics.warnings.push(`The report is not a recognized Dependency-Check layout; findings were guessed from ${strategy.label}. ` +
+      'Dependency names, versions and vulnerabilities may be wrong');
+  } else if (strategy.confidence === 'medium') {
+    diagnostics.warnings.push(`The report has no summary table; findings were read from ${strategy.label}`);
+  }
+
+  const withoutId = findings.filter(finding => finding.cve === 'N/A').length;
+  if (withoutId > 0) {
+    diagnostics.warnings.push(`${withoutId} of ${findings.length} findings have no vulnerability id`);
+  }
+  return diagnostics;
+}
+
+/**
+ * Parse OWASP HTML report to extract dependency vulnerabilities
+ * Returns { findings, diagnostics }. The summary table of Dependency-Check reports is read first;
+ * when it yields nothing, heuristics look for dependencies elsewhere in the page, unless
+ * options.strict is set
+ */
+function parseOWASPReport(htmlContent, options = {}) {
+  const $ = cheerio.load(htmlContent);
+  const findings = [];
+  const seenFindings = new Set(); // To avoid duplicates
+  const diagnostics = createDiagnostics();
+
+  // The first strategy that finds anything is the one the findings come from
+  const attempted = strategy => {
+    if (!diagnostics.strategy && findings.length > 0) {
+      diagnostics.strategy = strategy;
+    }
+  };
+
+  // One finding is recorded per vulnerability on each dependency
+  const addFinding = (dependency, vulnerability) => {
+    const key = `${dependency.namespace || ''}:${dependency.dependencyName.toLowerCase()}:${dependency.version}:${vulnerability.name}`;
+    if (seenFindings.has(key)) {
+      return;
+    }
+    seenFindings.add(key);
+    findings.push(createFinding(dependency, vulnerability));
+  };
+
+  // Method 1: Parse from summaryTable (real OWASP Dependency-Check format)
+  // Columns are located by their header so both the real layout
+  // (Dependency, Vulnerability IDs, Package, Highest Severity, ...) and the
+  // simple layout (Dependency, Version, CVE) are understood
+  const columns = summaryTableColumns($);
+
+  $('#summaryTable tbody tr').each((index, element) => {
+    const $row = $(element);
+    const cells = $row.find('td');
+    
+    if (cells.length === 0) {
+      skipRow(diagnostics, 'summary-table', index + 1, rowText($, $row), 'no cells');
+    } else {
+      // The dependency name might be in the first cell, possibly with a link
+      const firstCell = $(cells[columns.dependency]);
+      let dependencyName = firstCell.text().trim();
+      
+      // Try to extract from link if present
+      const link = firstCell.find('a');
+      if (link.length > 0) {
+        dependencyName = link.text().trim() || dependencyName;
+      }
+      
+      // Skip header rows
+      if (dependencyName.length === 0) {
+        skipRow(diagnostics, 'summary-table', index + 1, rowText($, $row), 'no dependency name');
+        return;
+      }
+      if (isHeaderLabel(dependencyName)) {
+        skipRow(diagnostics, 'summary-table', index + 1, rowText($, $row), 'header row');
+        return;
+      }
+
+      const cellText = column => (column !== null && cells.length > column ? $(cells[column]).text().trim() : '');
+      const packageUrls = identifiersFromText(cellText(columns.packageUrls), 'pkg:');
+      const cpes = identifiersFromText(cellText(columns.cpes), 'cpe:');
+      if (packageUrls.some(hasMalformedEscape)) {
+        skipRow(diagnostics, 'summary-table', index + 1, rowText($, $row), 'malformed package URL');
+        return;
+      }
+
+      // Identity comes from the package URL when present, otherwise from the
+      // dependency label ("name:version", "groupId:artifactId:version" or a jar file name)
+      const identity = identityFromPackageUrls(packageUrls) || parseDependencyLabel(dependencyName);
+
+      // An explicit version column wins over a version embedded in the label
+      const versionText = cellText(columns.version);
+      if (versionText) {
+        identity.version = versionText;
+      }
+      
+      // Every vulnerability comes from the dependency's section when the row links
+      // to one, otherwise from the CVE cell
+      const $section = findDependencySection($, link.attr('href'));
+      let vulnerabilities = $section ? parseVulnerabilitySection($, $section) : [];
+      if (vulnerabilities.length === 0) {
+        const severity = cellText(columns.severity);
+        vulnerabilities = splitVulnerabilityIds(cellText(columns.cve)).map(id => createVulnerability(id, severity));
+      }
+      
+      if (identity.dependencyName && identity.dependencyName.length > 0) {
+        const dependency = Object.assign(identity, {
+          packageUrl: packageUrls[0] || null,
+          fileName: dependencyName,
+          packageUrls: packageUrls,
+          cpes: cpes
+        });
+        vulnerabilities.forEach(vulnerability => addFinding(dependency, vulnerability));
+      } else {
+        skipRow(diagnostics, 'summary-table', index + 1, rowText($, $row), 'no dependency name');
+      }
+    }
+  });
+  attempted('summary-table');
+
+  // Strict mode reads Dependency-Check's own layout only: a report with an empty
+  // summary table has no findings, one without it is not recognized
+  if (options.strict) {
+    if (!diagnostics.strategy && $('#summaryTable').length > 0) {
+      diagnostics.strategy = 'summary-table';
+    }
+    return { findings, diagnostics: completeDiagnostics(diagnostics, findings) };
+  }
+
+  // Method 1b: Parse from dependency sections (h3 tags with dependency names)
+  if (findings.length === 0) {
+    $('h3, h4').each((index, element) => {
+      const $el = $(element);
+      const text = $el.text().trim();
+      
+      // Look for patterns like "dependency-name:version" or dependency names
+      // OWASP reports often have dependency names in headers
+      if (text && text.length > 0 && !text.toLowerCase().includes('evidence') && 
+          !text.toLowerCase().includes('vulnerability') && 
+          !text.toLowerCase().includes('header')) {
+        // Try to extract dependency name and version
+        const patterns = [
+          /^([a-zA-Z0-9\-_\.]+):\s*([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/,
+          /^([a-zA-Z0-9\-_\.]+)\s+\(([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)\)/,
+          /^([a-zA-Z0-9\-_\.]+)\s+v?([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/
+        ];
+        
+        for (const pattern of patterns) {
+          const match = text.match(pattern);
+          if (match) {
+            const depName = match[1].trim();
+            const depVersion = match[2].trim();
+            
+            if (depName.length > 0) {
+              let vulnerabilities = $el.is('h3') ? parseVulnerabilitySection($, $el) : [];
+              if (vulnerabilities.length === 0) {
+                vulnerabilities = [createVulnerability('N/A')];
+              }
+              const dependency = { dependencyName: depName, version: depVersion, fileName: text };
+              vulnerabilities.forEach(vulnerability => addFinding(dependency, vulnerability));
+              break;
+            }
+          }
+        }
+      }
+    });
+    attempted('dependency-sections');
+  }
+
+  // Method 2: Parse from other tables (fallback)
+  // Skip header rows by checking if first cell looks like a header
+  if (findings.length === 0) {
+    $('table tbody tr, table tr').each((index, element) => {
+    const $row = $(element);
+    const cells = $row.find('td');
+    
+    // Skip if no cells or if it looks like a header row (th cells or header text)
+    if (cells.length === 0 || $row.find('th').length > 0) {
+      skipRow(diagnostics, 'generic-table', index + 1, rowText($, $row), 'header row');
+      return;
+    }
+    
+    if (cells.length < 2) {
+      skipRow(diagnostics, 'generic-table', index + 1, rowText($, $row), 'fewer than two cells');
+    } else {
+      // Try different column arrangements
+      let dependencyText = '';
+      let versionText = '';
+      let cveText = '';
+      
+      // Common formats:
+      // Format 1: [Dependency] [Version] [CVE]
+      // Format 2: [Dependency:Version] [CVE]
+      // Format 3: [Dependency] [CVE] [Version]
+      
+      dependencyText = $(cells[0]).text().trim();
+      
+      // Skip if this looks like a header row
+      if (isHeaderLabel(dependencyText)) {
+        skipRow(diagnostics, 'generic-table', index + 1, rowText($, $row), 'header row');
+        return;
+      }
+      
+      if (cells.length >= 2) {
+        versionText = $(cells[1]).text().trim();
+      }
+      if (cells.length >= 3) {
+        cveText = $(cells[2]).text().trim();
+      }
+      
+      // Parse dependency name and version
+      // Labels may be a package URL, "name:version", "groupId:artifactId:version",
+      // "name (version)" or a jar file name
+      const packageUrls = identifiersFromText(dependencyText, 'pkg:');
+      if (packageUrls.some(hasMalformedEscape)) {
+        skipRow(diagnostics, 'generic-table', index + 1, rowText($, $row), 'malformed package URL');
+        return;
+      }
+      const identity = identityFromPackageUrls(packageUrls) || parseDependencyLabel(dependencyText);
+      let dependencyName = identity.dependencyName;
+      let version = identity.version || versionText;
+      
+      // If version column exists and is different, use it
+      if (versionText && versionText !== dependencyText && !versionText.match(/CVE/i)) {
+        version = versionText;
+      }
+      
+      // Clean up dependency name (remove version if still present)
+      dependencyName = dependencyName.replace(/[:\s]+v?[\d.]+.*$/, '').trim();
+      
+      if (dependencyName && dependencyName.length > 0 && dependencyName !== 'unknown') {
+        const dependency = Object.assign(identity, { dependencyName: dependencyName, version: version, fileName: dependencyText });
+        splitVulnerabilityIds(cveText).forEach(id => addFinding(dependency, createVulnerability(id)));
+      } else {
+        skipRow(diagnostics, 'generic-table', index + 1, rowText($, $row), 'no dependency name');
+      }
+    }
+    });
+    attempted('generic-table');
+  }
+
+  // Method 2: Look for dependency-check specific classes and data attributes
+  if (findings.length === 0) {
+    $('.dependency, .vulnerability, [data-dependency], [class*="dependency"], [class*="vulnerability"]').each((index, element) => {
+      const $el = $(element);
+      const name = $el.attr('data-name') || 
+                   $el.attr('data-dependency') ||
+                   $el.find('.name, .dependency-name, [class*="name"]').first().text().trim() ||
+                   $el.text().trim();
+      
+      const version = $el.attr('data-version') || 
+                      $el.find('.version, .dependency-version, [class*="version"]').first().text().trim();
+      
+      const cve = $el.attr('data-cve') || 
+                  $el.find('.cve, .vulnerability-id, [class*="cve"]').first().text().trim();
+      
+      if (name && name.length > 0) {
+        const dependency = { dependencyName: name, version: version, fileName: name };
+        splitVulnerabilityIds(cve).forEach(id => addFinding(dependency, createVulnerability(id)));
+      }
+    });
+    attempted('class-selectors');
+  }
+
+  // Method 3: Parse from list items or divs with dependency info
+  if (findings.length === 0) {
+    $('li, div').each((index, element) => {
+      const $el = $(element);
+      const text = $el.text().trim();
+      
+      // Look for patterns: "dependency:version" or "dependency (version)"
+      const patterns = [
+        /^([a-zA-Z0-9\-_\.]+):\s*([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/,
+        /^([a-zA-Z0-9\-_\.]+)\s+\(([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)\)/,
+        /^([a-zA-Z0-9\-_\.]+)\s+v?([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/
+      ];
+      
+      for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+          const depName = match[1].trim();
+          const depVersion = match[2].trim();
+          
+          if (depName.length > 0) {
+            addFinding({ dependencyName: depName, version: depVersion, fileName: text }, createVulnerability('N/A'));
+            break;
+          }
+        }
+      }
+    });
+    attempted('list-items');
+  }
+
+  // Method 4: Fallback - parse from entire body text
+  if (findings.length === 0) {
+    const text = $('body').text();
+    // Look for patterns like "dependency:version" or "dependency (version)"
+    const regex = /([a-zA-Z0-9\-_\.]+)[:\s(]+v?([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s\)]*)/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const depName = match[1].trim();
+      const depVersion = match[2].trim();
+      
+      if (depName.length > 2) {
+        addFinding({ dependencyName: depName, version: depVersion, fileName: match[0] }, createVulnerability('N/A'));
+      }
+    }
+    attempted('body-text');
+  }
+
+  // A summary table without vulnerable dependencies is still Dependency-Check's layout
+  if (!diagnostics.strategy && $('#summaryTable').length > 0) {
+    diagnostics.strategy = 'summary-table';
+  }
+
+  return { findings, diagnostics: completeDiagnostics(diagnostics, findings) };
+}
+
+/**
+ * Build the findings of a dependency entry of a JSON or XML report, one per vulnerability
+ */
+function buildReportFindings(entry) {
+  // Prefer the package URL, it carries the real coordinates and version.
+  // Otherwise fall back to the file name ("name:version" or a jar file name)
+  const identity = identityFromPackageUrls(entry.packageUrls) || parseDependencyLabel(entry.fileName);
+  const dependency = Object.assign(identity, {
+    fileName: entry.fileName,
+    packageUrls: entry.packageUrls,
+    cpes: entry.cpes
+  });
+
+  return entry.vulnerabilities.map(vulnerability => createFinding(dependency, vulnerability));
+}
+
+/**
+ * Parse OWASP Dependency-Check JSON report to extract dependency vulnerabilities
+ */
+function parseOWASPJsonReport(jsonContent) {
+  const report = typeof jsonContent === 'string' ? JSON.parse(jsonContent) : jsonContent;
+  const findings = [];
+
+  (report.dependencies || []).forEach(dep => {
+    const vulnerabilities = (dep.vulnerabilities || []).map(vuln => {
+      const cvssV2 = vuln.cvssv2 || {};
+      const cvssV3 = vuln.cvssv3 || {};
+      return {
+        name: vuln.name,
+        source: vuln.source || null,
+        severity: (vuln.severity || cvssV3.baseSeverity || cvssV2.severity || 'UNKNOWN').toUpperCase(),
+        cvssV2Score: cvssV2.score !== undefined ? Number(cvssV2.score) : null,
+        cvssV3Score: cvssV3.baseScore !== undefined ? Number(cvssV3.baseScore) : null,
+        cwes: vuln.cwes || [],
+        description: vuln.description || ''
+      };
+    });
+
+    // Dependencies without vulnerabilities are not findings
+    if (vulnerabilities.length === 0) {
+      return;
+    }
+
+    findings.push(...buildReportFindings({
+      fileName: dep.fileName,
+      packageUrls: (dep.packages || []).map(p => p.id).filter(Boolean),
+      cpes: (dep.vulnerabilityIds || []).map(v => v.id).filter(Boolean),
+      vulnerabilities: vulnerabilities
+    }));
+  });
+
+  return findings;
+}
+
+/**
+ * Parse OWASP Dependency-Check XML report to extract dependency vulnerabilities
+ */
+function parseOWASPXmlReport(xmlContent) {
+  const $ = cheerio.load(xmlContent, { xmlMode: true });
+  const findings = [];
+
+  const numberOrNull = text => {
+    const value = parseFloat(text);
+    return isNaN(value) ? null : value;
+  };
+
+  $('analysis > dependencies > dependency').each((index, element) => {
+    const $dep = $(element);
+
+    const vulnerabilities = [];
+    $dep.children('vulnerabilities').children('vulnerability').each((i, vulnElement) => {
+      const $vuln = $(vulnElement);
+      const $cvssV2 = $vuln.children('cvssV2');
+      const $cvssV3 = $vuln.children('cvssV3');
+      const severity = $vuln.children('severity').text().trim() ||
+                       $cvssV3.children('baseSeverity').text().trim() ||
+                       $cvssV2.children('severity').text().trim() ||
+                       'UNKNOWN';
+
+      // Schema 2.x nests <cwe> inside <cwes>, older schemas have a single <cwe>
+      const cwes = $vuln.find('cwes > cwe').map((j, cwe) => $(cwe).text().trim()).get();
+      if (cwes.length === 0 && $vuln.children('cwe').length > 0) {
+        cwes.push($vuln.children('cwe').text().trim());
+      }
+
+      vulnerabilities.push({
+        name: $vuln.children('name').text().trim(),
+        source: $vuln.attr('source') || null,
+        severity: severity.toUpperCase(),
+        cvssV2Score: numberOrNull($cvssV2.children('score').text()),
+        cvssV3Score: numberOrNull($cvssV3.children('baseScore').text()),
+        cwes: cwes,
+        description: $vuln.children('description').text().trim()
+      });
+    });
+
+    // Dependencies without vulnerabilities are not findings
+    if (vulnerabilities.length === 0) {
+      return;
+    }
+
+    const $identifiers = $dep.children('identifiers');
+    findings.push(...buildReportFindings({
+      fileName: $dep.children('fileName').text().trim(),
+      packageUrls: $identifiers.find('package > id').map((i, el) => $(el).text().trim()).get(),
+      cpes: $identifiers.find('vulnerabilityIds > id').map((i, el) => $(el).text().trim()).get(),
+      vulnerabilities: vulnerabilities
+    }));
+  });
+
+  return findings;
+}
+
+/**
+ * Detect the OWASP report format from its content, falling back to the file name
+ * Returns 'html', 'json', 'xml' or null when the report is not recognized
+ */
+function detectReportFormat(content, fileName) {
+  const text = content.replace(/^\uFEFF/, '');
+  const head = text.trimStart().slice(0, 2048).toLowerCase();
+
+  if (head.startsWith('{')) {
+    try {
+      const report = JSON.parse(text);
+      return Array.isArray(report.dependencies) ? 'json' : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (head.includes('<html') || head.startsWith('<!doctype html')) {
+    return 'html';
+  }
+
+  if (head.startsWith('<?xml') || head.startsWith('<analysis')) {
+    return text.includes('<analysis') ? 'xml' : null;
+  }
+
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.html' || extension === '.htm') {
+    return 'html';
+  }
+
+  return null;
+}
+
+/**
+ * Parse an OWASP report in any supported format
+ * Returns { findings, diagnostics }; options.strict turns off the heuristics for HTML reports
+ */
+function parseReport(content, format, options = {}) {
+  let findings;
+  switch (format) {
+    case 'json':
+      findings = parseOWASPJsonReport(content.replace(/^\uFEFF/, ''));
+      break;
+    case 'xml':
+      findings = parseOWASPXmlReport(content);
+      break;
+    default:
+      return parseOWASPReport(content, options);
+  }
+  return { findings, diagnostics: completeDiagnostics(createDiagnostics(format), findings) };
+}
+
+module.exports = {
+  PARSE_STRATEGIES,
+  parseOWASPReport,
+  parseOWASPJsonReport,
+  parseOWASPXmlReport,
+  detectReportFormat,
+  parseReport
+};
@@ -0,0 +1,120 @@
+const { findingSeverity, severityFromScore } = require('./severity');
+const { version: toolVersion } = require('../package.json');
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+
+// security-severity for findings without a CVSS score, at the bottom of each severity's score range
+const SEVERITY_SCORES = { critical: 9.0, high: 7.0, medium: 4.0, low: 0.1, info: 0.0 };
+
+// CVSS v3 score of a finding, else its v2 score; null when it has neither
+function cvssScore(finding) {
+  if (finding.cvssV3Score !== null && finding.cvssV3Score !== undefined) return finding.cvssV3Score;
+  if (finding.cvssV2Score !== null && finding.cvssV2Score !== undefined) return finding.cvssV2Score;
+  return null;
+}
+
+/**
+ * Build a SARIF rule for a vulnerability id, with its CVSS score (or the score its severity
+ * stands for) as security-severity
+ */
+function createSarifRule(finding) {
+  const severity = findingSeverity(finding);
+  const score = cvssScore(finding) !== null ? cvssScore(finding) : SEVERITY_SCORES[severity];
+  const rule = {
+    id: finding.cve,
+    shortDescription: { text: finding.cve },
+    fullDescription: { text: finding.description || finding.cve },
+    properties: {
+      tags: ['security', ...(finding.cwes || [])]
+    }
+  };
+  if (score !== null && score !== undefined) {
+    rule.properties['security-severity'] = String(score);
+  }
+  if (/^CVE-\d{4}-\d+$/i.test(finding.cve)) {
+    rule.helpUri = `https://nvd.nist.gov/vuln/detail/${finding.cve.toUpperCase()}`;
+  }
+  return rule;
+}
+
+/**
+ * Render an analysis result ({ confirmed, falsePositives, needsReview }) as a SARIF 2.1.0 log
+ * Every finding becomes a result for its CVE rule. False positives are suppressed
+ * (accepted) with the reason as justification. Findings that need review are not suppressed,
+ * dashboards would hide them, but tagged "needs-review" (and triage: "needs-review").
+ * Locations point at options.manifest, the dependency file the tree was read from
+ */
+function renderSarifReport(result, options = {}) {
+  const entries = [
+    ...result.confirmed.map(entry => ({ entry, name: entry.dependencyName, suppression: null })),
+    ...result.falsePositives.directDependencies.map(entry => ({ entry, name: entry.dependencyName, suppression: 'accepted' })),
+    ...result.falsePositives.nestedLibraries.map(entry => ({ entry, name: entry.libraryName, suppression: 'accepted' })),
+    ...result.needsReview.map(entry => ({ entry, name: entry.dependencyName, suppression: null, review: true }))
+  ];
+
+  const rules = new Map();
+  const results = entries.filter(({ entry }) => entry.cve).map(({ entry, name, suppression, review }) => {
+    if (!rules.has(entry.cve)) {
+      rules.set(entry.cve, createSarifRule(entry));
+    }
+
+    const sarifResult = {
+      ruleId: entry.cve,
+      // The level follows the CVSS score; the reported severity when there is none
+      level: SARIF_LEVELS[severityFromScore(cvssScore(entry)) || findingSeverity(entry)] || 'warning',
+      message: {
+        text: `${name}@${entry.reportedVersion} is reported vulnerable to ${entry.cve}` +
+          (entry.severity ? ` (${entry.severity})` : '') + `. ${entry.reason}`
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: options.manifest || 'dependencies.json' }
+        },
+        logicalLocations: [{
+          name: name,
+          fullyQualifiedName: entry.packageUrl || `${entry.namespace ? `${entry.namespace}/` : ''}${name}@${entry.reportedVersion}`,
+          kind: 'package'
+        }]
+      }],
+      partialFingerprints: {
+        dependencyVulnerability: `${entry.packageUrl || name}@${entry.reportedVersion}/${entry.cve}`
+      },
+      properties: {
+        status: entry.status,
+        reasonCode: entry.reasonCode,
+        scopes: entry.scopes || []
+      }
+    };
+
+    if (review) {
+      Object.assign(sarifResult.properties, { triage: 'needs-review', tags: ['needs-review'] });
+    }
+    if (suppression) {
+      sarifResult.suppressions = [{
+        kind: 'external',
+        status: suppression,
+        justification: entry.reason
+      }];
+    }
+    return sarifResult;
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'owasp-fp',
+          version: toolVersion,
+          rules: [...rules.values()]
+        }
+      },
+      results: results
+    }]
+  };
+}
+
+module.exports = {
+  renderSarifReport
+};
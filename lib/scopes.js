@@ -0,0 +1,78 @@
+// Dependency scopes: npm runtime, dev, optional and peer dependencies, Maven/Gradle compile,
+// runtime, provided, system and test scopes. Development and test dependencies do not ship
+// with the product; every other scope does (or, like provided, runs with it)
+const NON_PRODUCTION_SCOPES = ['dev', 'test'];
+
+// Filters of a result: every finding, or only those in production scope
+const SCOPE_FILTERS = ['all', 'production'];
+
+/**
+ * Scope of a tree node: its own scope (Maven, Gradle or dependencies.json), its npm
+ * dev/peer/optional flag, else the scope of the dependency that pulled it in ("runtime" at the top)
+ */
+function nodeScope(node, inheritedScope = null) {
+  if (node.scope) return String(node.scope).toLowerCase();
+  if (node.dev) return 'dev';
+  if (node.peer) return 'peer';
+  if (node.optional) return 'optional';
+  return inheritedScope || 'runtime';
+}
+
+function isProductionScope(scope) {
+  return !NON_PRODUCTION_SCOPES.includes(scope);
+}
+
+/**
+ * Tell whether a finding is in production scope: some affected occurrence is, or it has
+ * no scope because the package is not in the tree
+ */
+function isProductionFinding(entry) {
+  return !entry.scopes || entry.scopes.length === 0 || entry.scopes.some(isProductionScope);
+}
+
+/**
+ * Limit an analysis result to one of SCOPE_FILTERS. The counts of the summary are those of the
+ * remaining findings; summary.scopeFilter names the filter and summary.outOfScope counts the
+ * findings it removed
+ */
+function filterByScope(result, scopeFilter) {
+  if (scopeFilter !== 'production') {
+    return result;
+  }
+  const confirmed = result.confirmed.filter(isProductionFinding);
+  const needsReview = result.needsReview.filter(isProductionFinding);
+  const falsePositives = {
+    directDependencies: result.falsePositives.directDependencies.filter(isProductionFinding),
+    nestedLibraries: result.falsePositives.nestedLibraries.filter(isProductionFinding)
+  };
+  const entries = [...confirmed, ...needsReview, ...falsePositives.directDependencies, ...falsePositives.nestedLibraries];
+  const total = result.confirmed.length + result.needsReview.length +
+    result.falsePositives.directDependencies.length + result.falsePositives.nestedLibraries.length;
+
+  return {
+    ...result,
+    confirmed,
+    falsePositives,
+    needsReview,
+    summary: {
+      ...result.summary,
+      confirmed: confirmed.length,
+      falsePositives: falsePositives.directDependencies.length + falsePositives.nestedLibraries.length,
+      needsReview: needsReview.length,
+      directFalsePositives: falsePositives.directDependencies.length,
+      nestedFalsePositives: falsePositives.nestedLibraries.length,
+      manualDecisions: entries.filter(entry => entry.manualDecision && !entry.manualDecision.expired).length,
+      expiredDecisions: entries.filter(entry => entry.manualDecision && entry.manualDecision.expired).length,
+      scopeFilter: scopeFilter,
+      outOfScope: total - entries.length
+    }
+  };
+}
+
+module.exports = {
+  SCOPE_FILTERS,
+  nodeScope,
+  isProductionScope,
+  isProductionFinding,
+  filterByScope
+};
@@ -0,0 +1,50 @@
+// Severity levels, lowest to highest; "moderate" (npm/GitHub) is an alias of "medium"
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+const SEVERITY_ALIASES = { moderate: 'medium', informational: 'info', none: 'info' };
+
+/**
+ * Normalize a severity name to one of SEVERITY_LEVELS, null when it is not one
+ */
+function normalizeSeverity(severity) {
+  const name = (severity || '').toString().trim().toLowerCase();
+  const level = SEVERITY_ALIASES[name] || name;
+  return SEVERITY_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Severity of a CVSS base score (CVSS v3 qualitative rating scale)
+ */
+function severityFromScore(score) {
+  if (score === null || score === undefined || isNaN(score)) return null;
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  if (score > 0) return 'low';
+  return 'info';
+}
+
+/**
+ * Severity of a finding: its reported severity, else the one of its CVSS v3 or v2 score
+ */
+function findingSeverity(finding) {
+  return normalizeSeverity(finding.severity) ||
+    severityFromScore(finding.cvssV3Score) ||
+    severityFromScore(finding.cvssV2Score);
+}
+
+/**
+ * Tell whether a finding is at or above a severity threshold such as "high"
+ */
+function meetsSeverity(finding, threshold) {
+  const severity = findingSeverity(finding);
+  if (!severity) return false;
+  return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(normalizeSeverity(threshold));
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  normalizeSeverity,
+  severityFromScore,
+  findingSeverity,
+  meetsSeverity
+};
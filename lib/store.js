@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// File store shared by stored analyses and batches: one <id>.json per record, plus index.json
+// with the metadata their lists need, so listing does not read every record
+const INDEX_FILE = 'index.json';
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * The index entries of a store, [] when it has none yet
+ */
+function readIndex(directory) {
+  const file = path.join(directory, INDEX_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : [];
+}
+
+function writeIndex(directory, index) {
+  fs.writeFileSync(path.join(directory, INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+// Ids are UUIDs, anything else (e.g. "../x") has no file
+function recordFile(directory, id) {
+  return ID_PATTERN.test(id) ? path.join(directory, `${id}.json`) : null;
+}
+
+/**
+ * Store a record (with an id) and its index entry, replacing earlier ones with the same id
+ */
+function writeRecord(directory, record, entry) {
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(recordFile(directory, record.id), JSON.stringify(record));
+  writeIndex(directory, [...readIndex(directory).filter(existing => existing.id !== record.id), entry]);
+  return record;
+}
+
+/**
+ * Read a stored record, null when there is none with this id
+ */
+function readRecord(directory, id) {
+  const file = recordFile(directory, id);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Delete a stored record and its index entry; returns false when there is none with this id
+ */
+function deleteRecord(directory, id) {
+  const file = recordFile(directory, id);
+  if (!file || !fs.existsSync(file)) {
+    return false;
+  }
+  fs.unlinkSync(file);
+  writeIndex(directory, readIndex(directory).filter(entry => entry.id !== id));
+  return true;
+}
+
+module.exports = {
+  readIndex,
+  writeRecord,
+  readRecord,
+  deleteRecord
+};
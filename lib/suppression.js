@@ -0,0 +1,201 @@
+const cheerio = require('cheerio');
+const { escapeXml } = require('./xml');
+
+const SUPPRESSION_NAMESPACE = 'https://jeremylong.github.io/DependencyCheck/dependency-suppression.1.3.xsd';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\\-]/g, '\\$&');
+}
+
+/**
+ * Choose how a suppression rule identifies the dependency of a false positive:
+ * its package URL, else a package URL pattern built from its coordinates, else the file name
+ * the report gives, else its CPE, else a file name guessed from its name and version
+ * The pattern needs the report name to be the tree's: coordinates taken from the tree for an
+ * aliased or normalized name (nameMatch) would not name the package Dependency-Check saw
+ * A CPE names a product, so a rule using it suppresses the CVE for every dependency
+ * Dependency-Check maps to that product; such matchers carry a warning for the rule's notes
+ */
+function suppressionDependencyMatcher(entry) {
+  if (entry.packageUrl) {
+    return { tag: 'packageUrl', regex: false, value: entry.packageUrl };
+  }
+
+  const name = entry.dependencyName || entry.libraryName;
+  const version = entry.reportedVersion && entry.reportedVersion !== 'unknown' ? entry.reportedVersion : null;
+  if (entry.ecosystem && !entry.nameMatch) {
+    const path = entry.namespace ? `${entry.namespace}/${name}` : name;
+    const pattern = `^pkg:${escapeRegex(entry.ecosystem)}/${escapeRegex(path)}@${version ? escapeRegex(version) : '.*'}$`;
+    return { tag: 'packageUrl', regex: true, value: pattern };
+  }
+  if (!entry.fileName && entry.cpes && entry.cpes.length > 0) {
+    return {
+      tag: 'cpe',
+      regex: false,
+      value: entry.cpes[0],
+      warning: `Matched by CPE: this suppresses the vulnerabilities for every dependency identified as ${entry.cpes[0]}, not only ${name}`
+    };
+  }
+  const fileName = entry.fileName || (version ? `${name}-${version}` : name);
+  return { tag: 'filePath', regex: true, value: `.*\\b${escapeRegex(fileName)}\\b.*` };
+}
+
+function suppressionMatcherKey(matcher) {
+  return `${matcher.tag}|${matcher.regex}|${matcher.value.toLowerCase()}`;
+}
+
+/**
+ * Group false positives into one suppression rule per dependency, listing every
+ * vulnerability id and the reasons they were classified as false positives
+ */
+function createSuppressionRules(falsePositives) {
+  const rules = new Map();
+  [...falsePositives.directDependencies, ...falsePositives.nestedLibraries].forEach(entry => {
+    if (!entry.cve) return;
+    const matcher = suppressionDependencyMatcher(entry);
+    const key = suppressionMatcherKey(matcher);
+    if (!rules.has(key)) {
+      rules.set(key, { matcher, vulnerabilities: [], notes: matcher.warning ? [matcher.warning] : [] });
+    }
+    const rule = rules.get(key);
+    if (!rule.vulnerabilities.some(id => id.toUpperCase() === entry.cve.toUpperCase())) {
+      rule.vulnerabilities.push(entry.cve);
+    }
+    if (entry.reason && !rule.notes.includes(entry.reason)) {
+      rule.notes.push(entry.reason);
+    }
+  });
+  return [...rules.values()];
+}
+
+/**
+ * Read the rules of an existing suppression.xml, null when it is not a suppression file
+ * Rules that expired (until in the past) are left out since they no longer suppress anything
+ */
+function parseSuppressionRules(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  if ($.root().children('suppressions').length === 0) {
+    return null;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const rules = [];
+  $('suppressions > suppress').each((i, el) => {
+    const $suppress = $(el);
+    const until = $suppress.attr('until');
+    if (until && until.slice(0, 10) < today) return;
+
+    const matchers = [];
+    const vulnerabilities = [];
+    $suppress.children().each((j, child) => {
+      const entry = {
+        tag: child.tagName,
+        regex: $(child).attr('regex') === 'true',
+        value: $(child).text().trim()
+      };
+      if (['filePath', 'sha1', 'gav', 'packageUrl', 'cpe'].includes(entry.tag)) {
+        matchers.push(entry);
+      } else if (['cve', 'vulnerabilityName'].includes(entry.tag)) {
+        vulnerabilities.push(entry);
+      }
+    });
+    // A rule without vulnerability matchers suppresses everything for its dependency
+    const suppressesAll = $suppress.children('cve, vulnerabilityName, cwe, cvssBelow').length === 0;
+    matchers.forEach(matcher => rules.push({ matcher, vulnerabilities, suppressesAll }));
+  });
+  return rules;
+}
+
+function suppressionRuleCovers(existingRule, matcher, vulnerabilityId) {
+  if (suppressionMatcherKey(existingRule.matcher) !== suppressionMatcherKey(matcher)) return false;
+  if (existingRule.suppressesAll) return true;
+  return existingRule.vulnerabilities.some(entry => {
+    if (!entry.regex) return entry.value.toUpperCase() === vulnerabilityId.toUpperCase();
+    try {
+      return new RegExp(entry.value).test(vulnerabilityId);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Render one suppression rule as a <suppress> element
+ */
+function renderSuppressRule(rule, until) {
+  const { matcher } = rule;
+  const lines = [`  <suppress${until ? ` until="${escapeXml(until)}"` : ''}>`];
+  if (rule.notes.length > 0) {
+    lines.push(`    <notes>${escapeXml(rule.notes.join('\n'))}</notes>`);
+  }
+  lines.push(`    <${matcher.tag}${matcher.regex ? ' regex="true"' : ''}>${escapeXml(matcher.value)}</${matcher.tag}>`);
+  rule.vulnerabilities.forEach(id => {
+    const tag = /^CVE-\d{4}-\d+$/i.test(id) ? 'cve' : 'vulnerabilityName';
+    lines.push(`    <${tag}>${escapeXml(id)}</${tag}>`);
+  });
+  lines.push('  </suppress>');
+  return lines.join('\n');
+}
+
+/**
+ * Normalize an expiry date to the xs:date form Dependency-Check expects (e.g. 2025-12-31Z)
+ * Returns null for an invalid date
+ */
+function normalizeSuppressionUntil(until) {
+  const match = (until || '').toString().trim().match(/^(\d{4}-\d{2}-\d{2})(Z|[+-]\d{2}:\d{2})?$/);
+  if (!match || isNaN(Date.parse(match[1]))) {
+    return null;
+  }
+  return match[1] + (match[2] || 'Z');
+}
+
+/**
+ * Build a Dependency-Check suppression.xml from analyzeFalsePositives results
+ * With an existing suppression file, new rules are appended to it and vulnerabilities
+ * an existing rule already suppresses for the same dependency are skipped
+ * Returns { xml, added, skipped, byCpe } where added/skipped count vulnerability ids and byCpe
+ * counts the added rules that match by CPE, which may suppress more than the false positive
+ */
+function generateSuppressionXml(falsePositives, options = {}) {
+  const existingRules = options.existing ? parseSuppressionRules(options.existing) : [];
+  if (existingRules === null) {
+    throw new Error('The existing file is not a Dependency-Check suppression file');
+  }
+
+  let skipped = 0;
+  const rules = createSuppressionRules(falsePositives).map(rule => {
+    const vulnerabilities = rule.vulnerabilities.filter(id =>
+      !existingRules.some(existing => suppressionRuleCovers(existing, rule.matcher, id)));
+    skipped += rule.vulnerabilities.length - vulnerabilities.length;
+    return { ...rule, vulnerabilities };
+  }).filter(rule => rule.vulnerabilities.length > 0);
+  const added = rules.reduce((count, rule) => count + rule.vulnerabilities.length, 0);
+  const byCpe = rules.filter(rule => rule.matcher.tag === 'cpe').length;
+  const rendered = rules.map(rule => renderSuppressRule(rule, options.until)).join('\n');
+
+  if (!options.existing) {
+    const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<suppressions xmlns="${SUPPRESSION_NAMESPACE}">\n` +
+      (rendered ? `${rendered}\n` : '') +
+      '</suppressions>\n';
+    return { xml, added, skipped, byCpe };
+  }
+
+  // Append to the existing document so its rules, comments and formatting are kept
+  let xml = options.existing;
+  if (rendered) {
+    const selfClosing = /<suppressions\b([^>]*)\/>/;
+    if (!/<\/suppressions>/.test(xml) && selfClosing.test(xml)) {
+      xml = xml.replace(selfClosing, '<suppressions$1>\n</suppressions>');
+    }
+    const closeIndex = xml.lastIndexOf('</suppressions>');
+    xml = `${xml.slice(0, closeIndex).replace(/\s*$/, '\n')}${rendered}\n${xml.slice(closeIndex)}`;
+  }
+  return { xml, added, skipped, byCpe };
+}
+
+module.exports = {
+  normalizeSuppressionUntil,
+  parseSuppressionRules,
+  generateSuppressionXml
+};
@@ -0,0 +1,359 @@
+const semver = require('semver');
+
+/**
+ * Normalize version strings for comparison
+ */
+function normalizeVersion(version) {
+  if (!version) return '';
+  // Remove leading/trailing whitespace and common prefixes
+  return version.toString().trim().replace(/^v/i, '').toLowerCase();
+}
+
+// Maven qualifier order; "" is the release itself ("ga", "final" and "release" are aliases)
+const MAVEN_QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+const MAVEN_QUALIFIER_ALIASES = { ga: '', final: '', release: '', cr: 'rc' };
+
+/**
+ * Parse a Maven version into nested item lists, following Maven's ComparableVersion
+ * Items are { type: 'int' | 'string' | 'list', value }
+ */
+function parseMavenVersion(version) {
+  const text = (version || '').toString().trim().toLowerCase();
+  const root = { type: 'list', value: [] };
+  const stack = [root];
+  let list = root;
+  let isDigit = false;
+  let start = 0;
+
+  const parseItem = (digit, token) => {
+    if (digit) {
+      return { type: 'int', value: Number(token) };
+    }
+    return { type: 'string', value: token };
+  };
+  const openList = () => {
+    const child = { type: 'list', value: [] };
+    list.value.push(child);
+    list = child;
+    stack.push(child);
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '.' || c === '-') {
+      list.value.push(i === start ? { type: 'int', value: 0 } : parseItem(isDigit, text.slice(start, i)));
+      start = i + 1;
+      if (c === '-') openList();
+    } else if (c >= '0' && c <= '9') {
+      if (!isDigit && i > start) {
+        // "rc1": a letter to digit transition starts a sub list; a, b and m are shorthands
+        let qualifier = text.slice(start, i);
+        qualifier = { a: 'alpha', b: 'beta', m: 'milestone' }[qualifier] || qualifier;
+        list.value.push({ type: 'string', value: qualifier });
+        start = i;
+        openList();
+      }
+      isDigit = true;
+    } else {
+      if (isDigit && i > start) {
+        list.value.push(parseItem(true, text.slice(start, i)));
+        start = i;
+        openList();
+      }
+      isDigit = false;
+    }
+  }
+  if (text.length > start) {
+    list.value.push(parseItem(isDigit, text.slice(start)));
+  }
+
+  // Strip trailing "null" items (0, release qualifiers, empty lists) from every list
+  const isNull = item => (item.type === 'int' && item.value === 0) ||
+    (item.type === 'string' && mavenQualifier(item.value) === '') ||
+    (item.type === 'list' && item.value.length === 0);
+  while (stack.length > 0) {
+    const current = stack.pop();
+    for (let i = current.value.length - 1; i >= 0; i--) {
+      if (isNull(current.value[i])) {
+        current.value.splice(i, 1);
+      } else if (current.value[i].type !== 'list') {
+        break;
+      }
+    }
+  }
+
+  return root;
+}
+
+function mavenQualifier(value) {
+  return Object.prototype.hasOwnProperty.call(MAVEN_QUALIFIER_ALIASES, value) ? MAVEN_QUALIFIER_ALIASES[value] : value;
+}
+
+function comparableMavenQualifier(value) {
+  const index = MAVEN_QUALIFIERS.indexOf(mavenQualifier(value));
+  return index === -1 ? `${MAVEN_QUALIFIERS.length}-${value}` : String(index);
+}
+
+/**
+ * Compare two parsed Maven items; a missing item (null) counts as the release
+ */
+function compareMavenItems(a, b) {
+  if (a === null && b === null) return 0;
+  if (a === null) return -compareMavenItems(b, null);
+
+  if (a.type === 'int') {
+    if (b === null) return a.value === 0 ? 0 : 1;
+    if (b.type === 'int') return Math.sign(a.value - b.value);
+    return 1;
+  }
+
+  if (a.type === 'string') {
+    if (b === null) return compareStrings(comparableMavenQualifier(a.value), comparableMavenQualifier(''));
+    if (b.type === 'string') return compareStrings(comparableMavenQualifier(a.value), comparableMavenQualifier(b.value));
+    return -1;
+  }
+
+  if (b === null) return a.value.length === 0 ? 0 : compareMavenItems(a.value[0], null);
+  if (b.type === 'int') return -1;
+  if (b.type === 'string') return 1;
+  for (let i = 0; i < Math.max(a.value.length, b.value.length); i++) {
+    const result = compareMavenItems(i < a.value.length ? a.value[i] : null, i < b.value.length ? b.value[i] : null);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Compare two Maven versions (ComparableVersion ordering)
+ */
+function compareMavenVersions(a, b) {
+  return compareMavenItems(parseMavenVersion(a), parseMavenVersion(b));
+}
+
+/**
+ * Check whether a Maven/NuGet version range such as "[1.0,2.0)" or "(,1.0],[1.2,)" contains a version
+ */
+function mavenRangeContains(range, version, compare) {
+  const intervals = range.match(/[[(][^\])]*[\])]/g) || [];
+  return intervals.some(interval => {
+    const lowerInclusive = interval[0] === '[';
+    const upperInclusive = interval[interval.length - 1] === ']';
+    const bounds = interval.slice(1, -1).split(',').map(bound => bound.trim());
+
+    if (bounds.length === 1) {
+      return compare(version, bounds[0]) === 0;
+    }
+    const [lower, upper] = bounds;
+    if (lower && (lowerInclusive ? compare(version, lower) < 0 : compare(version, lower) <= 0)) return false;
+    if (upper && (upperInclusive ? compare(version, upper) > 0 : compare(version, upper) >= 0)) return false;
+    return true;
+  });
+}
+
+const PEP440_PATTERN = /^\s*v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d+)?)?(?:-(\d+)|[-_.]?(post|rev|r)[-_.]?(\d+)?)?(?:[-_.]?(dev)[-_.]?(\d+)?)?(?:\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?\s*$/i;
+
+/**
+ * Parse a PEP 440 version, null when it is not one
+ */
+function parsePep440(version) {
+  const match = (version || '').toString().match(PEP440_PATTERN);
+  if (!match) return null;
+
+  const preLabel = match[3] ? match[3].toLowerCase() : null;
+  const preKinds = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+  const release = match[2].split('.').map(Number);
+  while (release.length > 1 && release[release.length - 1] === 0) release.pop();
+
+  return {
+    epoch: Number(match[1] || 0),
+    release: release,
+    pre: preLabel !== null ? [preKinds[preLabel], Number(match[4] || 0)] : null,
+    post: match[5] !== undefined ? Number(match[5]) : (match[6] ? Number(match[7] || 0) : null),
+    dev: match[8] ? Number(match[9] || 0) : null,
+    local: match[10] || null
+  };
+}
+
+/**
+ * Compare two PEP 440 versions
+ */
+function comparePep440(a, b) {
+  const va = parsePep440(a);
+  const vb = parsePep440(b);
+  if (!va || !vb) return compareMavenVersions(a, b);
+
+  if (va.epoch !== vb.epoch) return Math.sign(va.epoch - vb.epoch);
+  for (let i = 0; i < Math.max(va.release.length, vb.release.length); i++) {
+    const diff = (va.release[i] || 0) - (vb.release[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+
+  // A dev release of a final version sorts before its pre-releases; no pre-release sorts after them
+  const preKey = v => (v.pre ? v.pre : (v.dev !== null && v.post === null ? [-Infinity, 0] : [Infinity, 0]));
+  const [pa, pb] = [preKey(va), preKey(vb)];
+  if (pa[0] !== pb[0]) return pa[0] < pb[0] ? -1 : 1;
+  if (pa[1] !== pb[1]) return Math.sign(pa[1] - pb[1]);
+
+  const postKey = v => (v.post === null ? -Infinity : v.post);
+  if (postKey(va) !== postKey(vb)) return postKey(va) < postKey(vb) ? -1 : 1;
+
+  const devKey = v => (v.dev === null ? Infinity : v.dev);
+  if (devKey(va) !== devKey(vb)) return devKey(va) < devKey(vb) ? -1 : 1;
+
+  return compareStrings(va.local || '', vb.local || '');
+}
+
+/**
+ * Check a version against PEP 440 specifiers such as ">=1.2,<2.0", "~=2.2" or "==1.4.*"
+ */
+function pep440Satisfies(version, specifiers) {
+  return specifiers.split(',').map(spec => spec.trim()).filter(Boolean).every(spec => {
+    const match = spec.match(/^(~=|===|==|!=|<=|>=|<|>)\s*(.+)$/);
+    if (!match) return false;
+    const [, operator, target] = match;
+
+    if (operator === '===') return version.trim() === target;
+    if (target.endsWith('.*')) {
+      const prefix = target.slice(0, -2).split('.').map(Number);
+      const parsed = parsePep440(version);
+      const matches = parsed !== null && prefix.every((part, i) => (parsed.release[i] || 0) === part);
+      return operator === '!=' ? !matches : matches;
+    }
+
+    const result = comparePep440(version, target);
+    switch (operator) {
+      case '==': return result === 0;
+      case '!=': return result !== 0;
+      case '<=': return result <= 0;
+      case '>=': return result >= 0;
+      case '<': return result < 0;
+      case '>': return result > 0;
+      default: {
+        // ~=X.Y.Z means >=X.Y.Z and ==X.Y.*
+        const release = target.split(/[^\d.]/)[0].split('.');
+        return result >= 0 && pep440Satisfies(version, `==${release.slice(0, -1).join('.')}.*`);
+      }
+    }
+  });
+}
+
+/**
+ * Guess the version scheme when neither the finding nor the tree names an ecosystem
+ */
+function guessVersionEcosystem(version) {
+  const text = (version || '').toString().trim();
+  if (/^[[(]/.test(text) || /[.-](release|final|ga|snapshot|sp\d*|m\d+)$/i.test(text)) return 'maven';
+  if (/~=|===|(^|,)\s*==|,/.test(text)) return 'pypi';
+  return 'npm';
+}
+
+/**
+ * Compare two versions with the ordering of the given ecosystem
+ * npm and Go use semver, PyPI uses PEP 440, Maven, NuGet and anything else use Maven's ordering
+ */
+function compareVersions(a, b, ecosystem) {
+  switch (ecosystem) {
+    case 'npm':
+    case 'golang': {
+      const va = semver.valid(a, { loose: true });
+      const vb = semver.valid(b, { loose: true });
+      if (va && vb) return semver.compare(va, vb);
+      return compareMavenVersions(normalizeVersion(a), normalizeVersion(b));
+    }
+    case 'pypi':
+      return comparePep440(a, b);
+    default:
+      return compareMavenVersions(normalizeVersion(a), normalizeVersion(b));
+  }
+}
+
+/**
+ * Tell whether a declared version is a range rather than a single version
+ */
+function isVersionRange(version, ecosystem) {
+  const text = (version || '').toString().trim();
+  if (/^[[(]/.test(text)) return true;
+  switch (ecosystem) {
+    case 'npm':
+      return semver.validRange(text, { loose: true }) !== null && semver.valid(text, { loose: true }) === null &&
+        /[\^~<>=*xX|\s]/.test(text);
+    case 'pypi':
+      return /^(~=|===|==|!=|<=|>=|<|>)/.test(text) || text.includes(',');
+    case 'golang':
+      return false;
+    default:
+      return /^[\^~<>=*]|\.[xX*](\.|$)|\s/.test(text);
+  }
+}
+
+// A single version of any scheme: a digit first, then digits, letters and separators ("v1.2.3",
+// "4.1.2.Final", "1!2.0.post1"); rules out tags, workspace, git and file references
+const VERSION_PATTERN = /^v?\d[\w.+!~-]*$/i;
+
+/**
+ * Check whether the installed (or declared) version from the tree matches the reported version
+ * Returns { matched, reason } explaining the decision; matched is null when it cannot be
+ * decided, e.g. for an unknown version
+ */
+function matchVersion(installedVersion, reportedVersion, ecosystem) {
+  const installed = (installedVersion || '').toString().trim();
+  const reported = (reportedVersion || '').toString().trim();
+
+  if (!installed || installed === 'unknown') {
+    return { matched: null, reason: 'Installed version is unknown' };
+  }
+  if (!reported || reported === 'unknown') {
+    return { matched: null, reason: 'Reported version is unknown' };
+  }
+  if (normalizeVersion(installed) === normalizeVersion(reported)) {
+    return { matched: true, reason: `Installed version ${installed} is the reported version` };
+  }
+
+  const scheme = ecosystem || guessVersionEcosystem(installed);
+
+  if (isVersionRange(installed, scheme)) {
+    let contains;
+    if (/^[[(]/.test(installed)) {
+      contains = mavenRangeContains(installed, reported, (a, b) => compareVersions(a, b, scheme));
+    } else if (scheme === 'pypi') {
+      contains = pep440Satisfies(reported, installed);
+    } else {
+      const version = semver.valid(reported, { loose: true }) || (semver.coerce(reported) || {}).version;
+      if (!version) {
+        return { matched: null, reason: `Reported version ${reported} cannot be checked against declared range ${installed}` };
+      }
+      contains = semver.satisfies(version, installed, { loose: true });
+    }
+    return contains
+      ? { matched: true, reason: `Declared range ${installed} includes reported version ${reported}` }
+      : { matched: false, reason: `Declared range ${installed} excludes reported version ${reported}` };
+  }
+
+  if (!VERSION_PATTERN.test(installed)) {
+    return { matched: null, reason: `Installed version ${installed} is neither a version nor a version range` };
+  }
+
+  const order = compareVersions(installed, reported, scheme);
+  if (order === 0) {
+    return { matched: true, reason: `Installed version ${installed} is equivalent to reported version ${reported}` };
+  }
+  return {
+    matched: false,
+    reason: `Installed version ${installed} is ${order > 0 ? 'newer' : 'older'} than reported version ${reported}`
+  };
+}
+
+module.exports = {
+  normalizeVersion,
+  compareMavenVersions,
+  mavenRangeContains,
+  comparePep440,
+  pep440Satisfies,
+  compareVersions,
+  isVersionRange,
+  matchVersion
+};
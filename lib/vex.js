@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { parsePackageUrl } = require('./coordinates');
+const { normalizeSeverity } = require('./severity');
+const { version: toolVersion } = require('../package.json');
+
+// OpenVEX and CycloneDX justifications for the reason codes of false positives
+const NOT_AFFECTED_JUSTIFICATIONS = {
+  not_in_tree: { openvex: 'component_not_present', cyclonedx: 'code_not_present' },
+  version_mismatch: { openvex: 'vulnerable_code_not_present', cyclonedx: 'code_not_present' },
+  not_affected: { openvex: 'vulnerable_code_not_present', cyclonedx: 'code_not_present' },
+  manual_not_exploitable: { openvex: 'vulnerable_code_not_in_execute_path', cyclonedx: 'code_not_reachable' }
+};
+const DEFAULT_JUSTIFICATION = { openvex: 'vulnerable_code_not_present', cyclonedx: 'code_not_present' };
+
+// False positives whose risk was accepted, by a manual decision or a policy rule: still affected
+const RISK_ACCEPTED = ['manual_accepted_risk', 'policy_accepted'];
+
+/**
+ * The product the statements are about: options.product, else the project read from
+ * the dependency file, identified by its package URL (a pkg:generic one when it has none)
+ */
+function vexProduct(result, options) {
+  const project = options.product || result.summary.project || { name: options.projectName || 'project' };
+  const id = project.packageUrl ||
+    `pkg:generic/${encodeURIComponent(project.name)}${project.version ? `@${encodeURIComponent(project.version)}` : ''}`;
+  return { id, name: project.name, version: project.version || null, packageUrl: project.packageUrl || null };
+}
+
+/**
+ * Package URLs of the installed packages a finding is about: those at the reported version
+ * for confirmed and needs-review findings, every occurrence for false positives, and the
+ * report's package URL when the package is not in the tree
+ */
+function subcomponentUrls(entry) {
+  const paths = (entry.paths || []).filter(p => entry.status === 'false_positive' || p.matched !== false);
+  const urls = Array.from(new Set(paths.map(p => p.packageUrl).filter(Boolean)));
+  return urls.length > 0 ? urls : (entry.packageUrl ? [entry.packageUrl] : []);
+}
+
+/**
+ * One VEX statement per triaged finding: confirmed findings (and accepted risks) are
+ * affected, false positives not affected and findings that need review under investigation
+ */
+function vexStatements(result) {
+  const entries = [
+    ...result.confirmed,
+    ...result.falsePositives.directDependencies,
+    ...result.falsePositives.nestedLibraries,
+    ...result.needsReview
+  ];
+  return entries.filter(entry => entry.cve).map(entry => {
+    const statement = { entry, subcomponents: subcomponentUrls(entry) };
+    if (entry.status === 'needs_review') {
+      statement.status = 'under_investigation';
+    } else if (entry.status === 'confirmed' || RISK_ACCEPTED.includes(entry.reasonCode)) {
+      statement.status = 'affected';
+      statement.riskAccepted = RISK_ACCEPTED.includes(entry.reasonCode);
+    } else {
+      statement.status = 'not_affected';
+      statement.justification = NOT_AFFECTED_JUSTIFICATIONS[entry.reasonCode] || DEFAULT_JUSTIFICATION;
+    }
+    return statement;
+  });
+}
+
+function actionStatement(statement) {
+  const { entry } = statement;
+  if (statement.riskAccepted) {
+    return `Risk accepted, no action planned. ${entry.reason}`;
+  }
+  const upgrade = entry.upgradeDirectDependencies || [];
+  return upgrade.length > 0
+    ? `Upgrade ${upgrade.join(', ')} to a version without the vulnerable package`
+    : 'Upgrade the package to a version that fixes the vulnerability';
+}
+
+function advisoryUrl(id) {
+  if (/^CVE-\d{4}-\d+$/i.test(id)) return `https://nvd.nist.gov/vuln/detail/${id.toUpperCase()}`;
+  if (/^GHSA-/i.test(id)) return `https://github.com/advisories/${id}`;
+  return null;
+}
+
+/**
+ * Render an analysis result as an OpenVEX (v0.2.0) document
+ * Options: product ({ name, version, packageUrl }) overrides the project of the dependency
+ * file, projectName names it when neither is known
+ */
+function renderOpenVex(result, options = {}) {
+  const product = vexProduct(result, options);
+
+  const statements = vexStatements(result).map(statement => {
+    const { entry } = statement;
+    const url = advisoryUrl(entry.cve);
+    const vexStatement = {
+      vulnerability: { ...(url ? { '@id': url } : {}), name: entry.cve },
+      products: [{
+        '@id': product.id,
+        ...(statement.subcomponents.length > 0
+          ? { subcomponents: statement.subcomponents.map(id => ({ '@id': id })) }
+          : {})
+      }],
+      status: statement.status
+    };
+    if (statement.status === 'not_affected') {
+      vexStatement.justification = statement.justification.openvex;
+      vexStatement.impact_statement = entry.reason;
+    } else if (statement.status === 'affected') {
+      vexStatement.action_statement = actionStatement(statement);
+      vexStatement.status_notes = entry.reason;
+    } else {
+      vexStatement.status_notes = entry.reason;
+    }
+    return vexStatement;
+  });
+
+  return {
+    '@context': 'https://openvex.dev/ns/v0.2.0',
+    '@id': `urn:uuid:${crypto.randomUUID()}`,
+    author: 'owasp-fp',
+    timestamp: new Date().toISOString(),
+    version: 1,
+    tooling: `owasp-fp ${toolVersion}`,
+    statements: statements
+  };
+}
+
+// CycloneDX component for a package URL
+function cycloneDxComponent(purl) {
+  const parsed = parsePackageUrl(purl);
+  return {
+    type: 'library',
+    'bom-ref': purl,
+    ...(parsed && parsed.namespace ? { group: parsed.namespace } : {}),
+    name: parsed ? parsed.name : purl,
+    ...(parsed && parsed.version ? { version: parsed.version } : {}),
+    purl: purl
+  };
+}
+
+function cycloneDxRatings(entry) {
+  const severity = normalizeSeverity(entry.severity) || 'unknown';
+  const ratings = [];
+  if (entry.cvssV3Score !== null && entry.cvssV3Score !== undefined) {
+    ratings.push({ score: entry.cvssV3Score, severity: severity, method: 'CVSSv3' });
+  }
+  if (entry.cvssV2Score !== null && entry.cvssV2Score !== undefined) {
+    ratings.push({ score: entry.cvssV2Score, severity: severity, method: 'CVSSv2' });
+  }
+  return ratings.length > 0 ? ratings : [{ severity: severity }];
+}
+
+/**
+ * Render an analysis result as a CycloneDX (1.5) VEX document
+ * The product is the metadata component, installed packages are components and each
+ * finding is a vulnerability with its analysis; options as for renderOpenVex
+ */
+function renderCycloneDxVex(result, options = {}) {
+  const product = vexProduct(result, options);
+  const statements = vexStatements(result);
+  const components = new Map();
+
+  const vulnerabilities = statements.map(statement => {
+    const { entry } = statement;
+    statement.subcomponents.forEach(purl => {
+      if (!components.has(purl)) components.set(purl, cycloneDxComponent(purl));
+    });
+
+    let analysis;
+    if (statement.status === 'not_affected') {
+      analysis = { state: 'not_affected', justification: statement.justification.cyclonedx };
+    } else if (statement.status === 'affected') {
+      analysis = { state: 'exploitable', response: [statement.riskAccepted ? 'will_not_fix' : 'update'] };
+    } else {
+      analysis = { state: 'in_triage' };
+    }
+    analysis.detail = entry.reason;
+
+    const url = advisoryUrl(entry.cve);
+    const cwes = (entry.cwes || []).map(cwe => parseInt(String(cwe).replace(/^CWE-/i, ''), 10)).filter(Number.isInteger);
+    return {
+      id: entry.cve,
+      ...(url ? { source: { name: /^GHSA-/i.test(entry.cve) ? 'GitHub' : 'NVD', url: url } } : {}),
+      ratings: cycloneDxRatings(entry),
+      ...(cwes.length > 0 ? { cwes: cwes } : {}),
+      ...(entry.description ? { description: entry.description } : {}),
+      analysis: analysis,
+      affects: (statement.subcomponents.length > 0 ? statement.subcomponents : [product.id]).map(ref => ({ ref }))
+    };
+  });
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: {
+        components: [{ type: 'application', name: 'owasp-fp', version: toolVersion }]
+      },
+      component: product.packageUrl
+        ? { ...cycloneDxComponent(product.packageUrl), type: 'application' }
+        : {
+          type: 'application',
+          'bom-ref': product.id,
+          name: product.name,
+          ...(product.version ? { version: product.version } : {})
+        }
+    },
+    components: [...components.values()],
+    vulnerabilities: vulnerabilities
+  };
+}
+
+module.exports = {
+  renderOpenVex,
+  renderCycloneDxVex
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { dependencyCoordinates, coordinatesMatch, parsePackageUrl } = require('./coordinates');
+const { compareVersions } = require('./versions');
+
+// OSV ecosystem names and the ecosystems (purl types) used for findings and tree nodes
+const OSV_ECOSYSTEMS = {
+  npm: 'npm',
+  maven: 'maven',
+  pypi: 'pypi',
+  go: 'golang',
+  nuget: 'nuget',
+  rubygems: 'gem',
+  'crates.io': 'cargo',
+  packagist: 'composer'
+};
+
+/**
+ * Create an empty vulnerability store
+ * Records are keyed by id; index maps every upper-cased id and alias (e.g. the CVE of a
+ * GHSA advisory) to record ids
+ */
+function createVulnerabilityStore() {
+  return { updatedAt: null, sources: [], records: {}, index: {} };
+}
+
+function addRecord(store, record) {
+  const existing = store.records[record.id];
+  // The same advisory in several files: keep the most recently modified copy
+  if (existing && existing.modified && record.modified && existing.modified > record.modified) {
+    return;
+  }
+  store.records[record.id] = record;
+  [record.id, ...record.aliases].forEach(alias => {
+    const key = alias.toUpperCase();
+    if (!store.index[key]) {
+      store.index[key] = [];
+    }
+    if (!store.index[key].includes(record.id)) {
+      store.index[key].push(record.id);
+    }
+  });
+}
+
+/**
+ * Reduce an OSV record to what the affected check needs
+ */
+function convertOsvRecord(osv) {
+  return {
+    id: osv.id,
+    source: 'osv',
+    modified: osv.modified || null,
+    aliases: osv.aliases || [],
+    affected: (osv.affected || []).filter(entry => entry.package).map(entry => ({
+      ecosystem: entry.package.ecosystem,
+      name: entry.package.name,
+      purl: entry.package.purl || null,
+      ranges: (entry.ranges || []).filter(range => range.type !== 'GIT').map(range => ({
+        type: range.type,
+        events: range.events || []
+      })),
+      versions: entry.versions || []
+    }))
+  };
+}
+
+/**
+ * Flatten NVD configuration nodes (1.1 feeds and API 2.0 responses) into vulnerable CPE matches
+ */
+function nvdCpeMatches(nodes) {
+  const matches = [];
+  (nodes || []).forEach(node => {
+    (node.cpeMatch || node.cpe_match || []).forEach(match => {
+      if (match.vulnerable === false) return;
+      matches.push({
+        criteria: match.criteria || match.cpe23Uri,
+        versionStartIncluding: match.versionStartIncluding || null,
+        versionStartExcluding: match.versionStartExcluding || null,
+        versionEndIncluding: match.versionEndIncluding || null,
+        versionEndExcluding: match.versionEndExcluding || null
+      });
+    });
+    matches.push(...nvdCpeMatches(node.children));
+  });
+  return matches;
+}
+
+/**
+ * Reduce an NVD CVE (API 2.0 "cve" object or 1.1 feed "CVE_Items" entry) to its CPE matches
+ */
+function convertNvdRecord(item) {
+  if (item.CVE_data_meta || (item.cve && item.cve.CVE_data_meta)) {
+    return {
+      id: item.cve.CVE_data_meta.ID,
+      source: 'nvd',
+      modified: item.lastModifiedDate || null,
+      aliases: [],
+      cpeMatches: nvdCpeMatches(item.configurations ? item.configurations.nodes : [])
+    };
+  }
+  return {
+    id: item.id,
+    source: 'nvd',
+    modified: item.lastModified || null,
+    aliases: [],
+    cpeMatches: (item.configurations || []).reduce((all, configuration) => all.concat(nvdCpeMatches(configuration.nodes)), [])
+  };
+}
+
+/**
+ * Convert the JSON of one data file (an OSV record or list of records, an NVD 1.1 feed
+ * or an NVD API 2.0 response) into store records, with the detected format
+ */
+function convertVulnerabilityData(data) {
+  if (Array.isArray(data)) {
+    return { format: 'osv', records: data.filter(osv => osv && osv.id).map(convertOsvRecord) };
+  }
+  if (data && Array.isArray(data.CVE_Items)) {
+    return { format: 'nvd', records: data.CVE_Items.map(convertNvdRecord).filter(record => record.id) };
+  }
+  if (data && Array.isArray(data.vulnerabilities)) {
+    return { format: 'nvd', records: data.vulnerabilities.filter(entry => entry.cve).map(entry => convertNvdRecord(entry.cve)) };
+  }
+  if (data && data.id && (data.affected || data.schema_version || data.modified)) {
+    return { format: 'osv', records: [convertOsvRecord(data)] };
+  }
+  return { format: null, records: [] };
+}
+
+function listDataFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).reduce((files, entry) => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return files.concat(listDataFiles(entryPath));
+    }
+    return /\.json(\.gz)?$/i.test(entry.name) ? files.concat(entryPath) : files;
+  }, []).sort();
+}
+
+/**
+ * Build a store from every .json and .json.gz file below a directory, e.g. an extracted
+ * OSV export or downloaded NVD feeds. Files that are neither are listed as skipped
+ */
+function loadVulnerabilityDirectory(directory) {
+  const store = createVulnerabilityStore();
+  listDataFiles(directory).forEach(file => {
+    const source = { file: path.relative(directory, file), format: null, records: 0 };
+    try {
+      let content = fs.readFileSync(file);
+      if (/\.gz$/i.test(file)) {
+        content = zlib.gunzipSync(content);
+      }
+      const { format, records } = convertVulnerabilityData(JSON.parse(content.toString('utf-8')));
+      records.forEach(record => addRecord(store, record));
+      source.format = format;
+      source.records = records.length;
+    } catch (error) {
+      source.error = error.message;
+    }
+    store.sources.push(source);
+  });
+  store.updatedAt = new Date().toISOString();
+  return store;
+}
+
+function loadVulnerabilityStore(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function saveVulnerabilityStore(store, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(store));
+}
+
+/**
+ * Rebuild the store file from the files dropped into the import directory
+ */
+function refreshVulnerabilityStore(importDirectory, file) {
+  const store = loadVulnerabilityDirectory(importDirectory);
+  saveVulnerabilityStore(store, file);
+  return store;
+}
+
+/**
+ * Summary of a store for status output: update time, record count and sources
+ */
+function describeVulnerabilityStore(store) {
+  return {
+    updatedAt: store.updatedAt,
+    records: Object.keys(store.records).length,
+    sources: store.sources
+  };
+}
+
+/**
+ * Every record for a vulnerability id, whether it is the record id or one of its aliases
+ */
+function findVulnerabilityRecords(store, id) {
+  return (store.index[(id || '').toUpperCase()] || []).map(recordId => store.records[recordId]);
+}
+
+function osvPackageCoordinates(affected) {
+  if (affected.purl) {
+    return dependencyCoordinates({ packageUrl: affected.purl });
+  }
+  const ecosystem = OSV_ECOSYSTEMS[(affected.ecosystem || '').split(':')[0].toLowerCase()] || null;
+  if (ecosystem === 'golang') {
+    const parsed = parsePackageUrl(`pkg:golang/${affected.name}`);
+    if (parsed) return { ecosystem, namespace: parsed.namespace, name: parsed.name };
+  }
+  return dependencyCoordinates({ name: affected.name, ecosystem: ecosystem });
+}
+
+/**
+ * Check a version against OSV ranges: affected from an "introduced" event until the
+ * next "fixed" (exclusive) or "last_affected" (inclusive) event
+ */
+function osvRangeContains(range, version, ecosystem) {
+  const scheme = range.type === 'SEMVER' ? 'npm' : ecosystem;
+  const eventVersion = event => event.introduced || event.fixed || event.last_affected || event.limit;
+  const events = range.events.filter(event => !event.limit).slice().sort((a, b) => {
+    if (a.introduced === '0') return -1;
+    if (b.introduced === '0') return 1;
+    return compareVersions(eventVersion(a), eventVersion(b), scheme);
+  });
+
+  let affected = false;
+  events.forEach(event => {
+    if (event.introduced !== undefined) {
+      if (event.introduced === '0' || compareVersions(version, event.introduced, scheme) >= 0) affected = true;
+    } else if (event.fixed !== undefined) {
+      if (compareVersions(version, event.fixed, scheme) >= 0) affected = false;
+    } else if (event.last_affected !== undefined) {
+      if (compareVersions(version, event.last_affected, scheme) > 0) affected = false;
+    }
+  });
+  return affected;
+}
+
+function describeOsvRanges(affected) {
+  const ranges = affected.ranges.map(range => range.events.map(event => Object.entries(event).map(([key, value]) => `${key} ${value}`).join('')).join(', '));
+  return ranges.join('; ') || `versions ${affected.versions.join(', ')}`;
+}
+
+function cpeParts(cpe) {
+  const parts = (cpe || '').split(':');
+  return parts[1] === '2.3'
+    ? { vendor: parts[3], product: parts[4], version: parts[5] }
+    : { vendor: parts[2], product: parts[3], version: parts[4] };
+}
+
+function nvdMatchContains(match, version, ecosystem) {
+  const cpeVersion = cpeParts(match.criteria).version;
+  if (cpeVersion && cpeVersion !== '*' && cpeVersion !== '-') {
+    return compareVersions(version, cpeVersion, ecosystem) === 0;
+  }
+  if (match.versionStartIncluding && compareVersions(version, match.versionStartIncluding, ecosystem) < 0) return false;
+  if (match.versionStartExcluding && compareVersions(version, match.versionStartExcluding, ecosystem) <= 0) return false;
+  if (match.versionEndIncluding && compareVersions(version, match.versionEndIncluding, ecosystem) > 0) return false;
+  if (match.versionEndExcluding && compareVersions(version, match.versionEndExcluding, ecosystem) >= 0) return false;
+  return true;
+}
+
+/**
+ * Check whether an installed version is inside the affected ranges of a finding's
+ * vulnerability. Package-level OSV data is preferred; NVD data is matched on the
+ * finding's CPEs (vendor and product)
+ * Returns { affected, source, id, reason }, affected being null when the store has no
+ * data for this vulnerability and package
+ */
+function checkAffectedVersion(store, finding, installedVersion) {
+  const records = findVulnerabilityRecords(store, finding.cve);
+  if (records.length === 0) {
+    return { affected: null, source: null, id: null, reason: `No offline data for ${finding.cve}` };
+  }
+
+  const coordinates = dependencyCoordinates(finding);
+  for (const record of records.filter(r => r.source === 'osv')) {
+    const entries = record.affected.filter(entry => coordinatesMatch(osvPackageCoordinates(entry), coordinates));
+    if (entries.length === 0) continue;
+
+    const ecosystem = osvPackageCoordinates(entries[0]).ecosystem;
+    const affected = entries.some(entry =>
+      entry.versions.includes(installedVersion) || entry.ranges.some(range => osvRangeContains(range, installedVersion, ecosystem)));
+    return {
+      affected: affected,
+      source: 'OSV',
+      id: record.id,
+      reason: affected
+        ? `${finding.cve} affects installed version ${installedVersion} (OSV ${record.id}: ${entries.map(describeOsvRanges).join('; ')})`
+        : `CVE does not apply to installed version ${installedVersion} (OSV ${record.id}: ${entries.map(describeOsvRanges).join('; ')})`
+    };
+  }
+
+  const products = new Set((finding.cpes || []).filter(cpe => /^cpe:/i.test(cpe)).map(cpe => {
+    const { vendor, product } = cpeParts(cpe);
+    return `${vendor}:${product}`.toLowerCase();
+  }));
+  for (const record of records.filter(r => r.source === 'nvd')) {
+    const matches = record.cpeMatches.filter(match => {
+      const { vendor, product } = cpeParts(match.criteria);
+      return products.has(`${vendor}:${product}`.toLowerCase());
+    });
+    if (matches.length === 0) continue;
+
+    const affected = matches.some(match => nvdMatchContains(match, installedVersion, finding.ecosystem));
+    return {
+      affected: affected,
+      source: 'NVD',
+      id: record.id,
+      reason: affected
+        ? `${finding.cve} affects installed version ${installedVersion} (NVD configurations)`
+        : `CVE does not apply to installed version ${installedVersion} (NVD configurations)`
+    };
+  }
+
+  return { affected: null, source: null, id: null, reason: `Offline data for ${finding.cve} does not cover this package` };
+}
+
+module.exports = {
+  createVulnerabilityStore,
+  loadVulnerabilityDirectory,
+  loadVulnerabilityStore,
+  saveVulnerabilityStore,
+  refreshVulnerabilityStore,
+  describeVulnerabilityStore,
+  checkAffectedVersion
+};
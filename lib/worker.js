@@ -0,0 +1,35 @@
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const { AnalysisInputError, runAnalysis } = require('./analyze');
+const { loadVulnerabilityStore } = require('./vulndb');
+const { loadDecisions } = require('./decisions');
+const { loadAliases } = require('./aliases');
+const { loadPolicy } = require('./policy');
+
+// Worker thread of an analysis job (see lib/jobs.js): analyzes the uploaded report and
+// dependencies file of workerData with the project's decisions, aliases and policy, posting
+// progress on the way and the triage at the end. Storing it is left to the main thread
+function analyzeJob({ projectName, report, dependencies, strict, files }) {
+  const progress = (stage, details = {}) => parentPort.postMessage({ type: 'progress', stage, ...details });
+  try {
+    progress('reading');
+    const result = runAnalysis(
+      { content: fs.readFileSync(report.path, 'utf-8'), fileName: report.fileName },
+      { content: fs.readFileSync(dependencies.path, 'utf-8'), fileName: dependencies.fileName },
+      {
+        vulnerabilityStore: files.vulndb ? loadVulnerabilityStore(files.vulndb) : null,
+        decisions: loadDecisions(files.decisions, projectName),
+        aliases: loadAliases(files.aliases, projectName),
+        policy: loadPolicy(files.policies, projectName),
+        strict: strict,
+        onProgress: progress
+      }
+    );
+    const { findings, ...triage } = result;
+    parentPort.postMessage({ type: 'completed', findings: findings.length, triage });
+  } catch (error) {
+    parentPort.postMessage({ type: 'failed', message: error.message, inputError: error instanceof AnalysisInputError });
+  }
+}
+
+analyzeJob(workerData);
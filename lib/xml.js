@@ -0,0 +1,15 @@
+/**
+ * Escape text for XML element content and attribute values
+ */
+function escapeXml(text) {
+  return (text === null || text === undefined ? '' : String(text))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  escapeXml
+};
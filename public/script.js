@@ -4,9 +4,23 @@ const loadingDiv = document.getElementById('loading');
 const resultsDiv = document.getElementById('results');
 const errorDiv = document.getElementById('error');
 const downloadBtn = document.getElementById('downloadBtn');
+const suppressionBtn = document.getElementById('suppressionBtn');
 
 let currentResults = null;
 
+// Results are shown for every scope, or only for findings in production scope
+const productionOnly = document.getElementById('productionOnly');
+
+function scopeFilter() {
+    return productionOnly.checked ? 'production' : 'all';
+}
+
+productionOnly.addEventListener('change', () => {
+    if (currentResults && currentResults.analysisId) {
+        openAnalysis(currentResults.analysisId);
+    }
+});
+
 uploadForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     
@@ -21,15 +35,19 @@ uploadForm.addEventListener('submit', async (e) => {
     
     formData.append('owaspReport', owaspFile);
     formData.append('dependencies', dependenciesFile);
+    formData.append('projectName', document.getElementById('projectName').value);
+    formData.append('strict', document.getElementById('strictParsing').checked);
     
-    // Show loading, hide results and error
+    // Show progress, hide results and error
+    showJobProgress(null);
     loadingDiv.classList.remove('hidden');
     resultsDiv.classList.add('hidden');
     errorDiv.classList.add('hidden');
     analyzeBtn.disabled = true;
     
     try {
-        const response = await fetch('/api/analyze', {
+        // The analysis runs as a background job on the server; its progress is followed until it is done
+        const response = await fetch('/api/jobs', {
             method: 'POST',
             body: formData
         });
@@ -40,41 +58,138 @@ uploadForm.addEventListener('submit', async (e) => {
             throw new Error(data.error || 'Analysis failed');
         }
         
-        currentResults = data;
-        displayResults(data);
+        showJobProgress(data.job);
+        const job = await watchJob(data.jobId, showJobProgress);
+        if (job.status === 'failed') {
+            throw new Error(job.error || 'Analysis failed');
+        }
+        
+        await openAnalysis(job.result.analysisId);
+        loadHistory();
         
     } catch (error) {
         showError(error.message || 'Failed to analyze files. Please check your files and try again.');
     } finally {
         loadingDiv.classList.add('hidden');
+        resetLoading();
         analyzeBtn.disabled = false;
     }
 });
 
+const jobProgress = document.getElementById('jobProgress');
+const loadingText = document.getElementById('loadingText');
+
+// The progress bar and stage of an analysis job; null while the files are uploaded
+function showJobProgress(job) {
+    document.getElementById('loadingSpinner').classList.add('hidden');
+    jobProgress.classList.remove('hidden');
+    if (!job) {
+        jobProgress.removeAttribute('value');
+        loadingText.textContent = 'Uploading files...';
+        return;
+    }
+    jobProgress.value = job.percent;
+    loadingText.textContent = job.stage === 'matching' && job.total > 0
+        ? `${job.stageLabel} (${job.done} of ${job.total})... ${job.percent}%`
+        : `${job.stageLabel}... ${job.percent}%`;
+}
+
+// Back to the spinner, which the scan comparison shows
+function resetLoading() {
+    document.getElementById('loadingSpinner').classList.remove('hidden');
+    jobProgress.classList.add('hidden');
+    loadingText.textContent = 'Analyzing files...';
+}
+
+/**
+ * Follow an analysis job until it completes or fails, calling onProgress with every state
+ * Uses the job's Server-Sent Events, and polls its state when they are not available
+ */
+function watchJob(jobId, onProgress) {
+    const url = `/api/jobs/${encodeURIComponent(jobId)}`;
+    return new Promise((resolve, reject) => {
+        const poll = async () => {
+            try {
+                const response = await fetch(url);
+                const job = await response.json();
+                if (!response.ok) {
+                    throw new Error(job.error || 'Failed to follow the analysis');
+                }
+                onProgress(job);
+                if (job.status === 'completed' || job.status === 'failed') {
+                    resolve(job);
+                } else {
+                    setTimeout(poll, 1000);
+                }
+            } catch (error) {
+                reject(error);
+            }
+        };
+        
+        if (!window.EventSource) {
+            poll();
+            return;
+        }
+        const source = new EventSource(`${url}/events`);
+        const finish = event => {
+            source.close();
+            const job = JSON.parse(event.data);
+            onProgress(job);
+            resolve(job);
+        };
+        source.addEventListener('progress', event => onProgress(JSON.parse(event.data)));
+        source.addEventListener('completed', finish);
+        source.addEventListener('failed', finish);
+        // A dropped stream falls back to polling
+        source.onerror = () => {
+            source.close();
+            poll();
+        };
+    });
+}
+
 function displayResults(data) {
-    const { falsePositives, summary } = data;
+    const { confirmed, falsePositives, needsReview, summary } = data;
+    
+    document.getElementById('analysisInfo').textContent = data.projectName
+        ? `Project: ${data.projectName} | Analyzed: ${new Date(data.createdAt).toLocaleString()}`
+        : '';
+    displayParseWarnings(summary.reportDiagnostics);
     
     // Update summary
     const summaryText = document.getElementById('summaryText');
-    summaryText.textContent = `Total OWASP Findings: ${summary.totalOWASPFindings} | ` +
-                              `Direct False Positives: ${summary.directFalsePositives} | ` +
-                              `Nested False Positives: ${summary.nestedFalsePositives}`;
+    summaryText.textContent = `Total OWASP Findings: ${summary.totalOWASPFindings} CVEs in ${summary.totalVulnerableDependencies} dependencies | ` +
+                              `Confirmed: ${summary.confirmed} | ` +
+                              `False Positives: ${summary.falsePositives} (${summary.directFalsePositives} direct, ${summary.nestedFalsePositives} nested) | ` +
+                              `Needs Review: ${summary.needsReview}` +
+                              (summary.manualDecisions ? ` | Manual Decisions: ${summary.manualDecisions}` : '') +
+                              (summary.expiredDecisions ? ` | Expired Decisions: ${summary.expiredDecisions}` : '') +
+                              (summary.policy ? ` | ${describePolicySummary(summary.policy)}` : '') +
+                              (summary.scopeFilter ? ` | Production scope only: ${summary.outOfScope} dev/test findings hidden`
+                                  : summary.nonProduction ? ` | Dev/Test Only: ${summary.nonProduction}` : '') +
+                              (summary.vulnerabilityDataUpdatedAt ? ` | Offline vulnerability data from ${new Date(summary.vulnerabilityDataUpdatedAt).toLocaleString()}` : '');
+    
+    // Display confirmed vulnerabilities and findings that need review
+    const confirmedDiv = document.getElementById('confirmedFindings');
+    if (confirmed.length === 0) {
+        confirmedDiv.innerHTML = '<p class="no-results">No confirmed vulnerabilities.</p>';
+    } else {
+        confirmedDiv.innerHTML = renderResultItems(confirmed, 'dependencyName', true);
+    }
+    
+    const needsReviewDiv = document.getElementById('needsReview');
+    if (needsReview.length === 0) {
+        needsReviewDiv.innerHTML = '<p class="no-results">No findings need review.</p>';
+    } else {
+        needsReviewDiv.innerHTML = renderResultItems(needsReview, 'dependencyName', true);
+    }
     
     // Display direct dependencies false positives
     const directDepsDiv = document.getElementById('directDependencies');
     if (falsePositives.directDependencies.length === 0) {
         directDepsDiv.innerHTML = '<p class="no-results">No false positives found in direct dependencies.</p>';
     } else {
-        directDepsDiv.innerHTML = falsePositives.directDependencies.map(item => `
-            <div class="result-item">
-                <h4>${escapeHtml(item.dependencyName)}</h4>
-                <div class="version-info">
-                    <strong>Reported Version:</strong> ${escapeHtml(item.reportedVersion)}
-                    ${item.actualVersions ? `<br><strong>Actual Versions:</strong> ${escapeHtml(item.actualVersions.join(', '))}` : ''}
-                </div>
-                <div class="reason">${escapeHtml(item.reason)}</div>
-            </div>
-        `).join('');
+        directDepsDiv.innerHTML = renderResultItems(falsePositives.directDependencies, 'dependencyName', true);
     }
     
     // Display nested libraries false positives
@@ -82,207 +197,952 @@ function displayResults(data) {
     if (falsePositives.nestedLibraries.length === 0) {
         nestedLibsDiv.innerHTML = '<p class="no-results">No false positives found in nested libraries.</p>';
     } else {
-        nestedLibsDiv.innerHTML = falsePositives.nestedLibraries.map(item => `
-            <div class="result-item">
-                <h4>${escapeHtml(item.libraryName)}</h4>
-                <div class="version-info">
-                    <strong>Reported Version:</strong> ${escapeHtml(item.reportedVersion)}
-                    ${item.actualVersions ? `<br><strong>Actual Versions:</strong> ${escapeHtml(item.actualVersions.join(', '))}` : ''}
-                </div>
-                ${item.parentDependency ? `<div class="parent-info">Parent: ${escapeHtml(item.parentDependency)}</div>` : ''}
-                <div class="reason">${escapeHtml(item.reason)}</div>
-            </div>
-        `).join('');
+        nestedLibsDiv.innerHTML = renderResultItems(falsePositives.nestedLibraries, 'libraryName', true);
     }
     
+    document.getElementById('suppressionStatus').textContent = '';
+
     // Show results
     resultsDiv.classList.remove('hidden');
 }
 
-function showError(message) {
-    errorDiv.classList.remove('hidden');
-    document.getElementById('errorMessage').textContent = message;
-    resultsDiv.classList.add('hidden');
+// Group per-CVE results by dependency and reported version
+function groupByDependency(items, nameKey) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = `${item[nameKey]}@${item.reportedVersion}`;
+        if (!groups.has(key)) {
+            groups.set(key, { name: item[nameKey], first: item, items: [] });
+        }
+        groups.get(key).items.push(item);
+    });
+    return Array.from(groups.values());
 }
 
-downloadBtn.addEventListener('click', () => {
-    if (!currentResults) {
-        showError('No results to download');
+// Severities with a badge style; anything else from the report gets the default one
+const SEVERITY_CLASSES = ['critical', 'high', 'medium', 'moderate', 'low'];
+
+function severityClass(severity) {
+    const name = (severity || '').toString().toLowerCase();
+    return SEVERITY_CLASSES.includes(name) ? `severity-${name}` : 'severity-unknown';
+}
+
+function renderCve(item) {
+    const scores = [];
+    if (item.cvssV3Score !== null && item.cvssV3Score !== undefined) scores.push(`CVSS v3: ${item.cvssV3Score}`);
+    if (item.cvssV2Score !== null && item.cvssV2Score !== undefined) scores.push(`CVSS v2: ${item.cvssV2Score}`);
+    if (item.cwes && item.cwes.length > 0) scores.push(item.cwes.join(', '));
+    
+    return `
+        <li class="cve-item">
+            <span class="severity ${severityClass(item.severity)}">${escapeHtml(item.severity || 'UNKNOWN')}</span>
+            <strong>${escapeHtml(item.cve || 'N/A')}</strong>
+            ${scores.length > 0 ? `<span class="cve-scores">${escapeHtml(scores.join(' · '))}</span>` : ''}
+            ${item.description ? `<div class="cve-description">${escapeHtml(item.description)}</div>` : ''}
+            ${renderDecision(item.manualDecision)}
+            ${renderPolicyActions(item)}
+        </li>
+    `;
+}
+
+const POLICY_ACTION_LABELS = {
+    'force-review': 'Forced to review',
+    'auto-accept': 'Risk accepted',
+    'fail-build': 'Fails the build'
+};
+
+// The policy rules that fired on a finding, each citing its rule; fail-build rules
+// only fail the build while the finding is confirmed or needs review
+function renderPolicyActions(item) {
+    const actions = item.policyActions || [];
+    if (actions.length === 0) {
+        return '';
+    }
+    const label = action => (action.action === 'fail-build' && item.status === 'false_positive'
+        ? 'Would fail the build'
+        : POLICY_ACTION_LABELS[action.action]);
+    const lines = actions.map(action =>
+        `<div>${escapeHtml(`${label(action)}: rule ${action.ruleId}${action.description ? ` (${action.description})` : ''}`)}</div>`
+    ).join('');
+    const failsBuild = item.status !== 'false_positive' && actions.some(action => action.action === 'fail-build');
+    return `<div class="decision-info${failsBuild ? ' policy-fail' : ''}"><strong>Policy:</strong>${lines}</div>`;
+}
+
+function describePolicySummary(policy) {
+    return `Policy${policy.name ? ` ${policy.name}` : ''}: ${policy.forcedReview} forced to review, ${policy.autoAccepted} accepted` +
+        (policy.failed ? `, build fails (${policy.buildFailures} findings)` : '');
+}
+
+const MATCH_LABELS = {
+    exact: 'exact name',
+    alias: 'project alias',
+    normalized: 'normalized name',
+    cpe: 'CPE product name',
+    scope: 'npm scope',
+    fuzzy: 'similar name'
+};
+
+// How the report name was matched to the tree; uncertain matches list every candidate package
+function renderNameMatch(item) {
+    if (!item.nameMatch) {
+        return '';
+    }
+    const describe = match => `${match.name || match.treeName} (${MATCH_LABELS[match.method]}, confidence ${match.confidence})`;
+    return item.nameMatch.candidates.length > 0
+        ? `<div class="upgrade-info name-match"><strong>Possible matches:</strong> ${escapeHtml(item.nameMatch.candidates.map(describe).join(', '))}</div>`
+        : `<div class="upgrade-info name-match"><strong>Matched as:</strong> ${escapeHtml(describe(item.nameMatch))}</div>`;
+}
+
+const DECISION_LABELS = {
+    not_exploitable: 'Not exploitable',
+    accepted_risk: 'Accepted risk',
+    confirmed: 'Confirmed'
+};
+
+// Where a manual triage decision came from; expired decisions are flagged and no longer applied
+function renderDecision(decision) {
+    if (!decision) {
+        return '';
+    }
+    const details = [`by ${decision.author}`];
+    if (decision.createdAt) details.push(`on ${decision.createdAt.split('T')[0]}`);
+    if (decision.expiresAt) details.push(`${decision.expired ? 'expired' : 'expires'} ${decision.expiresAt}`);
+    return `
+            <div class="decision-info${decision.expired ? ' decision-expired' : ''}">
+                <strong>${decision.expired ? 'Expired manual decision (not applied)' : 'Manual decision'}:</strong>
+                ${escapeHtml(DECISION_LABELS[decision.decision] || decision.decision)} ${escapeHtml(details.join(', '))}
+                <div>${escapeHtml(decision.justification)}</div>
+            </div>
+    `;
+}
+
+// Render every path to the package; paths at other versions than the reported one are dimmed
+function renderPaths(item) {
+    if (!item.paths || item.paths.length === 0) {
+        return item.parentDependency ? `<div class="parent-info"><strong>Parent:</strong> ${escapeHtml(item.parentDependency)}</div>` : '';
+    }
+    const paths = item.paths.map(p => `<li class="${p.matched === false ? 'path-other' : 'path-affected'}">${escapeHtml(p.path)}` +
+        `${p.scope ? `<span class="path-scope">${escapeHtml(p.scope)}</span>` : ''}</li>`).join('');
+    const upgrade = item.upgradeDirectDependencies && item.upgradeDirectDependencies.length > 0
+        ? `<div class="upgrade-info"><strong>Upgrade:</strong> ${escapeHtml(item.upgradeDirectDependencies.join(', '))}</div>`
+        : '';
+    return `<div class="path-info"><strong>Paths:</strong><ul class="path-list">${paths}</ul></div>${upgrade}`;
+}
+
+// Controls to record a manual decision on one of the dependency's CVEs, or remove an earlier one
+function renderTriageControls(group) {
+    const item = group.first;
+    const decided = group.items.filter(i => i.manualDecision);
+    return `
+                <details class="triage-controls" data-dependency="${escapeHtml(group.name)}" data-namespace="${escapeHtml(item.namespace || '')}">
+                    <summary>Record decision</summary>
+                    <div class="triage-form">
+                        <label>CVE
+                            <select class="triage-cve">
+                                ${group.items.map(i => `<option value="${escapeHtml(i.cve)}">${escapeHtml(i.cve)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Decision
+                            <select class="triage-decision">
+                                ${Object.entries(DECISION_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Justification
+                            <textarea class="triage-justification" rows="2"></textarea>
+                        </label>
+                        <label>Author
+                            <input type="text" class="triage-author" value="${escapeHtml(localStorage.getItem('triageAuthor') || '')}">
+                        </label>
+                        <label>Expires (optional)
+                            <input type="date" class="triage-expires">
+                        </label>
+                        <div class="triage-actions">
+                            <button type="button" class="btn-small triage-save">Save decision</button>
+                            ${decided.map(i => `
+                                <button type="button" class="btn-small btn-danger" data-remove-decision="${escapeHtml(i.manualDecision.id)}">Remove decision on ${escapeHtml(i.cve)}</button>
+                            `).join('')}
+                        </div>
+                        <p class="triage-status"></p>
+                    </div>
+                </details>
+    `;
+}
+
+// Render results grouped by dependency, listing every CVE of each dependency;
+// the results page adds the triage controls
+function renderResultItems(items, nameKey, withControls = false) {
+    return groupByDependency(items, nameKey).map(group => {
+        const item = group.first;
+        const reasons = Array.from(new Set(group.items.map(i => i.reason)));
+        return `
+            <div class="result-item">
+                <h4>${escapeHtml(group.name)}</h4>
+                <div class="version-info">
+                    <strong>Reported Version:</strong> ${escapeHtml(item.reportedVersion)}
+                    ${item.actualVersions ? `<br><strong>Actual Versions:</strong> ${escapeHtml(item.actualVersions.join(', '))}` : ''}
+                </div>
+                ${renderNameMatch(item)}
+                ${renderPaths(item)}
+                <ul class="cve-list">${group.items.map(renderCve).join('')}</ul>
+                <div class="reason">${escapeHtml(reasons.join(' '))}</div>
+                ${withControls ? renderTriageControls(group) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// Manual triage decisions are stored for the project and applied from its next analysis on
+resultsDiv.addEventListener('click', async (e) => {
+    const controls = e.target.closest('.triage-controls');
+    if (!controls || !currentResults || e.target.tagName !== 'BUTTON') {
         return;
     }
+    const status = controls.querySelector('.triage-status');
+    const project = encodeURIComponent(currentResults.projectName || 'default');
     
-    const { falsePositives, summary } = currentResults;
-    const timestamp = new Date().toLocaleString();
-    
-    const htmlContent = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>OWASP False Positives Report</title>
-        <style>
-            body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 20px;
-            background: #EEF2F5;
-            color: #025064;
-        }
-        .header {
-            background: #317D9B;
-            color: white;
-            padding: 30px;
-            border-radius: 8px;
-            margin-bottom: 30px;
-            text-align: center;
-        }
-        h1 { 
-            margin: 0 0 10px 0;
-            color: white;
-        }
-        .timestamp { 
-            opacity: 0.9; 
-            font-size: 14px;
-            color: white;
+    try {
+        let response;
+        if (e.target.dataset.removeDecision) {
+            response = await fetch(`/api/projects/${project}/decisions/${encodeURIComponent(e.target.dataset.removeDecision)}`, {
+                method: 'DELETE'
+            });
+        } else {
+            const author = controls.querySelector('.triage-author').value;
+            localStorage.setItem('triageAuthor', author);
+            response = await fetch(`/api/projects/${project}/decisions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    dependencyName: controls.dataset.dependency,
+                    namespace: controls.dataset.namespace || null,
+                    cve: controls.querySelector('.triage-cve').value,
+                    decision: controls.querySelector('.triage-decision').value,
+                    justification: controls.querySelector('.triage-justification').value,
+                    author: author,
+                    expiresAt: controls.querySelector('.triage-expires').value || null
+                })
+            });
         }
-        .summary {
-            background: white;
-            padding: 20px;
-            border-radius: 8px;
-            margin-bottom: 30px;
-            box-shadow: 0 2px 4px rgba(2, 80, 100, 0.1);
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save decision');
         }
-        .summary h2 { 
-            margin-top: 0; 
-            color: #317D9B;
+        status.textContent = `${e.target.dataset.removeDecision ? 'Decision removed' : 'Decision saved'}. ` +
+            `Takes effect from the next analysis of project "${currentResults.projectName || 'default'}".`;
+    } catch (error) {
+        status.textContent = error.message;
+    }
+});
+
+// Analysis history: stored analyses can be reopened or deleted
+async function loadHistory() {
+    const historyList = document.getElementById('historyList');
+    try {
+        const response = await fetch('/api/analyses');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load history');
         }
-        .stat { 
-            display: inline-block;
-            margin-right: 30px;
-            font-size: 16px;
-            color: #025064;
+        
+        fillAnalysisSelects(data.analyses);
+        if (data.analyses.length === 0) {
+            historyList.innerHTML = '<p class="no-results">No stored analyses yet.</p>';
+            return;
         }
-        .stat strong { 
-            color: #317D9B;
+        historyList.innerHTML = data.analyses.map(analysis => `
+            <div class="history-item">
+                <div>
+                    <strong>${escapeHtml(analysis.projectName)}</strong>
+                    <div class="history-meta">
+                        ${escapeHtml(new Date(analysis.createdAt).toLocaleString())} ·
+                        ${escapeHtml(analysis.report.fileName)} / ${escapeHtml(analysis.dependencies.fileName)} ·
+                        ${analysis.summary.confirmed} confirmed, ${analysis.summary.falsePositives} false positives, ${analysis.summary.needsReview} need review
+                    </div>
+                </div>
+                <div class="history-actions">
+                    <button class="btn-small" data-open="${escapeHtml(analysis.id)}">Open</button>
+                    <button class="btn-small btn-danger" data-delete="${escapeHtml(analysis.id)}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        historyList.innerHTML = `<p class="no-results">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function openAnalysis(id) {
+    try {
+        const response = await fetch(`/api/analyses/${encodeURIComponent(id)}?scope=${scopeFilter()}`);
+        const analysis = await response.json();
+        if (!response.ok) {
+            throw new Error(analysis.error || 'Failed to open analysis');
         }
-        .section {
-            background: white;
-            padding: 25px;
-            border-radius: 8px;
-            margin-bottom: 20px;
-            box-shadow: 0 2px 4px rgba(2, 80, 100, 0.1);
+        
+        errorDiv.classList.add('hidden');
+        currentResults = {
+            analysisId: analysis.id,
+            projectName: analysis.projectName,
+            createdAt: analysis.createdAt,
+            ...analysis.result
+        };
+        displayResults(currentResults);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteAnalysis(id) {
+    if (!confirm('Delete this analysis?')) {
+        return;
+    }
+    try {
+        const response = await fetch(`/api/analyses/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to delete analysis');
         }
-        .section h2 {
-            color: #317D9B;
-            margin-top: 0;
-            border-bottom: 2px solid #317D9B;
-            padding-bottom: 10px;
+        if (currentResults && currentResults.analysisId === id) {
+            currentResults = null;
+            resultsDiv.classList.add('hidden');
         }
-        .result-item {
-            background: #EEF2F5;
-            padding: 15px;
-            margin: 15px 0;
-            border-radius: 6px;
-            border-left: 4px solid #025064;
+        loadHistory();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+document.getElementById('historyList').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) {
+        return;
+    }
+    if (button.dataset.open) {
+        openAnalysis(button.dataset.open);
+    } else if (button.dataset.delete) {
+        deleteAnalysis(button.dataset.delete);
+    }
+});
+
+loadHistory();
+
+// Name aliases of the project named in the upload form, edited as JSON and applied from its next analysis on
+const aliasesText = document.getElementById('aliasesText');
+const aliasesStatus = document.getElementById('aliasesStatus');
+
+function aliasesUrl() {
+    return `/api/projects/${encodeURIComponent(document.getElementById('projectName').value.trim() || 'default')}/aliases`;
+}
+
+async function loadAliases() {
+    try {
+        const response = await fetch(aliasesUrl());
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load aliases');
         }
-        .result-item h4 {
-            margin: 0 0 10px 0;
-            color: #025064;
-            font-size: 18px;
+        aliasesText.value = Object.keys(data.aliases).length > 0 ? JSON.stringify(data.aliases, null, 2) : '';
+        aliasesStatus.textContent = '';
+    } catch (error) {
+        aliasesStatus.textContent = error.message;
+    }
+}
+
+document.getElementById('saveAliasesBtn').addEventListener('click', async () => {
+    let aliases;
+    try {
+        aliases = aliasesText.value.trim() ? JSON.parse(aliasesText.value) : {};
+    } catch (error) {
+        aliasesStatus.textContent = `Invalid JSON: ${error.message}`;
+        return;
+    }
+    try {
+        const response = await fetch(aliasesUrl(), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ aliases })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save aliases');
         }
-        .version-info, .parent-info {
-            margin: 8px 0;
-            font-size: 14px;
-            color: #025064;
+        aliasesText.value = Object.keys(data.aliases).length > 0 ? JSON.stringify(data.aliases, null, 2) : '';
+        aliasesStatus.textContent = `Saved ${Object.keys(data.aliases).length} aliases. They apply from the next analysis.`;
+    } catch (error) {
+        aliasesStatus.textContent = error.message;
+    }
+});
+
+// An uploaded alias file ({ aliases } as the API returns it, or a plain map) is loaded into the editor
+document.getElementById('aliasesFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+        return;
+    }
+    try {
+        const content = JSON.parse(await file.text());
+        const aliases = content && typeof content.aliases === 'object' ? content.aliases : content;
+        aliasesText.value = JSON.stringify(aliases, null, 2);
+        aliasesStatus.textContent = `Loaded ${file.name}. Save to apply it.`;
+    } catch (error) {
+        aliasesStatus.textContent = `Invalid JSON in ${file.name}: ${error.message}`;
+    }
+});
+
+document.getElementById('loadAliasesBtn').addEventListener('click', loadAliases);
+document.getElementById('projectName').addEventListener('change', loadAliases);
+loadAliases();
+
+// Triage policy of the project named in the upload form, uploaded as a YAML or JSON file
+const policyText = document.getElementById('policyText');
+const policyStatus = document.getElementById('policyStatus');
+
+function policyUrl() {
+    return `/api/projects/${encodeURIComponent(document.getElementById('projectName').value.trim() || 'default')}/policy`;
+}
+
+function showPolicy(policy) {
+    policyText.textContent = policy ? JSON.stringify(policy, null, 2) : 'No policy. Upload one to apply it from the next analysis.';
+    document.getElementById('removePolicyBtn').disabled = !policy;
+}
+
+async function loadPolicy() {
+    try {
+        const response = await fetch(policyUrl());
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load policy');
         }
-        .reason {
-            margin-top: 10px;
-            padding: 10px;
-            background: white;
-            border-radius: 4px;
-            font-size: 14px;
-            line-height: 1.5;
-            color: #025064;
+        showPolicy(data.policy);
+        policyStatus.textContent = '';
+    } catch (error) {
+        policyStatus.textContent = error.message;
+    }
+}
+
+document.getElementById('policyFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+        return;
+    }
+    const formData = new FormData();
+    formData.append('policy', file);
+    try {
+        const response = await fetch(policyUrl(), { method: 'PUT', body: formData });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save policy');
         }
-        .no-results {
-            color: #025064;
-            font-style: italic;
-            padding: 20px;
-            text-align: center;
+        showPolicy(data.policy);
+        policyStatus.textContent = `Saved ${file.name}. It applies from the next analysis.`;
+    } catch (error) {
+        policyStatus.textContent = error.message;
+    }
+    e.target.value = '';
+});
+
+document.getElementById('removePolicyBtn').addEventListener('click', async () => {
+    if (!confirm('Remove the triage policy of this project?')) {
+        return;
+    }
+    try {
+        const response = await fetch(policyUrl(), { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to remove policy');
         }
-        @media print {
-            body { background: white; }
-            .section { box-shadow: none; border: 1px solid #317D9B; }
+        showPolicy(null);
+        policyStatus.textContent = 'Policy removed.';
+    } catch (error) {
+        policyStatus.textContent = error.message;
+    }
+});
+
+document.getElementById('projectName').addEventListener('change', loadPolicy);
+loadPolicy();
+
+// Scan comparison: each side is a stored analysis or an uploaded report and dependencies file
+const compareForm = document.getElementById('compareForm');
+const comparisonDiv = document.getElementById('comparison');
+let currentComparison = null;
+
+// Offer the stored analyses in the comparison's selects, keeping the current choice
+function fillAnalysisSelects(analyses) {
+    ['baselineId', 'currentId'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = '<option value="">Upload files instead</option>' + analyses.map(analysis => `
+            <option value="${escapeHtml(analysis.id)}">${escapeHtml(analysis.projectName)} · ${escapeHtml(new Date(analysis.createdAt).toLocaleString())} · ${escapeHtml(analysis.report.fileName)}</option>
+        `).join('');
+        select.value = analyses.some(analysis => analysis.id === selected) ? selected : '';
+    });
+}
+
+compareForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const formData = new FormData();
+    for (const side of ['baseline', 'current']) {
+        const id = document.getElementById(`${side}Id`).value;
+        const reportFile = document.getElementById(`${side}Report`).files[0];
+        const dependenciesFile = document.getElementById(`${side}Dependencies`).files[0];
+        if (id) {
+            formData.append(`${side}Id`, id);
+        } else if (reportFile && dependenciesFile) {
+            formData.append(`${side}Report`, reportFile);
+            formData.append(`${side}Dependencies`, dependenciesFile);
+        } else {
+            showError(`Select a stored analysis or both files for the ${side} scan`);
+            return;
         }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>OWASP False Positives Report</h1>
-        <div class="timestamp">Generated: ${escapeHtml(timestamp)}</div>
-    </div>
+    }
+    formData.append('projectName', document.getElementById('projectName').value);
+    formData.append('strict', document.getElementById('strictParsing').checked);
     
-    <div class="summary">
-        <h2>Summary</h2>
-        <div class="stat"><strong>Total OWASP Findings:</strong> ${summary.totalOWASPFindings}</div>
-        <div class="stat"><strong>Direct False Positives:</strong> ${summary.directFalsePositives}</div>
-        <div class="stat"><strong>Nested False Positives:</strong> ${summary.nestedFalsePositives}</div>
-    </div>
+    loadingDiv.classList.remove('hidden');
+    comparisonDiv.classList.add('hidden');
+    errorDiv.classList.add('hidden');
+    document.getElementById('compareBtn').disabled = true;
     
-    <div class="section">
-        <h2>Direct Dependencies False Positives</h2>
-        ${falsePositives.directDependencies.length === 0 
-            ? '<p class="no-results">No false positives found in direct dependencies.</p>'
-            : falsePositives.directDependencies.map(item => `
-                <div class="result-item">
-                    <h4>${escapeHtml(item.dependencyName)}</h4>
-                    <div class="version-info">
-                        <strong>Reported Version:</strong> ${escapeHtml(item.reportedVersion)}
-                        ${item.actualVersions ? `<br><strong>Actual Versions:</strong> ${escapeHtml(item.actualVersions.join(', '))}` : ''}
-                    </div>
-                    <div class="reason">${escapeHtml(item.reason)}</div>
-                </div>
-            `).join('')
+    try {
+        const response = await fetch('/api/compare', {
+            method: 'POST',
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Comparison failed');
         }
-    </div>
+        
+        currentComparison = data;
+        displayComparison(data);
+        loadHistory();
+        
+    } catch (error) {
+        showError(error.message || 'Failed to compare scans. Please check your files and try again.');
+    } finally {
+        loadingDiv.classList.add('hidden');
+        document.getElementById('compareBtn').disabled = false;
+    }
+});
+
+const STATUS_LABELS = {
+    confirmed: 'Confirmed',
+    false_positive: 'False positive',
+    needs_review: 'Needs review'
+};
+
+// One side of a compared finding: its classification and versions in that scan
+function renderComparisonState(state) {
+    if (!state) {
+        return '<td class="compare-absent">Not reported</td>';
+    }
+    const versions = state.actualVersions.length > 0 ? ` (installed ${state.actualVersions.join(', ')})` : '';
+    return `<td class="status-${escapeHtml(state.status)}">
+                <strong>${escapeHtml(STATUS_LABELS[state.status] || state.status)}</strong>
+                <div class="version-info">${escapeHtml(state.reportedVersion || 'N/A')}${escapeHtml(versions)}</div>
+                <div class="compare-reason">${escapeHtml(state.reason)}</div>
+            </td>`;
+}
+
+// Findings of one comparison category, baseline and current scan side by side
+function renderComparisonTable(entries, emptyText) {
+    if (entries.length === 0) {
+        return `<p class="no-results">${escapeHtml(emptyText)}</p>`;
+    }
+    const rows = entries.map(entry => `
+        <tr>
+            <td><strong>${escapeHtml(entry.namespace ? `${entry.namespace}:${entry.dependencyName}` : entry.dependencyName)}</strong></td>
+            <td>
+                <span class="severity ${severityClass(entry.severity)}">${escapeHtml(entry.severity || 'UNKNOWN')}</span>
+                ${escapeHtml(entry.cve)}
+            </td>
+            ${renderComparisonState(entry.baseline)}
+            ${renderComparisonState(entry.current)}
+        </tr>`).join('');
+    return `<table class="compare-table">
+        <thead><tr><th>Dependency</th><th>CVE</th><th>Baseline</th><th>Current</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function describeScan(scan) {
+    return `${scan.projectName} · ${new Date(scan.createdAt).toLocaleString()} · ${scan.report.fileName} / ${scan.dependencies.fileName}`;
+}
+
+function displayComparison(data) {
+    const { summary } = data;
     
-    <div class="section">
-        <h2>Nested Libraries False Positives</h2>
-        ${falsePositives.nestedLibraries.length === 0
-            ? '<p class="no-results">No false positives found in nested libraries.</p>'
-            : falsePositives.nestedLibraries.map(item => `
-                <div class="result-item">
-                    <h4>${escapeHtml(item.libraryName)}</h4>
-                    <div class="version-info">
-                        <strong>Reported Version:</strong> ${escapeHtml(item.reportedVersion)}
-                        ${item.actualVersions ? `<br><strong>Actual Versions:</strong> ${escapeHtml(item.actualVersions.join(', '))}` : ''}
-                    </div>
-                    ${item.parentDependency ? `<div class="parent-info"><strong>Parent:</strong> ${escapeHtml(item.parentDependency)}</div>` : ''}
-                    <div class="reason">${escapeHtml(item.reason)}</div>
-                </div>
-            `).join('')
+    document.getElementById('comparisonInfo').innerHTML =
+        `<strong>Baseline:</strong> ${escapeHtml(describeScan(data.baseline))}<br>` +
+        `<strong>Current:</strong> ${escapeHtml(describeScan(data.current))}`;
+    document.getElementById('comparisonSummary').textContent =
+        `New: ${summary.newFindings} | Resolved: ${summary.resolved} | ` +
+        `Classification Changed: ${summary.changed} | Still Present: ${summary.stillPresent}`;
+    
+    document.getElementById('compareNew').innerHTML = renderComparisonTable(data.newFindings, 'No new findings.');
+    document.getElementById('compareResolved').innerHTML = renderComparisonTable(data.resolved, 'No resolved findings.');
+    document.getElementById('compareChanged').innerHTML = renderComparisonTable(data.changed, 'No finding changed classification.');
+    document.getElementById('compareStillPresent').innerHTML = renderComparisonTable(data.stillPresent, 'No findings present in both scans.');
+    
+    comparisonDiv.classList.remove('hidden');
+}
+
+// Exports are rendered by the server from the two stored analyses
+document.querySelector('.compare-export').addEventListener('click', (e) => {
+    const format = e.target.dataset.format;
+    if (!format || !currentComparison) {
+        return;
+    }
+    const params = new URLSearchParams({
+        baseline: currentComparison.baseline.id,
+        current: currentComparison.current.id,
+        format: format
+    });
+    const a = document.createElement('a');
+    a.href = `/api/compare?${params}`;
+    a.download = `owasp-comparison.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+});
+
+// Portfolio: many projects analyzed as one batch, followed until every project is done, then
+// shown with their breakdown, the CVEs they share and the most common false-positive sources
+const batchForm = document.getElementById('batchForm');
+const portfolioDiv = document.getElementById('portfolio');
+const portfolioProductionOnly = document.getElementById('portfolioProductionOnly');
+let currentBatchId = null;
+
+batchForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    const archive = document.getElementById('batchArchive').files[0];
+    const folder = Array.from(document.getElementById('batchFolder').files);
+    if (archive) {
+        formData.append('archive', archive);
+    } else if (folder.length > 0) {
+        // The folder's files go by their paths, relative to the folder, as the manifest names them
+        folder.forEach(file => formData.append('files', file, file.webkitRelativePath.replace(/^[^/]*\//, '') || file.name));
+    } else {
+        showError('Select an archive or a folder with a manifest');
+        return;
+    }
+    formData.append('strict', document.getElementById('strictParsing').checked);
+
+    errorDiv.classList.add('hidden');
+    document.getElementById('batchBtn').disabled = true;
+    try {
+        const response = await fetch('/api/batches', {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Batch analysis failed');
         }
-    </div>
-</body>
-</html>
-    `;
+
+        displayPortfolio(data.batch);
+        await followBatch(data.batchId);
+        loadHistory();
+        loadBatches();
+
+    } catch (error) {
+        showError(error.message || 'Failed to analyze the portfolio. Please check the archive and try again.');
+    } finally {
+        document.getElementById('batchBtn').disabled = false;
+    }
+});
+
+// Poll a batch until all of its projects are done, showing its progress on the way
+async function followBatch(id) {
+    currentBatchId = id;
+    for (;;) {
+        const response = await fetch(`/api/batches/${encodeURIComponent(id)}?scope=${portfolioProductionOnly.checked ? 'production' : 'all'}`);
+        const batch = await response.json();
+        if (!response.ok) {
+            throw new Error(batch.error || 'Failed to read the batch');
+        }
+        if (currentBatchId !== id) {
+            return;
+        }
+        displayPortfolio(batch);
+        if (batch.status === 'completed') {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// Stored batches, newest first, to reopen their portfolio
+async function loadBatches() {
+    const select = document.getElementById('batchSelect');
+    try {
+        const response = await fetch('/api/batches');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load portfolios');
+        }
+        select.innerHTML = data.batches.length === 0
+            ? '<option value="">No stored portfolios</option>'
+            : data.batches.map(batch => `
+                <option value="${escapeHtml(batch.id)}">${escapeHtml(new Date(batch.createdAt).toLocaleString())} · ${escapeHtml(batch.fileName)} · ${batch.projects} projects</option>
+            `).join('');
+    } catch (error) {
+        select.innerHTML = `<option value="">${escapeHtml(error.message)}</option>`;
+    }
+}
+
+function openBatch(id) {
+    followBatch(id).catch(error => showError(error.message));
+}
+
+document.getElementById('openBatchBtn').addEventListener('click', () => {
+    const id = document.getElementById('batchSelect').value;
+    if (id) {
+        openBatch(id);
+    }
+});
+
+portfolioProductionOnly.addEventListener('change', () => {
+    if (currentBatchId) {
+        openBatch(currentBatchId);
+    }
+});
+
+loadBatches();
+
+// A project of the batch: its progress while it runs, its counts once it is analyzed
+function renderPortfolioProject(project, breakdown) {
+    let details;
+    if (project.status === 'failed') {
+        details = `<td colspan="4" class="status-confirmed"><strong>Failed:</strong> ${escapeHtml(project.error || 'unknown error')}</td>`;
+    } else if (breakdown && breakdown.summary) {
+        const { summary } = breakdown;
+        details = `
+            <td>${summary.confirmed}${summary.policyFailed ? ' <span class="status-confirmed"><strong>Fails its policy</strong></span>' : ''}</td>
+            <td>${summary.falsePositives}</td>
+            <td>${summary.needsReview}</td>
+            <td><button class="btn-small" data-open-analysis="${escapeHtml(project.analysisId)}">Open</button></td>`;
+    } else if (project.status === 'completed') {
+        details = `<td colspan="3">Analyzed</td>
+            <td><button class="btn-small" data-open-analysis="${escapeHtml(project.analysisId)}">Open</button></td>`;
+    } else {
+        details = `<td colspan="4">${escapeHtml(project.stageLabel || 'Waiting for a worker')}... ${project.percent}%</td>`;
+    }
+    return `<tr><td><strong>${escapeHtml(project.name)}</strong></td>${details}</tr>`;
+}
+
+// CVEs reported in more than one project come first, with the projects and how each classified them
+function renderPortfolioCves(cves) {
+    if (cves.length === 0) {
+        return '<p class="no-results">No CVEs reported.</p>';
+    }
+    const rows = cves.slice(0, 50).map(cve => `
+        <tr>
+            <td>
+                <span class="severity ${severityClass(cve.severity)}">${escapeHtml((cve.severity || 'unknown').toUpperCase())}</span>
+                ${escapeHtml(cve.cve)}
+            </td>
+            <td>${cve.projectCount} (${cve.confirmedIn} confirmed, ${cve.needsReviewIn} need review, ${cve.falsePositiveIn} false positives)</td>
+            <td>${cve.projects.map(project =>
+                `<span class="status-${escapeHtml(project.status)}"><strong>${escapeHtml(project.name)}</strong></span> ${escapeHtml(STATUS_LABELS[project.status])}: ${escapeHtml(project.packages.join(', '))}`
+            ).join('<br>')}</td>
+        </tr>`).join('');
+    return `<table class="compare-table">
+        <thead><tr><th>CVE</th><th>Projects</th><th>Where</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>${cves.length > 50 ? `<p class="no-results">${cves.length - 50} more CVEs, each in fewer projects.</p>` : ''}`;
+}
+
+function renderFalsePositiveSources(sources) {
+    if (sources.length === 0) {
+        return '<p class="no-results">No false positives.</p>';
+    }
+    const rows = sources.slice(0, 20).map(source => `
+        <tr>
+            <td><strong>${escapeHtml(source.package)}</strong></td>
+            <td>${source.findings} (${source.cves} CVEs)</td>
+            <td>${escapeHtml(Object.entries(source.reasonCodes).map(([code, count]) => `${code} × ${count}`).join(', '))}</td>
+            <td>${escapeHtml(source.projects.join(', '))}</td>
+        </tr>`).join('');
+    return `<table class="compare-table">
+        <thead><tr><th>Package</th><th>False positives</th><th>Reasons</th><th>Projects</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function displayPortfolio(batch) {
+    const { portfolio } = batch;
+    const batchProgress = document.getElementById('batchProgress');
+
+    document.getElementById('portfolioInfo').textContent =
+        `${batch.fileName} · ${new Date(batch.createdAt).toLocaleString()} · ${batch.projects.length} projects`;
+    batchProgress.classList.toggle('hidden', batch.status === 'completed');
+    batchProgress.value = batch.percent;
+
+    const breakdown = new Map((portfolio ? portfolio.projects : []).map(project => [project.name, project]));
+    document.getElementById('portfolioProjects').innerHTML = `<table class="compare-table">
+        <thead><tr><th>Project</th><th>Confirmed</th><th>False positives</th><th>Needs review</th><th></th></tr></thead>
+        <tbody>${batch.projects.map(project => renderPortfolioProject(project, breakdown.get(project.name))).join('')}</tbody>
+    </table>`;
+
+    if (!portfolio) {
+        const done = batch.projects.filter(project => project.status === 'completed' || project.status === 'failed').length;
+        document.getElementById('portfolioSummary').textContent = `Analyzing: ${done} of ${batch.projects.length} projects done... ${batch.percent}%`;
+        document.getElementById('portfolioCves').innerHTML = '<p class="no-results">Available once every project is analyzed.</p>';
+        document.getElementById('portfolioSources').innerHTML = '<p class="no-results">Available once every project is analyzed.</p>';
+    } else {
+        const { totals } = portfolio;
+        const severities = Object.entries(totals.confirmedBySeverity)
+            .filter(([, count]) => count > 0)
+            .map(([severity, count]) => `${count} ${severity}`);
+        document.getElementById('portfolioSummary').textContent =
+            `Projects: ${totals.analyzed} analyzed${totals.failed > 0 ? `, ${totals.failed} failed` : ''} | ` +
+            `Findings: ${totals.findings} | Confirmed: ${totals.confirmed}${severities.length > 0 ? ` (${severities.join(', ')})` : ''} | ` +
+            `False Positives: ${totals.falsePositives} | Needs Review: ${totals.needsReview} | ` +
+            `CVEs: ${totals.cves}, ${totals.sharedCves} in several projects` +
+            (totals.policyFailures > 0 ? ` | Failing their policy: ${totals.policyFailures}` : '') +
+            (portfolio.scopeFilter === 'production' ? ` | Out of scope: ${totals.outOfScope}` : '');
+        document.getElementById('portfolioCves').innerHTML = renderPortfolioCves(portfolio.cves);
+        document.getElementById('portfolioSources').innerHTML = renderFalsePositiveSources(portfolio.falsePositiveSources);
+    }
+    portfolioDiv.classList.remove('hidden');
+}
+
+document.getElementById('portfolioProjects').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (button && button.dataset.openAnalysis) {
+        openAnalysis(button.dataset.openAnalysis);
+    }
+});
+
+// Warn when the report was read with heuristics, and list the rows the parser skipped
+function displayParseWarnings(diagnostics) {
+    const warningsDiv = document.getElementById('parseWarnings');
+    if (!diagnostics || (diagnostics.warnings.length === 0 && diagnostics.skippedRowCount === 0)) {
+        warningsDiv.classList.add('hidden');
+        warningsDiv.innerHTML = '';
+        return;
+    }
     
-    const blob = new Blob([htmlContent], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
+    const skipped = diagnostics.skippedRows.map(row =>
+        `<li>${escapeHtml(row.strategy)} row ${row.row}: ${escapeHtml(row.reason)}${row.text ? ` (${escapeHtml(row.text)})` : ''}</li>`
+    ).join('');
+    warningsDiv.innerHTML = `
+        <strong>Report parsing: ${escapeHtml(diagnostics.strategy || 'no strategy matched')}, ${escapeHtml(diagnostics.confidence)} confidence</strong>
+        ${diagnostics.warnings.length > 0 ? `<ul>${diagnostics.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : ''}
+        ${diagnostics.skippedRowCount > 0 ? `
+            <details>
+                <summary>${diagnostics.skippedRowCount} skipped rows</summary>
+                <ul>${skipped}</ul>
+            </details>
+        ` : ''}
+    `;
+    warningsDiv.classList.remove('hidden');
+}
+
+function showError(message) {
+    errorDiv.classList.remove('hidden');
+    document.getElementById('errorMessage').textContent = message;
+    resultsDiv.classList.add('hidden');
+}
+
+// Reports are rendered by the server from the stored analysis, with the same templates as the CLI
+const ANALYSIS_EXPORTS = {
+    html: 'false_positives_report.html',
+    json: 'owasp-fp-report.json',
+    csv: 'owasp-fp-report.csv',
+    md: 'owasp-fp-report.md',
+    junit: 'owasp-fp-report.junit.xml',
+    sarif: 'owasp-fp.sarif',
+    openvex: 'vex.openvex.json',
+    'cyclonedx-vex': 'vex.cdx.json'
+};
+
+function downloadExport(format) {
+    if (!currentResults || !currentResults.analysisId) {
+        showError('No results to download');
+        return;
+    }
     const a = document.createElement('a');
-    a.href = url;
-    a.download = `false_positives_report_${new Date().toISOString().split('T')[0]}.html`;
+    a.href = `/api/analyses/${encodeURIComponent(currentResults.analysisId)}/export?format=${encodeURIComponent(format)}&scope=${scopeFilter()}`;
+    a.download = ANALYSIS_EXPORTS[format];
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+}
+
+downloadBtn.addEventListener('click', () => downloadExport('html'));
+
+document.querySelector('.analysis-export').addEventListener('click', (e) => {
+    if (Object.prototype.hasOwnProperty.call(ANALYSIS_EXPORTS, e.target.dataset.export)) {
+        downloadExport(e.target.dataset.export);
+    }
+});
+
+suppressionBtn.addEventListener('click', async () => {
+    if (!currentResults) {
+        showError('No results to download');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('falsePositives', JSON.stringify(currentResults.falsePositives));
+    const until = document.getElementById('suppressionUntil').value;
+    if (until) {
+        formData.append('until', until);
+    }
+    const existingFile = document.getElementById('existingSuppression').files[0];
+    if (existingFile) {
+        formData.append('existingSuppression', existingFile);
+    }
+
+    const statusText = document.getElementById('suppressionStatus');
+    suppressionBtn.disabled = true;
+    try {
+        const response = await fetch('/api/suppression', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to generate suppression file');
+        }
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'suppression.xml';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        const added = response.headers.get('X-Suppressions-Added');
+        const skipped = response.headers.get('X-Suppressions-Skipped');
+        const byCpe = response.headers.get('X-Suppressions-By-Cpe');
+        statusText.textContent = `${added} vulnerabilities suppressed` +
+            (Number(skipped) > 0 ? `, ${skipped} already suppressed by the existing file` : '') +
+            (Number(byCpe) > 0 ? `. ${byCpe} rules match by CPE and also suppress other dependencies with that CPE: check them before use` : '');
+    } catch (error) {
+        showError(error.message || 'Failed to generate suppression file');
+    } finally {
+        suppressionBtn.disabled = false;
+    }
 });
 
+// Escapes quotes too, since results go into attribute values as well as text
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
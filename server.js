@@ -1,14 +1,79 @@
 const express = require('express');
 const multer = require('multer');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AnalysisInputError } = require('./lib/analyze');
+const { normalizeSuppressionUntil, parseSuppressionRules, generateSuppressionXml } = require('./lib/suppression');
+const { loadVulnerabilityStore, refreshVulnerabilityStore, describeVulnerabilityStore } = require('./lib/vulndb');
+const { saveAnalysis, listAnalyses, getAnalysis, deleteAnalysis } = require('./lib/analyses');
+const { compareAnalyses, renderComparisonCsv } = require('./lib/compare');
+const { validateDecision, loadDecisions, recordDecision, deleteDecision } = require('./lib/decisions');
+const { validateAliases, loadAliases, saveAliases } = require('./lib/aliases');
+const { parsePolicy, validatePolicy, loadPolicy, savePolicy, deletePolicy } = require('./lib/policy');
+const { SCOPE_FILTERS, filterByScope } = require('./lib/scopes');
+const { describeJob, createJobQueue } = require('./lib/jobs');
+const { readArchive } = require('./lib/archive');
+const { findManifest, parseManifest, validateManifest, manifestPath, buildPortfolio } = require('./lib/portfolio');
+const { createBatch, saveBatch, listBatches, getBatch, failInterruptedBatches } = require('./lib/batches');
+const { renderHtmlComparison } = require('./lib/render');
+const { EXPORT_FORMATS, renderExport } = require('./lib/export');
+const { parsePackageUrl } = require('./lib/coordinates');
 
 const app = express();
 const PORT = 3000;
 
-// Configure multer for file uploads
-const upload = multer({ dest: 'uploads/' });
+// Offline vulnerability data (OSV/NVD): the compiled store, rebuilt from the files dropped
+// into the import directory by POST /api/vulndb/refresh
+const VULNDB_FILE = process.env.VULNDB_FILE || path.join('data', 'vulndb.json');
+const VULNDB_IMPORT_DIR = process.env.VULNDB_IMPORT_DIR || path.join('data', 'vulndb-import');
+let vulnerabilityStore = fs.existsSync(VULNDB_FILE) ? loadVulnerabilityStore(VULNDB_FILE) : null;
+
+// Every analysis is kept in this directory for the history API
+const ANALYSES_DIR = process.env.ANALYSES_DIR || path.join('data', 'analyses');
+
+// Manual triage decisions of every project, applied to the project's later analyses
+const DECISIONS_FILE = process.env.DECISIONS_FILE || path.join('data', 'decisions.json');
+
+// Name aliases of every project, mapping report names to dependency tree names
+const ALIASES_FILE = process.env.ALIASES_FILE || path.join('data', 'aliases.json');
+
+// Triage policy of every project, evaluated on the project's analyses
+const POLICIES_FILE = process.env.POLICIES_FILE || path.join('data', 'policies.json');
+
+// Batch analyses of many projects, with their portfolio view
+const BATCHES_DIR = process.env.BATCHES_DIR || path.join('data', 'batches');
+
+// Analyses run as background jobs in worker threads, at most JOB_CONCURRENCY at once
+const jobs = createJobQueue(path.join(__dirname, 'lib', 'worker.js'), {
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2
+});
+
+// Configure multer for file uploads, at most UPLOAD_MAX_MB megabytes per file (default 256);
+// batch uploads keep the relative paths the manifest refers to, and are at most BATCH_MAX_MB
+// megabytes (default 512) in BATCH_MAX_FILES files (default 200) altogether
+const UPLOAD_MAX_SIZE = (Number(process.env.UPLOAD_MAX_MB) || 256) * 1024 * 1024;
+const BATCH_MAX_SIZE = (Number(process.env.BATCH_MAX_MB) || 512) * 1024 * 1024;
+const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 200;
+const upload = multer({ dest: 'uploads/', limits: { fileSize: UPLOAD_MAX_SIZE, files: 4 } });
+const batchUpload = multer({
+  dest: 'uploads/',
+  preservePath: true,
+  limits: { fileSize: Math.min(UPLOAD_MAX_SIZE, BATCH_MAX_SIZE), files: BATCH_MAX_FILES }
+});
+
+// Rejects a batch larger than BATCH_MAX_SIZE before any of it is read: the request has to declare
+// its length, which Node holds the body to
+function limitBatchSize(req, res, next) {
+  const length = req.headers['content-length'];
+  if (length === undefined) {
+    return res.status(411).json({ error: 'A batch upload needs a Content-Length' });
+  }
+  if (Number(length) > BATCH_MAX_SIZE) {
+    return res.status(413).json({ error: `The batch is larger than ${BATCH_MAX_SIZE / 1024 / 1024} MB` });
+  }
+  next();
+}
 
 // Middleware
 app.use(express.json());
@@ -20,532 +85,788 @@ if (!fs.existsSync('uploads')) {
 }
 
 /**
- * Convert package.json format to dependencies.json format
+ * Queue the analysis of an uploaded OWASP report and dependencies file with the project's
+ * triage decisions, aliases and policy. It runs in a worker thread; the analysis is stored when
+ * it completes (the job's result is { analysisId }) and the uploads are removed either way
+ * options.strict rejects reports that are not a recognized Dependency-Check layout
  */
-function convertPackageJsonToDependencies(packageJson) {
-  const dependencies = [];
-  
-  // Process dependencies
-  if (packageJson.dependencies) {
-    Object.keys(packageJson.dependencies).forEach(name => {
-      const version = packageJson.dependencies[name].replace(/^[\^~]/, ''); // Remove ^ or ~
-      dependencies.push({
-        name: name,
-        version: version,
-        children: []
-      });
-    });
-  }
-  
-  // Process devDependencies (optional, but include them)
-  if (packageJson.devDependencies) {
-    Object.keys(packageJson.devDependencies).forEach(name => {
-      const version = packageJson.devDependencies[name].replace(/^[\^~]/, '');
-      dependencies.push({
-        name: name,
-        version: version,
-        children: []
-      });
+function submitAnalysis(projectName, owaspReportFile, dependenciesFile, options = {}) {
+  const project = (projectName || '').trim() || 'default';
+  const job = jobs.submit({
+    projectName: project,
+    report: { path: owaspReportFile.path, fileName: owaspReportFile.originalname },
+    dependencies: { path: dependenciesFile.path, fileName: dependenciesFile.originalname },
+    strict: Boolean(options.strict),
+    files: {
+      vulndb: vulnerabilityStore ? VULNDB_FILE : null,
+      decisions: DECISIONS_FILE,
+      aliases: ALIASES_FILE,
+      policies: POLICIES_FILE
+    }
+  }, ({ findings, triage }) => {
+    const analysis = saveAnalysis(ANALYSES_DIR, {
+      projectName: project,
+      report: { fileName: owaspReportFile.originalname, format: triage.summary.reportFormat },
+      dependencies: { fileName: dependenciesFile.originalname, format: triage.summary.dependencyFormat },
+      result: triage
     });
-  }
-  
-  return { dependencies };
+    console.log(`Analysis ${analysis.id} of ${project}: ${findings} findings, ${triage.summary.confirmed} confirmed, ` +
+      `${triage.summary.falsePositives} false positives, ${triage.summary.needsReview} need review`);
+    return { analysisId: analysis.id };
+  });
+
+  // Clean up uploaded files
+  job.finished.then(() => {
+    fs.rmSync(owaspReportFile.path, { force: true });
+    fs.rmSync(dependenciesFile.path, { force: true });
+  });
+  return job;
 }
 
 /**
- * Parse OWASP HTML report to extract dependency vulnerabilities
+ * Analyze uploads (see submitAnalysis) and wait for the stored analysis
+ * Rejects with AnalysisInputError for unrecognized files
  */
-function parseOWASPReport(htmlContent) {
-  const $ = cheerio.load(htmlContent);
-  const findings = [];
-  const seenDeps = new Set(); // To avoid duplicates
-
-  // Method 1: Parse from summaryTable (real OWASP Dependency-Check format)
-  $('#summaryTable tbody tr').each((index, element) => {
-    const $row = $(element);
-    const cells = $row.find('td');
-    
-    if (cells.length >= 1) {
-      // OWASP reports typically have: Dependency Name, Version, CVEs
-      // The dependency name might be in the first cell, possibly with a link
-      const firstCell = $(cells[0]);
-      let dependencyName = firstCell.text().trim();
-      
-      // Try to extract from link if present
-      const link = firstCell.find('a');
-      if (link.length > 0) {
-        dependencyName = link.text().trim() || dependencyName;
-      }
-      
-      // Skip header rows
-      if (dependencyName.toLowerCase().includes('dependency') || 
-          dependencyName.toLowerCase().includes('name') ||
-          dependencyName.length === 0) {
-        return;
-      }
-      
-      // Version might be in second cell or embedded in dependency name
-      let version = '';
-      if (cells.length >= 2) {
-        version = $(cells[1]).text().trim();
-      }
-      
-      // Extract version from dependency name if format is "name:version"
-      if (dependencyName.includes(':')) {
-        const parts = dependencyName.split(':');
-        dependencyName = parts[0].trim();
-        if (parts.length > 1 && !version) {
-          version = parts.slice(1).join(':').trim();
-        }
-      }
-      
-      // CVE might be in a later cell
-      let cve = 'N/A';
-      if (cells.length >= 3) {
-        cve = $(cells[2]).text().trim() || 'N/A';
-      }
-      
-      if (dependencyName && dependencyName.length > 0) {
-        const key = `${dependencyName.toLowerCase()}:${version}`;
-        if (!seenDeps.has(key)) {
-          seenDeps.add(key);
-          findings.push({
-            dependencyName: dependencyName,
-            version: version || 'unknown',
-            cve: cve
-          });
-        }
-      }
+async function analyzeUploads(projectName, owaspReportFile, dependenciesFile, options = {}) {
+  const job = await submitAnalysis(projectName, owaspReportFile, dependenciesFile, options).finished;
+  if (job.status === 'failed') {
+    throw job.inputError ? new AnalysisInputError(job.error) : new Error(job.error);
+  }
+  return getAnalysis(ANALYSES_DIR, job.result.analysisId);
+}
+
+// Validation message of a scope filter (the scope field or ?scope=), null when it is valid or absent
+function scopeFilterError(scopeFilter) {
+  return scopeFilter === undefined || SCOPE_FILTERS.includes(scopeFilter)
+    ? null
+    : `scope must be one of ${SCOPE_FILTERS.join(', ')}`;
+}
+
+// Remove every uploaded file of a request that is rejected before analysis
+function removeUploads(req) {
+  Object.values(req.files || {}).flat().forEach(file => fs.unlinkSync(file.path));
+}
+
+// API endpoint to analyze files, answering when the analysis is done; POST /api/jobs runs the
+// same analysis in the background
+app.post('/api/analyze', upload.fields([
+  { name: 'owaspReport', maxCount: 1 },
+  { name: 'dependencies', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    if (!req.files || !req.files.owaspReport || !req.files.dependencies) {
+      removeUploads(req);
+      return res.status(400).json({ error: 'Both OWASP report and dependencies.json files are required' });
+    }
+    const scopeError = scopeFilterError(req.body.scope);
+    if (scopeError) {
+      removeUploads(req);
+      return res.status(400).json({ error: scopeError });
     }
-  });
 
-  // Method 1b: Parse from dependency sections (h3 tags with dependency names)
-  if (findings.length === 0) {
-    $('h3, h4').each((index, element) => {
-      const $el = $(element);
-      const text = $el.text().trim();
-      
-      // Look for patterns like "dependency-name:version" or dependency names
-      // OWASP reports often have dependency names in headers
-      if (text && text.length > 0 && !text.toLowerCase().includes('evidence') && 
-          !text.toLowerCase().includes('vulnerability') && 
-          !text.toLowerCase().includes('header')) {
-        // Try to extract dependency name and version
-        const patterns = [
-          /^([a-zA-Z0-9\-_\.]+):\s*([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/,
-          /^([a-zA-Z0-9\-_\.]+)\s+\(([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)\)/,
-          /^([a-zA-Z0-9\-_\.]+)\s+v?([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/
-        ];
-        
-        for (const pattern of patterns) {
-          const match = text.match(pattern);
-          if (match) {
-            const depName = match[1].trim();
-            const depVersion = match[2].trim();
-            const key = `${depName.toLowerCase()}:${depVersion}`;
-            
-            if (!seenDeps.has(key) && depName.length > 0) {
-              seenDeps.add(key);
-              findings.push({
-                dependencyName: depName,
-                version: depVersion,
-                cve: 'N/A'
-              });
-              break;
-            }
-          }
-        }
-      }
+    const analysis = await analyzeUploads(req.body.projectName, req.files.owaspReport[0], req.files.dependencies[0], {
+      strict: req.body.strict === 'true'
     });
-  }
 
-  // Method 2: Parse from other tables (fallback)
-  // Skip header rows by checking if first cell looks like a header
-  if (findings.length === 0) {
-    $('table tbody tr, table tr').each((index, element) => {
-    const $row = $(element);
-    const cells = $row.find('td');
-    
-    // Skip if no cells or if it looks like a header row (th cells or header text)
-    if (cells.length === 0 || $row.find('th').length > 0) {
-      return;
-    }
-    
-    if (cells.length >= 2) {
-      // Try different column arrangements
-      let dependencyText = '';
-      let versionText = '';
-      let cveText = '';
-      
-      // Common formats:
-      // Format 1: [Dependency] [Version] [CVE]
-      // Format 2: [Dependency:Version] [CVE]
-      // Format 3: [Dependency] [CVE] [Version]
-      
-      dependencyText = $(cells[0]).text().trim();
-      
-      // Skip if this looks like a header row
-      if (dependencyText.toLowerCase().includes('dependency') || 
-          dependencyText.toLowerCase().includes('version') ||
-          dependencyText.toLowerCase().includes('cve')) {
-        return;
-      }
-      
-      if (cells.length >= 2) {
-        versionText = $(cells[1]).text().trim();
-      }
-      if (cells.length >= 3) {
-        cveText = $(cells[2]).text().trim();
-      }
-      
-      // Parse dependency name and version
-      let dependencyName = dependencyText;
-      let version = versionText;
-      
-      // Check if dependency text contains version (format: "name:version" or "name (version)")
-      if (dependencyText.includes(':')) {
-        const parts = dependencyText.split(':');
-        dependencyName = parts[0].trim();
-        if (parts.length > 1) {
-          version = parts.slice(1).join(':').trim();
-        }
-      } else if (dependencyText.includes('(') && dependencyText.includes(')')) {
-        const match = dependencyText.match(/^(.+?)\s*\(([^)]+)\)/);
-        if (match) {
-          dependencyName = match[1].trim();
-          version = match[2].trim();
-        }
-      }
-      
-      // If version column exists and is different, use it
-      if (versionText && versionText !== dependencyText && !versionText.match(/CVE/i)) {
-        version = versionText;
-      }
-      
-      // Clean up dependency name (remove version if still present)
-      dependencyName = dependencyName.replace(/[:\s]+v?[\d.]+.*$/, '').trim();
-      
-      if (dependencyName && dependencyName.length > 0 && dependencyName !== 'unknown') {
-        const key = `${dependencyName.toLowerCase()}:${version}`;
-        if (!seenDeps.has(key)) {
-          seenDeps.add(key);
-          findings.push({
-            dependencyName: dependencyName,
-            version: version || 'unknown',
-            cve: cveText || 'N/A'
-          });
-        }
-      }
-    }
+    // Return results; the stored analysis keeps every scope
+    res.json({
+      success: true,
+      analysisId: analysis.id,
+      projectName: analysis.projectName,
+      createdAt: analysis.createdAt,
+      ...filterByScope(analysis.result, req.body.scope)
     });
-  }
 
-  // Method 2: Look for dependency-check specific classes and data attributes
-  if (findings.length === 0) {
-    $('.dependency, .vulnerability, [data-dependency], [class*="dependency"], [class*="vulnerability"]').each((index, element) => {
-      const $el = $(element);
-      const name = $el.attr('data-name') || 
-                   $el.attr('data-dependency') ||
-                   $el.find('.name, .dependency-name, [class*="name"]').first().text().trim() ||
-                   $el.text().trim();
-      
-      const version = $el.attr('data-version') || 
-                      $el.find('.version, .dependency-version, [class*="version"]').first().text().trim();
-      
-      const cve = $el.attr('data-cve') || 
-                  $el.find('.cve, .vulnerability-id, [class*="cve"]').first().text().trim();
-      
-      if (name && name.length > 0) {
-        const key = `${name.toLowerCase()}:${version}`;
-        if (!seenDeps.has(key)) {
-          seenDeps.add(key);
-          findings.push({
-            dependencyName: name,
-            version: version || 'unknown',
-            cve: cve || 'N/A'
-          });
-        }
-      }
+  } catch (error) {
+    if (error instanceof AnalysisInputError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error analyzing files:', error);
+    res.status(500).json({ 
+      error: 'Failed to analyze files', 
+      message: error.message 
     });
   }
+});
 
-  // Method 3: Parse from list items or divs with dependency info
-  if (findings.length === 0) {
-    $('li, div').each((index, element) => {
-      const $el = $(element);
-      const text = $el.text().trim();
-      
-      // Look for patterns: "dependency:version" or "dependency (version)"
-      const patterns = [
-        /^([a-zA-Z0-9\-_\.]+):\s*([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/,
-        /^([a-zA-Z0-9\-_\.]+)\s+\(([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)\)/,
-        /^([a-zA-Z0-9\-_\.]+)\s+v?([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s]*)/
-      ];
-      
-      for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match) {
-          const depName = match[1].trim();
-          const depVersion = match[2].trim();
-          const key = `${depName.toLowerCase()}:${depVersion}`;
-          
-          if (!seenDeps.has(key) && depName.length > 0) {
-            seenDeps.add(key);
-            findings.push({
-              dependencyName: depName,
-              version: depVersion,
-              cve: 'N/A'
-            });
-            break;
-          }
-        }
-      }
+// API endpoints for analysis jobs: queue an analysis (same fields as /api/analyze) and follow it,
+// by polling its state or as Server-Sent Events. A completed job's result names the stored analysis
+app.post('/api/jobs', upload.fields([
+  { name: 'owaspReport', maxCount: 1 },
+  { name: 'dependencies', maxCount: 1 }
+]), (req, res) => {
+  try {
+    if (!req.files || !req.files.owaspReport || !req.files.dependencies) {
+      removeUploads(req);
+      return res.status(400).json({ error: 'Both OWASP report and dependencies.json files are required' });
+    }
+    const job = submitAnalysis(req.body.projectName, req.files.owaspReport[0], req.files.dependencies[0], {
+      strict: req.body.strict === 'true'
     });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, jobId: job.id, job: describeJob(job) });
+  } catch (error) {
+    console.error('Error queuing analysis:', error);
+    res.status(500).json({ error: 'Failed to queue analysis', message: error.message });
   }
+});
 
-  // Method 4: Fallback - parse from entire body text
-  if (findings.length === 0) {
-    const text = $('body').text();
-    // Look for patterns like "dependency:version" or "dependency (version)"
-    const regex = /([a-zA-Z0-9\-_\.]+)[:\s(]+v?([0-9]+\.[0-9]+(?:\.[0-9]+)?[^\s\)]*)/g;
-    let match;
-    while ((match = regex.exec(text)) !== null) {
-      const depName = match[1].trim();
-      const depVersion = match[2].trim();
-      const key = `${depName.toLowerCase()}:${depVersion}`;
-      
-      if (!seenDeps.has(key) && depName.length > 2) {
-        seenDeps.add(key);
-        findings.push({
-          dependencyName: depName,
-          version: depVersion,
-          cve: 'N/A'
-        });
-      }
-    }
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
+  res.json(describeJob(job));
+});
 
-  return findings;
-}
+// Every state change is a "progress" event; the last one is "completed" or "failed"
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  const send = state => {
+    const event = state.status === 'completed' || state.status === 'failed' ? state.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(state)}\n\n`);
+    if (event !== 'progress') {
+      stop();
+      res.end();
+    }
+  };
+  const stop = jobs.subscribe(job.id, send);
+  req.on('close', stop);
+  send(describeJob(job));
+});
 
 /**
- * Recursively extract all dependencies from the dependency tree
- * Helper function to process a single dependency and its children
+ * The files of a batch upload by name: the entries of the uploaded archive, or the uploaded
+ * files under their relative paths. Every upload is removed once read. Throws AnalysisInputError
+ * when the archive cannot be read
  */
-function processDependency(dep, isTopLevel, allDeps) {
-  // Add as direct dependency if top-level
-  if (isTopLevel) {
-    allDeps.direct.push({
-      name: dep.name,
-      version: dep.version || 'unknown',
-      parent: null
-    });
-  }
-
-  // Process children (nested dependencies)
-  if (dep.children && Array.isArray(dep.children)) {
-    dep.children.forEach(child => {
-      // Add child as nested dependency
-      allDeps.nested.push({
-        name: child.name,
-        version: child.version || 'unknown',
-        parent: dep.name
-      });
-
-      // Recursively process this child's children
-      processDependency(child, false, allDeps);
-    });
+async function readBatchUploads(req) {
+  const files = req.files || {};
+  const contents = new Map();
+  try {
+    if (files.archive) {
+      const archive = files.archive[0];
+      try {
+        return await readArchive(await fs.promises.readFile(archive.path), archive.originalname);
+      } catch (error) {
+        throw new AnalysisInputError(error.message);
+      }
+    }
+    for (const file of files.files || []) {
+      contents.set(file.originalname.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, ''), await fs.promises.readFile(file.path));
+    }
+    return contents;
+  } finally {
+    removeUploads(req);
   }
 }
 
 /**
- * Recursively extract all dependencies from the dependency tree
+ * Queue the analysis of every project of a validated manifest, each as a job (see submitAnalysis)
+ * with its files written out of the batch upload, and store the batch. As projects finish the
+ * stored batch is updated; once all have, it gets its portfolio view
  */
-function extractAllDependencies(dependencyTree) {
-  const allDeps = {
-    direct: [],
-    nested: []
+async function submitBatch(fileName, manifest, contents, baseDir, options = {}) {
+  const writeUpload = async file => {
+    const upload = { path: path.join('uploads', crypto.randomUUID()), originalname: path.posix.basename(file) };
+    await fs.promises.writeFile(upload.path, contents.get(manifestPath(baseDir, file)));
+    return upload;
   };
-
-  if (!dependencyTree || !dependencyTree.dependencies) {
-    return allDeps;
+  const uploads = [];
+  for (const project of manifest.projects) {
+    uploads.push({ report: await writeUpload(project.report), dependencies: await writeUpload(project.dependencies) });
   }
 
-  // Process each top-level dependency
-  dependencyTree.dependencies.forEach(dep => {
-    processDependency(dep, true, allDeps);
+  const submitted = manifest.projects.map((project, index) =>
+    submitAnalysis(project.name, uploads[index].report, uploads[index].dependencies, options));
+  const batch = createBatch(BATCHES_DIR, {
+    fileName: fileName,
+    projects: manifest.projects.map((project, index) => ({
+      name: project.name.trim(),
+      report: project.report,
+      dependencies: project.dependencies,
+      jobId: submitted[index].id
+    }))
   });
 
-  return allDeps;
+  submitted.forEach((job, index) => job.finished.then(() => {
+    Object.assign(batch.projects[index], {
+      status: job.status,
+      error: job.error,
+      analysisId: job.result ? job.result.analysisId : null
+    });
+    if (batch.projects.every(project => project.status === 'completed' || project.status === 'failed')) {
+      batch.status = 'completed';
+      batch.finishedAt = new Date().toISOString();
+      batch.portfolio = batchPortfolio(batch);
+      console.log(`Batch ${batch.id}: ${batch.portfolio.totals.analyzed} of ${batch.projects.length} projects analyzed`);
+    }
+    saveBatch(BATCHES_DIR, batch);
+  }).catch(error => console.error('Error updating batch:', error)));
+  return batch;
 }
 
 /**
- * Normalize version strings for comparison
+ * Portfolio view of a batch's analyses, optionally limited to one of SCOPE_FILTERS
  */
-function normalizeVersion(version) {
-  if (!version) return '';
-  // Remove leading/trailing whitespace and common prefixes
-  return version.toString().trim().replace(/^v/i, '').toLowerCase();
+function batchPortfolio(batch, scopeFilter) {
+  return buildPortfolio(batch.projects.map(project => {
+    const analysis = project.analysisId ? getAnalysis(ANALYSES_DIR, project.analysisId) : null;
+    return {
+      name: project.name,
+      error: project.error || (project.analysisId && !analysis ? 'The analysis was deleted' : null),
+      analysis: analysis ? { ...analysis, result: filterByScope(analysis.result, scopeFilter) } : null
+    };
+  }));
 }
 
 /**
- * Check if versions match (allowing for minor differences)
+ * The state of a batch as the API returns it: projects still in the queue or running carry their
+ * job's stage and progress, percent is the progress of the whole batch
  */
-function versionsMatch(version1, version2) {
-  const v1 = normalizeVersion(version1);
-  const v2 = normalizeVersion(version2);
-  
-  // Exact match
-  if (v1 === v2) return true;
-  
-  // Try to match major.minor.patch ignoring build metadata
-  const v1Clean = v1.split('-')[0].split('+')[0];
-  const v2Clean = v2.split('-')[0].split('+')[0];
-  
-  return v1Clean === v2Clean;
+function describeBatchState(batch) {
+  const projects = batch.projects.map(project => {
+    const job = project.status === 'completed' || project.status === 'failed' ? null : jobs.get(project.jobId);
+    if (!job) {
+      return { ...project, percent: 100 };
+    }
+    const state = describeJob(job);
+    return { ...project, status: state.status, stage: state.stage, stageLabel: state.stageLabel, percent: state.percent };
+  });
+  return {
+    ...batch,
+    projects: projects,
+    percent: Math.floor(projects.reduce((sum, project) => sum + project.percent, 0) / projects.length)
+  };
 }
 
+// Batches cut short by a restart of the server are finished with what was analyzed
+failInterruptedBatches(BATCHES_DIR, batchPortfolio);
+
+// API endpoints for batch analyses: upload a zip, tar or tar.gz archive (field "archive") or the
+// files of the projects (field "files", named by their relative paths), with a manifest.json or
+// manifest.yaml among them or uploaded separately (field "manifest"). Every project is analyzed as
+// a job under its manifest name; the batch is followed by polling and, once done, carries the
+// portfolio view
+app.post('/api/batches', limitBatchSize, batchUpload.fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 },
+  { name: 'files' }
+]), async (req, res) => {
+  try {
+    const files = req.files || {};
+    if (!files.archive && !files.files) {
+      removeUploads(req);
+      return res.status(400).json({ error: 'Upload an archive, or the files of the projects and their manifest' });
+    }
+
+    // An uploaded manifest takes precedence over one in the archive
+    const manifestUpload = files.manifest ? await fs.promises.readFile(files.manifest[0].path, 'utf-8') : null;
+    const fileName = files.archive ? files.archive[0].originalname : `${files.files.length} files`;
+    const contents = await readBatchUploads(req);
+    const manifestName = manifestUpload === null ? findManifest([...contents.keys()]) : null;
+    if (manifestUpload === null && !manifestName) {
+      return res.status(400).json({ error: `${files.archive ? fileName : 'The upload'} has no manifest.json or manifest.yaml` });
+    }
+
+    let manifest;
+    try {
+      manifest = parseManifest(manifestUpload !== null ? manifestUpload : contents.get(manifestName).toString('utf-8'));
+    } catch (error) {
+      return res.status(400).json({ error: `The manifest is not valid YAML or JSON: ${error.message}` });
+    }
+    const baseDir = manifestName ? path.posix.dirname(manifestName) : '';
+    const error = validateManifest(manifest, [...contents.keys()], baseDir);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const batch = await submitBatch(fileName, manifest, contents, baseDir, { strict: req.body.strict === 'true' });
+    res.status(202).location(`/api/batches/${batch.id}`).json({
+      success: true,
+      batchId: batch.id,
+      batch: describeBatchState(batch)
+    });
+
+  } catch (error) {
+    if (error instanceof AnalysisInputError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error queuing batch:', error);
+    res.status(500).json({ error: 'Failed to queue batch', message: error.message });
+  }
+});
+
+app.get('/api/batches', (req, res) => {
+  try {
+    res.json({ batches: listBatches(BATCHES_DIR) });
+  } catch (error) {
+    console.error('Error listing batches:', error);
+    res.status(500).json({ error: 'Failed to list batches', message: error.message });
+  }
+});
+
+// ?scope=production builds the portfolio view from the findings in production scope only
+app.get('/api/batches/:id', (req, res) => {
+  try {
+    const scopeError = scopeFilterError(req.query.scope);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+    const batch = getBatch(BATCHES_DIR, req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (batch.portfolio && req.query.scope === 'production') {
+      batch.portfolio = { ...batchPortfolio(batch, req.query.scope), scopeFilter: req.query.scope };
+    }
+    res.json(describeBatchState(batch));
+  } catch (error) {
+    console.error('Error reading batch:', error);
+    res.status(500).json({ error: 'Failed to read batch', message: error.message });
+  }
+});
+
+// API endpoint to export false positives as a Dependency-Check suppression.xml,
+// optionally merged into an uploaded existing suppression file
+app.post('/api/suppression', upload.single('existingSuppression'), (req, res) => {
+  const existingPath = req.file ? req.file.path : null;
+  try {
+    let falsePositives;
+    try {
+      falsePositives = JSON.parse(req.body.falsePositives || '');
+    } catch (error) {
+      falsePositives = null;
+    }
+    if (!falsePositives || !Array.isArray(falsePositives.directDependencies) || !Array.isArray(falsePositives.nestedLibraries)) {
+      if (existingPath) fs.unlinkSync(existingPath);
+      return res.status(400).json({ error: 'falsePositives must be the falsePositives object returned by /api/analyze' });
+    }
+
+    let until = null;
+    if (req.body.until) {
+      until = normalizeSuppressionUntil(req.body.until);
+      if (!until) {
+        if (existingPath) fs.unlinkSync(existingPath);
+        return res.status(400).json({ error: 'until must be a date such as 2025-12-31' });
+      }
+    }
+
+    const existing = existingPath ? fs.readFileSync(existingPath, 'utf-8') : null;
+    if (existingPath) fs.unlinkSync(existingPath);
+    if (existing !== null && parseSuppressionRules(existing) === null) {
+      return res.status(400).json({ error: 'The existing file is not a Dependency-Check suppression file' });
+    }
+
+    const { xml, added, skipped, byCpe } = generateSuppressionXml(falsePositives, { until, existing });
+    res.set('Content-Disposition', 'attachment; filename="suppression.xml"');
+    res.set('X-Suppressions-Added', String(added));
+    res.set('X-Suppressions-Skipped', String(skipped));
+    res.set('X-Suppressions-By-Cpe', String(byCpe));
+    res.type('application/xml').send(xml);
+
+  } catch (error) {
+    console.error('Error generating suppression file:', error);
+    res.status(500).json({
+      error: 'Failed to generate suppression file',
+      message: error.message
+    });
+  }
+});
+
+// API endpoints for stored analyses: list (optionally ?project=name), read and delete
+app.get('/api/analyses', (req, res) => {
+  try {
+    res.json({ analyses: listAnalyses(ANALYSES_DIR, { projectName: req.query.project }) });
+  } catch (error) {
+    console.error('Error listing analyses:', error);
+    res.status(500).json({ error: 'Failed to list analyses', message: error.message });
+  }
+});
+
+// ?scope=production limits the result to findings in production scope
+app.get('/api/analyses/:id', (req, res) => {
+  try {
+    const scopeError = scopeFilterError(req.query.scope);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+    const analysis = getAnalysis(ANALYSES_DIR, req.params.id);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ ...analysis, result: filterByScope(analysis.result, req.query.scope) });
+  } catch (error) {
+    console.error('Error reading analysis:', error);
+    res.status(500).json({ error: 'Failed to read analysis', message: error.message });
+  }
+});
+
 /**
- * Main analysis function
+ * Send a stored analysis rendered in one of EXPORT_FORMATS as a download
+ * ?product=<purl> sets the product of VEX documents (default: the project the dependency file names),
+ * ?scope=production limits it to findings in production scope
  */
-function analyzeFalsePositives(owaspFindings, dependencyTree) {
-  const allDeps = extractAllDependencies(dependencyTree);
-  const falsePositives = {
-    directDependencies: [],
-    nestedLibraries: []
-  };
+function sendExport(req, res, format) {
+  const product = req.query.product ? parsePackageUrl(req.query.product) : null;
+  if (req.query.product && !product) {
+    return res.status(400).json({ error: 'product must be a package URL such as pkg:npm/my-app@1.0.0' });
+  }
+  const scopeError = scopeFilterError(req.query.scope);
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError });
+  }
+  const analysis = getAnalysis(ANALYSES_DIR, req.params.id);
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
 
-  // Debug: Log extracted dependencies
-  console.log('Direct dependencies:', allDeps.direct.map(d => `${d.name}:${d.version}`));
-  console.log('Nested dependencies:', allDeps.nested.map(d => `${d.name}:${d.version} (parent: ${d.parent})`));
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const output = renderExport(filterByScope(analysis.result, req.query.scope), format, {
+    manifest: analysis.dependencies.fileName,
+    projectName: analysis.projectName,
+    product: product ? { name: product.name, version: product.version, packageUrl: req.query.product } : null
+  });
+  res.set('Content-Disposition', `attachment; filename="owasp-fp-report.${extension}"`);
+  res.type(contentType).send(output);
+}
 
-  // Create lookup maps for faster searching
-  const directDepsMap = new Map();
-  allDeps.direct.forEach(dep => {
-    const key = dep.name.toLowerCase();
-    if (!directDepsMap.has(key)) {
-      directDepsMap.set(key, []);
+// API endpoint to export a stored analysis: ?format=json (default), csv, html, md, junit,
+// sarif, openvex or cyclonedx-vex; the CLI's --format renders the same output
+app.get('/api/analyses/:id/export', (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
     }
-    directDepsMap.get(key).push(dep);
-  });
+    sendExport(req, res, format);
+  } catch (error) {
+    console.error('Error exporting analysis:', error);
+    res.status(500).json({ error: 'Failed to export analysis', message: error.message });
+  }
+});
 
-  const nestedDepsMap = new Map();
-  allDeps.nested.forEach(dep => {
-    const key = dep.name.toLowerCase();
-    if (!nestedDepsMap.has(key)) {
-      nestedDepsMap.set(key, []);
+// API endpoint to export a stored analysis as a VEX document: ?format=openvex (default) or cyclonedx
+app.get('/api/analyses/:id/vex', (req, res) => {
+  try {
+    const format = req.query.format || 'openvex';
+    if (format !== 'openvex' && format !== 'cyclonedx') {
+      return res.status(400).json({ error: 'format must be openvex or cyclonedx' });
     }
-    nestedDepsMap.get(key).push(dep);
-  });
+    sendExport(req, res, format === 'cyclonedx' ? 'cyclonedx-vex' : 'openvex');
+  } catch (error) {
+    console.error('Error exporting VEX document:', error);
+    res.status(500).json({ error: 'Failed to export VEX document', message: error.message });
+  }
+});
 
-  // Check each OWASP finding
-  owaspFindings.forEach(finding => {
-    const findingName = finding.dependencyName.toLowerCase();
-    const findingVersion = finding.version;
-
-    // Check in direct dependencies
-    if (directDepsMap.has(findingName)) {
-      const matchingDeps = directDepsMap.get(findingName);
-      const versionMatch = matchingDeps.some(dep => versionsMatch(dep.version, findingVersion));
-      
-      if (!versionMatch) {
-        falsePositives.directDependencies.push({
-          dependencyName: finding.dependencyName,
-          reportedVersion: findingVersion,
-          actualVersions: matchingDeps.map(d => d.version),
-          reason: `Version mismatch. Found versions: ${matchingDeps.map(d => d.version).join(', ')}`
-        });
-      }
-    } else if (nestedDepsMap.has(findingName)) {
-      // Check in nested dependencies
-      const matchingDeps = nestedDepsMap.get(findingName);
-      const versionMatch = matchingDeps.some(dep => versionsMatch(dep.version, findingVersion));
-      
-      if (!versionMatch) {
-        falsePositives.nestedLibraries.push({
-          libraryName: finding.dependencyName,
-          reportedVersion: findingVersion,
-          actualVersions: matchingDeps.map(d => d.version),
-          parentDependency: matchingDeps[0].parent,
-          reason: `Version mismatch. Found versions: ${matchingDeps.map(d => d.version).join(', ')}`
-        });
+// API endpoint to export a stored analysis as SARIF 2.1.0, located at the uploaded dependency manifest
+app.get('/api/analyses/:id/sarif', (req, res) => {
+  try {
+    sendExport(req, res, 'sarif');
+  } catch (error) {
+    console.error('Error exporting SARIF log:', error);
+    res.status(500).json({ error: 'Failed to export SARIF log', message: error.message });
+  }
+});
+
+app.delete('/api/analyses/:id', (req, res) => {
+  try {
+    if (!deleteAnalysis(ANALYSES_DIR, req.params.id)) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting analysis:', error);
+    res.status(500).json({ error: 'Failed to delete analysis', message: error.message });
+  }
+});
+
+// API endpoints for a project's manual triage decisions: list, record (replacing an earlier
+// decision on the same dependency and CVE) and delete
+app.get('/api/projects/:project/decisions', (req, res) => {
+  try {
+    res.json({ decisions: loadDecisions(DECISIONS_FILE, req.params.project) });
+  } catch (error) {
+    console.error('Error listing decisions:', error);
+    res.status(500).json({ error: 'Failed to list decisions', message: error.message });
+  }
+});
+
+app.post('/api/projects/:project/decisions', (req, res) => {
+  try {
+    const error = validateDecision(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, decision: recordDecision(DECISIONS_FILE, req.params.project, req.body) });
+  } catch (error) {
+    console.error('Error recording decision:', error);
+    res.status(500).json({ error: 'Failed to record decision', message: error.message });
+  }
+});
+
+app.delete('/api/projects/:project/decisions/:id', (req, res) => {
+  try {
+    if (!deleteDecision(DECISIONS_FILE, req.params.project, req.params.id)) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting decision:', error);
+    res.status(500).json({ error: 'Failed to delete decision', message: error.message });
+  }
+});
+
+// API endpoints for a project's name aliases: read, and replace with an edited or uploaded map
+// ({ "aliases": { "<report name>": "<tree name>" } }), applied from the project's next analysis on
+app.get('/api/projects/:project/aliases', (req, res) => {
+  try {
+    res.json({ aliases: loadAliases(ALIASES_FILE, req.params.project) });
+  } catch (error) {
+    console.error('Error reading aliases:', error);
+    res.status(500).json({ error: 'Failed to read aliases', message: error.message });
+  }
+});
+
+app.put('/api/projects/:project/aliases', (req, res) => {
+  try {
+    const error = validateAliases(req.body.aliases);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, aliases: saveAliases(ALIASES_FILE, req.params.project, req.body.aliases) });
+  } catch (error) {
+    console.error('Error saving aliases:', error);
+    res.status(500).json({ error: 'Failed to save aliases', message: error.message });
+  }
+});
+
+// API endpoints for a project's triage policy: read, replace and remove. The policy is sent as
+// { "policy": {...} } or uploaded as a YAML or JSON file (field "policy") and applies from the
+// project's next analysis on
+app.get('/api/projects/:project/policy', (req, res) => {
+  try {
+    res.json({ policy: loadPolicy(POLICIES_FILE, req.params.project) });
+  } catch (error) {
+    console.error('Error reading policy:', error);
+    res.status(500).json({ error: 'Failed to read policy', message: error.message });
+  }
+});
+
+app.put('/api/projects/:project/policy', upload.single('policy'), (req, res) => {
+  try {
+    let policy = req.body.policy;
+    if (req.file) {
+      const content = fs.readFileSync(req.file.path, 'utf-8');
+      fs.unlinkSync(req.file.path);
+      try {
+        policy = parsePolicy(content);
+      } catch (error) {
+        return res.status(400).json({ error: `The policy file is not valid YAML or JSON: ${error.message}` });
       }
-    } else {
-      // Not found in either direct or nested - definitely a false positive
-      // Try to determine if it should be direct or nested based on common patterns
-      // For now, we'll add it to direct dependencies
-      falsePositives.directDependencies.push({
-        dependencyName: finding.dependencyName,
-        reportedVersion: findingVersion,
-        reason: 'Not found in project dependencies'
-      });
     }
-  });
+    const error = validatePolicy(policy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, policy: savePolicy(POLICIES_FILE, req.params.project, policy) });
+  } catch (error) {
+    console.error('Error saving policy:', error);
+    res.status(500).json({ error: 'Failed to save policy', message: error.message });
+  }
+});
 
-  return falsePositives;
+app.delete('/api/projects/:project/policy', (req, res) => {
+  try {
+    if (!deletePolicy(POLICIES_FILE, req.params.project)) {
+      return res.status(404).json({ error: 'The project has no policy' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing policy:', error);
+    res.status(500).json({ error: 'Failed to remove policy', message: error.message });
+  }
+});
+
+/**
+ * Compare two stored analyses and send the comparison as json (default), csv or html
+ */
+function sendComparison(res, baseline, current, format) {
+  const describe = analysis => {
+    const { result, ...scan } = analysis;
+    return { ...scan, summary: result.summary };
+  };
+  const comparison = {
+    baseline: describe(baseline),
+    current: describe(current),
+    ...compareAnalyses(baseline.result, current.result)
+  };
+
+  if (format === 'csv') {
+    res.set('Content-Disposition', 'attachment; filename="owasp-comparison.csv"');
+    return res.type('text/csv').send(renderComparisonCsv(comparison));
+  }
+  if (format === 'html') {
+    res.set('Content-Disposition', 'attachment; filename="owasp-comparison.html"');
+    return res.type('text/html').send(renderHtmlComparison(comparison));
+  }
+  res.json(comparison);
 }
 
-// API endpoint to analyze files
-app.post('/api/analyze', upload.fields([
-  { name: 'owaspReport', maxCount: 1 },
-  { name: 'dependencies', maxCount: 1 }
-]), (req, res) => {
+const COMPARISON_FORMATS = ['json', 'csv', 'html'];
+
+// API endpoint to compare two stored analyses: ?baseline=<id>&current=<id>&format=json|csv|html
+app.get('/api/compare', (req, res) => {
   try {
-    if (!req.files || !req.files.owaspReport || !req.files.dependencies) {
-      return res.status(400).json({ error: 'Both OWASP report and dependencies.json files are required' });
+    const format = req.query.format || 'json';
+    if (!COMPARISON_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${COMPARISON_FORMATS.join(', ')}` });
+    }
+    if (!req.query.baseline || !req.query.current) {
+      return res.status(400).json({ error: 'baseline and current analysis ids are required' });
     }
 
-    // Read and parse OWASP HTML report
-    const owaspReportPath = req.files.owaspReport[0].path;
-    const owaspHtmlContent = fs.readFileSync(owaspReportPath, 'utf-8');
-    const owaspFindings = parseOWASPReport(owaspHtmlContent);
+    const baseline = getAnalysis(ANALYSES_DIR, req.query.baseline);
+    const current = getAnalysis(ANALYSES_DIR, req.query.current);
+    if (!baseline || !current) {
+      return res.status(404).json({ error: `${baseline ? 'Current' : 'Baseline'} analysis not found` });
+    }
+    sendComparison(res, baseline, current, format);
 
-    // Read and parse dependencies.json
-    const dependenciesPath = req.files.dependencies[0].path;
-    const dependenciesContent = fs.readFileSync(dependenciesPath, 'utf-8');
-    let dependencyTree = JSON.parse(dependenciesContent);
-    
-    // Check if it's a package.json format and convert it
-    if (dependencyTree.dependencies && typeof dependencyTree.dependencies === 'object' && !Array.isArray(dependencyTree.dependencies)) {
-      // This is a package.json format, convert it
-      dependencyTree = convertPackageJsonToDependencies(dependencyTree);
+  } catch (error) {
+    console.error('Error comparing analyses:', error);
+    res.status(500).json({ error: 'Failed to compare analyses', message: error.message });
+  }
+});
+
+// API endpoint to compare two scans, each given as a stored analysis id (baselineId, currentId)
+// or as an uploaded report and dependencies file, which are analyzed and stored first
+app.post('/api/compare', upload.fields([
+  { name: 'baselineReport', maxCount: 1 },
+  { name: 'baselineDependencies', maxCount: 1 },
+  { name: 'currentReport', maxCount: 1 },
+  { name: 'currentDependencies', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const format = req.body.format || 'json';
+    if (!COMPARISON_FORMATS.includes(format)) {
+      removeUploads(req);
+      return res.status(400).json({ error: `format must be one of ${COMPARISON_FORMATS.join(', ')}` });
+    }
+
+    const files = req.files || {};
+    const sides = {};
+    for (const side of ['baseline', 'current']) {
+      const id = req.body[`${side}Id`];
+      const report = files[`${side}Report`];
+      const dependencies = files[`${side}Dependencies`];
+      let error = null;
+      if (id && (report || dependencies)) {
+        error = `Give either ${side}Id or ${side} files, not both`;
+      } else if (!id && (!report || !dependencies)) {
+        error = `The ${side} scan needs ${side}Id or both ${side}Report and ${side}Dependencies files`;
+      } else if (id && !getAnalysis(ANALYSES_DIR, id)) {
+        removeUploads(req);
+        return res.status(404).json({ error: `${side === 'baseline' ? 'Baseline' : 'Current'} analysis not found` });
+      }
+      if (error) {
+        removeUploads(req);
+        return res.status(400).json({ error });
+      }
+      sides[side] = id ? { id } : { report: report[0], dependencies: dependencies[0] };
     }
 
-    // Debug logging
-    console.log('OWASP Findings:', JSON.stringify(owaspFindings, null, 2));
-    
-    // Analyze false positives
-    const falsePositives = analyzeFalsePositives(owaspFindings, dependencyTree);
+    // Analyze the uploaded scans; a failure on one side still removes the other side's uploads
+    const uploadOptions = { strict: req.body.strict === 'true' };
+    let baseline;
+    try {
+      baseline = sides.baseline.id
+        ? getAnalysis(ANALYSES_DIR, sides.baseline.id)
+        : await analyzeUploads(req.body.projectName, sides.baseline.report, sides.baseline.dependencies, uploadOptions);
+    } catch (error) {
+      if (!sides.current.id) {
+        fs.unlinkSync(sides.current.report.path);
+        fs.unlinkSync(sides.current.dependencies.path);
+      }
+      throw error;
+    }
+    const current = sides.current.id
+      ? getAnalysis(ANALYSES_DIR, sides.current.id)
+      : await analyzeUploads(req.body.projectName, sides.current.report, sides.current.dependencies, uploadOptions);
+
+    sendComparison(res, baseline, current, format);
+
+  } catch (error) {
+    if (error instanceof AnalysisInputError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error comparing scans:', error);
+    res.status(500).json({ error: 'Failed to compare scans', message: error.message });
+  }
+});
 
-    // Debug logging
-    console.log('False Positives:', JSON.stringify(falsePositives, null, 2));
+// API endpoint for the status of the offline vulnerability data
+app.get('/api/vulndb', (req, res) => {
+  res.json({
+    loaded: vulnerabilityStore !== null,
+    importDirectory: VULNDB_IMPORT_DIR,
+    ...(vulnerabilityStore ? describeVulnerabilityStore(vulnerabilityStore) : {})
+  });
+});
 
-    // Clean up uploaded files
-    fs.unlinkSync(owaspReportPath);
-    fs.unlinkSync(dependenciesPath);
+// API endpoint to rebuild the offline vulnerability data from the import directory
+app.post('/api/vulndb/refresh', (req, res) => {
+  try {
+    if (!fs.existsSync(VULNDB_IMPORT_DIR)) {
+      return res.status(400).json({
+        error: `Import directory ${VULNDB_IMPORT_DIR} does not exist. Put OSV or NVD JSON files there first`
+      });
+    }
 
-    // Return results
+    vulnerabilityStore = refreshVulnerabilityStore(VULNDB_IMPORT_DIR, VULNDB_FILE);
     res.json({
       success: true,
-      falsePositives: falsePositives,
-      summary: {
-        totalOWASPFindings: owaspFindings.length,
-        directFalsePositives: falsePositives.directDependencies.length,
-        nestedFalsePositives: falsePositives.nestedLibraries.length
-      }
+      loaded: true,
+      importDirectory: VULNDB_IMPORT_DIR,
+      ...describeVulnerabilityStore(vulnerabilityStore)
     });
 
   } catch (error) {
-    console.error('Error analyzing files:', error);
-    res.status(500).json({ 
-      error: 'Failed to analyze files', 
-      message: error.message 
+    console.error('Error refreshing vulnerability data:', error);
+    res.status(500).json({
+      error: 'Failed to refresh vulnerability data',
+      message: error.message
     });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// Uploads over the limits are rejected; multer removes what was already written
+app.use((error, req, res, next) => {
+  if (!(error instanceof multer.MulterError)) {
+    return next(error);
+  }
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    const maxSize = req.path === '/api/batches' ? Math.min(UPLOAD_MAX_SIZE, BATCH_MAX_SIZE) : UPLOAD_MAX_SIZE;
+    return res.status(413).json({ error: `${error.field} is larger than ${maxSize / 1024 / 1024} MB` });
+  }
+  if (error.code === 'LIMIT_FILE_COUNT' && req.path === '/api/batches') {
+    return res.status(400).json({ error: `A batch may have at most ${BATCH_MAX_FILES} files` });
+  }
+  res.status(400).json({ error: error.message });
 });
 
+// Start server when run directly; the app is exported for embedding and tests
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
+
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFalsePositives } = require('../lib/analyze');
+
+const node = (name, version, children = [], extra = {}) => ({ name, version, children, ...extra });
+
+test('deduped packages are walked through their expanded subtree, and every path is listed', () => {
+  const tree = {
+    dependencies: [
+      node('express', '4.17.1', [node('body-parser', '1.19.0', [node('qs', '6.7.0')])]),
+      node('superagent', '5.0.0', [node('body-parser', '1.19.0', [], { deduped: true })]),
+      // A cycle is not expanded again
+      node('a', '1.0.0', [node('b', '1.0.0', [node('a', '1.0.0', [], { deduped: true })])])
+    ]
+  };
+  const findings = [{ dependencyName: 'qs', version: '6.7.0', cve: 'CVE-2022-24999', severity: 'HIGH' }];
+  const { confirmed } = analyzeFalsePositives(findings, tree);
+
+  assert.equal(confirmed.length, 1);
+  assert.deepEqual(confirmed[0].paths.map(path => [path.path, path.directDependency]), [
+    ['express > body-parser > qs@6.7.0', 'express'],
+    ['superagent > body-parser > qs@6.7.0', 'superagent']
+  ]);
+  assert.deepEqual(confirmed[0].upgradeDirectDependencies, ['express', 'superagent']);
+  assert.equal(confirmed[0].parentDependency, 'body-parser');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { MAX_EXTRACTED_SIZE, readArchive } = require('../lib/archive');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'archives');
+
+const fixture = fileName => fs.readFileSync(path.join(FIXTURES, fileName));
+
+const LONG_DIR = `services/${'a-very-long-directory-name-'.repeat(5)}/`;
+
+/**
+ * Build a zip archive by hand, so the sizes it declares can lie: entries are
+ * { name, data, method (0 stored, 8 deflated), size (declared, defaults to the real one) }
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, data, method = 8, size = data.length }) => {
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+test('zip archives with stored and deflated entries', async () => {
+  const files = await readArchive(fixture('projects.zip'), 'projects.zip');
+  // Directory entries are left out
+  assert.deepEqual([...files.keys()], ['manifest.yaml', 'web/report.json', 'web/dependencies.json']);
+  assert.match(files.get('manifest.yaml').toString(), /^projects:/);
+  assert.equal(JSON.parse(files.get('web/report.json')).reportSchema, '1.1');
+  assert.equal(files.get('web/dependencies.json').toString().split('\n').length, 21);
+});
+
+test('tar archives with long names: GNU, pax (gzipped) and ustar prefixes', async () => {
+  const gnu = await readArchive(fixture('projects-gnu.tar'), 'projects-gnu.tar');
+  assert.deepEqual([...gnu.keys()], ['manifest.yaml', `${LONG_DIR}report.json`]);
+
+  const pax = await readArchive(fixture('projects-pax.tar.gz'), 'projects-pax.tar.gz');
+  assert.deepEqual([...pax.keys()], ['manifest.yaml', `${LONG_DIR}report.json`]);
+  assert.equal(JSON.parse(pax.get(`${LONG_DIR}report.json`)).reportSchema, '1.1');
+
+  const ustar = await readArchive(fixture('projects-ustar.tar'), 'projects-ustar.tar');
+  assert.deepEqual([...ustar.keys()], ['manifest.yaml', `services/${'b'.repeat(120)}/report.json`]);
+});
+
+test('entries pointing outside the archive are refused', async () => {
+  await assert.rejects(readArchive(fixture('traversal.zip'), 'traversal.zip'),
+    { message: 'Cannot read traversal.zip: ../outside.json points outside the archive' });
+  await assert.rejects(readArchive(fixture('traversal.tar'), 'traversal.tar'),
+    { message: 'Cannot read traversal.tar: web/../../outside.json points outside the archive' });
+});
+
+test('truncated archives are refused', async () => {
+  const zip = fixture('projects.zip');
+  await assert.rejects(readArchive(zip.subarray(0, zip.length - 40), 'cut.zip'), /Cannot read cut\.zip/);
+  await assert.rejects(readArchive(zip.subarray(0, 200), 'cut.zip'), /Cannot read cut\.zip: Not a zip archive/);
+  // Data missing before an intact central directory
+  await assert.rejects(readArchive(Buffer.concat([zip.subarray(0, 100), zip.subarray(zip.length - 250)]), 'cut.zip'),
+    { message: 'Cannot read cut.zip: The archive is truncated' });
+
+  const tar = fixture('projects-ustar.tar');
+  // Inside the second entry's data, and inside its header
+  await assert.rejects(readArchive(tar.subarray(0, 1536 + 10), 'cut.tar'), { message: 'Cannot read cut.tar: The archive is truncated' });
+  await assert.rejects(readArchive(tar.subarray(0, 1024 + 100), 'cut.tar'), { message: 'Cannot read cut.tar: The archive is truncated' });
+
+  const gzip = fixture('projects-pax.tar.gz');
+  await assert.rejects(readArchive(gzip.subarray(0, gzip.length - 20), 'cut.tgz'), /Cannot read cut\.tgz/);
+});
+
+test('decompressed files are capped, whatever size the archive declares', async () => {
+  const zeros = Buffer.alloc(64 * 1024);
+
+  // The declared size is checked before inflating, against MAX_EXTRACTED_SIZE by default
+  const huge = buildZip([{ name: 'huge.json', data: Buffer.from('{}'), size: MAX_EXTRACTED_SIZE + 1 }]);
+  await assert.rejects(readArchive(huge, 'huge.zip'), { message: `Cannot read huge.zip: The files are larger than ${MAX_EXTRACTED_SIZE} bytes once extracted` });
+
+  // A declared size that lies stops inflating at the cap
+  const lying = buildZip([{ name: 'bomb.json', data: zeros, size: 10 }]);
+  await assert.rejects(readArchive(lying, 'bomb.zip', { maxSize: 1024 }), /larger than 1024 bytes once extracted/);
+  assert.equal((await readArchive(lying, 'bomb.zip')).get('bomb.json').length, zeros.length);
+
+  // The cap is on all files together
+  const many = buildZip([
+    { name: 'a.json', data: zeros.subarray(0, 600) },
+    { name: 'b.json', data: zeros.subarray(0, 600), method: 0 }
+  ]);
+  await assert.rejects(readArchive(many, 'many.zip', { maxSize: 1024 }), /larger than 1024 bytes once extracted/);
+  assert.equal((await readArchive(many, 'many.zip', { maxSize: 1200 })).size, 2);
+
+  const tarball = zlib.gzipSync(Buffer.concat([fixture('projects-ustar.tar'), zeros]));
+  await assert.rejects(readArchive(tarball, 'bomb.tgz', { maxSize: 1024 }), /larger than 1024 bytes once extracted/);
+});
+
+test('uploads that are not archives', async () => {
+  await assert.rejects(readArchive(Buffer.from('{"projects": []}'), 'manifest.json'),
+    { message: 'manifest.json is not a zip, tar or tar.gz archive' });
+  assert.equal((await readArchive(buildZip([]), 'empty.zip')).size, 0);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectDependencyFormat, parseDependencyTree, parseProjectIdentity } = require('../lib/dependencies');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'dependencies');
+
+// Detect and parse a fixture the way an upload is: { format, tree, identity }
+function load(fileName) {
+  const content = fs.readFileSync(path.join(FIXTURES, fileName), 'utf-8');
+  const format = detectDependencyFormat(content, fileName);
+  return { format, tree: parseDependencyTree(content, format), identity: parseProjectIdentity(content, format) };
+}
+
+// "name@version" of a node and, nested, of its children
+function summarize(nodes) {
+  return nodes.map(node => (node.children && node.children.length > 0
+    ? { [`${node.name}@${node.version}`]: summarize(node.children) }
+    : `${node.name}@${node.version}`));
+}
+
+test('mvn dependency:tree output', () => {
+  const { format, tree, identity } = load('maven-tree.txt');
+  assert.equal(format, 'maven-tree');
+  assert.deepEqual(summarize(tree.dependencies), [
+    { 'org.springframework:spring-web@5.3.20': ['org.springframework:spring-beans@5.3.20', 'org.springframework:spring-core@5.3.20'] },
+    { 'com.fasterxml.jackson.core:jackson-databind@2.13.4': ['com.fasterxml.jackson.core:jackson-core@2.13.4'] },
+    { 'junit:junit@4.13.2': ['org.hamcrest:hamcrest-core@1.3'] }
+  ]);
+  const [web, databind, junit] = tree.dependencies;
+  assert.equal(web.ecosystem, 'maven');
+  assert.equal(web.scope, 'compile');
+  assert.equal(junit.scope, 'test');
+  // Conflict losers carry the version actually used and the one requested
+  assert.deepEqual([web.children[1].omitted, web.children[1].requestedVersion], ['conflict', '5.3.18']);
+  assert.equal(databind.managedFrom, '2.10.0');
+  assert.deepEqual(identity, { name: 'com.example:app', version: '1.0.0', packageUrl: 'pkg:maven/com.example/app@1.0.0' });
+});
+
+test('mvn dependency:tree dot output', () => {
+  const { format, tree } = load('maven.dot');
+  assert.equal(format, 'maven-dot');
+  // "not-a-coordinate" is left out instead of failing the conversion
+  assert.deepEqual(summarize(tree.dependencies), [
+    { 'org.apache.commons:commons-text@1.9': ['org.apache.commons:commons-lang3@3.11'] },
+    { 'junit:junit@4.13.2': ['org.hamcrest:hamcrest-core@1.3'] }
+  ]);
+  assert.equal(tree.dependencies[1].scope, 'test');
+});
+
+test('mvn dependency:tree tgf output', () => {
+  const { format, tree } = load('maven.tgf');
+  assert.equal(format, 'maven-tgf');
+  assert.deepEqual(summarize(tree.dependencies), [
+    { 'org.apache.commons:commons-text@1.9': ['org.apache.commons:commons-lang3@3.11'] }
+  ]);
+});
+
+test('gradle dependencies output', () => {
+  const { format, tree, identity } = load('gradle.txt');
+  assert.equal(format, 'gradle');
+  // Project dependencies are transparent, failed entries are dropped and a direct dependency
+  // is taken from the first configuration listing it
+  assert.deepEqual(summarize(tree.dependencies), [
+    { 'org.apache.commons:commons-text@1.9': ['org.apache.commons:commons-lang3@3.12.0'] },
+    { 'com.google.guava:guava@31.1-jre': ['com.google.guava:failureaccess@1.0.1'] },
+    'org.slf4j:slf4j-api@1.7.36',
+    { 'ch.qos.logback:logback-classic@1.2.11': ['org.slf4j:slf4j-api@1.7.36'] },
+    { 'junit:junit@4.13.2': ['org.hamcrest:hamcrest-core@1.3'] }
+  ]);
+  assert.deepEqual(tree.dependencies.map(node => node.scope), ['compile', 'compile', 'compile', 'runtime', 'test']);
+  assert.equal(tree.dependencies[0].children[0].requestedVersion, '3.11');
+  assert.equal(identity, null);
+});
+
+test('poetry.lock', () => {
+  const { format, tree } = load('poetry.lock');
+  assert.equal(format, 'poetry-lock');
+  // Packages nothing depends on are the direct ones; the unlocked optional PySocks is left out
+  assert.deepEqual(summarize(tree.dependencies), [
+    { 'requests@2.28.1': ['certifi@2022.9.24', 'urllib3@1.26.12'] },
+    'Py_Test@7.2.0'
+  ]);
+  assert.equal(tree.dependencies[1].purl, 'pkg:pypi/py-test@7.2.0');
+  assert.equal(tree.dependencies[1].dev, true);
+  assert.equal(tree.dependencies[0].dev, undefined);
+});
+
+test('Pipfile.lock', () => {
+  const { format, tree } = load('Pipfile.lock');
+  assert.equal(format, 'pipfile-lock');
+  assert.deepEqual(summarize(tree.dependencies), ['django@4.1.2', 'sqlparse@0.4.3', 'black@22.10.0']);
+  assert.deepEqual(tree.dependencies.map(node => Boolean(node.dev)), [false, false, true]);
+});
+
+test('requirements.txt', () => {
+  const { format, tree } = load('requirements.txt');
+  assert.equal(format, 'requirements');
+  // Pins keep their version, other specifiers are kept as a range, URLs have no version
+  assert.deepEqual(summarize(tree.dependencies),
+    ['Flask@2.2.2', 'Jinja2@3.1.2', 'requests@>=2.25,<3', 'zope.interface@5.5.0', 'mypkg@unknown']);
+  assert.deepEqual(tree.dependencies.map(node => node.purl), [
+    'pkg:pypi/flask@2.2.2', 'pkg:pypi/jinja2@3.1.2', 'pkg:pypi/requests', 'pkg:pypi/zope-interface@5.5.0', 'pkg:pypi/mypkg'
+  ]);
+});
+
+test('go.mod', () => {
+  const { format, tree, identity } = load('go.mod');
+  assert.equal(format, 'go-mod');
+  assert.deepEqual(summarize(tree.dependencies),
+    ['github.com/gin-gonic/gin@v1.8.1', 'golang.org/x/text@v0.3.8', 'gopkg.in/yaml.v3@v3.0.1']);
+  const [gin, text, yaml] = tree.dependencies;
+  assert.equal(gin.indirect, undefined);
+  assert.deepEqual([text.indirect, text.replacedBy], [true, 'golang.org/x/text@v0.3.8']);
+  assert.equal(yaml.purl, 'pkg:golang/gopkg.in/yaml.v3@v3.0.1');
+  assert.deepEqual(identity, { name: 'github.com/example/service', version: null, packageUrl: 'pkg:golang/github.com/example/service' });
+});
+
+test('go mod graph output', () => {
+  const { format, tree } = load('go-mod-graph.txt');
+  assert.equal(format, 'go-mod');
+  // Every module is at its selected (highest) version, and only the selected version's edges count
+  assert.deepEqual(summarize(tree.dependencies), [
+    {
+      'github.com/gin-gonic/gin@v1.8.1': [
+        'golang.org/x/text@v0.3.7',
+        { 'github.com/go-playground/validator/v10@v10.10.0': ['golang.org/x/text@v0.3.7'] }
+      ]
+    },
+    'golang.org/x/text@v0.3.7'
+  ]);
+});
+
+test('NuGet packages.lock.json', () => {
+  const { format, tree } = load('packages.lock.json');
+  assert.equal(format, 'nuget-lock');
+  // Runtime specific graphs repeat the framework's packages and are skipped
+  assert.deepEqual(summarize(tree.dependencies), [
+    'Newtonsoft.Json@13.0.1',
+    { 'Serilog.Sinks.Console@4.1.0': ['Serilog@2.10.0'] },
+    { 'shared@project': ['Newtonsoft.Json@13.0.1'] }
+  ]);
+  assert.equal(tree.dependencies[0].purl, 'pkg:nuget/Newtonsoft.Json@13.0.1');
+});
+
+test('project identity from an SBOM root with a malformed package URL', () => {
+  const sbom = root => JSON.stringify({ bomFormat: 'CycloneDX', specVersion: '1.4', metadata: { component: root }, components: [] });
+  assert.deepEqual(parseProjectIdentity(sbom({ name: 'web', version: '2.0.0', purl: 'not a purl' }), 'cyclonedx'),
+    { name: 'web', version: '2.0.0', packageUrl: null });
+  assert.equal(parseProjectIdentity(sbom({ purl: 'pkg:npm' }), 'cyclonedx'), null);
+  assert.deepEqual(parseProjectIdentity(sbom({ name: 'web', purl: 'pkg:npm/web%zz' }), 'cyclonedx'),
+    { name: 'web', version: null, packageUrl: null });
+  assert.equal(parseProjectIdentity(sbom({ purl: 'pkg:npm/web%zz' }), 'cyclonedx'), null);
+  assert.deepEqual(parseProjectIdentity(sbom({ purl: 'pkg:npm/%40example/web@2.0.0' }), 'cyclonedx'),
+    { name: 'web', version: null, packageUrl: 'pkg:npm/%40example/web@2.0.0' });
+});
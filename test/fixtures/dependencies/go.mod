@@ -0,0 +1,12 @@
+module github.com/example/service
+
+go 1.20
+
+require (
+	github.com/gin-gonic/gin v1.8.1
+	golang.org/x/text v0.3.7 // indirect
+)
+
+require gopkg.in/yaml.v3 v3.0.1 // indirect
+
+replace golang.org/x/text => golang.org/x/text v0.3.8
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runAnalysis } = require('../lib/analyze');
+const { applyPolicy, validatePolicy } = require('../lib/policy');
+
+const ROOT = path.join(__dirname, '..');
+
+// The repository's sample HTML report (no package URLs) against an npm lockfile
+function analyzeHtmlReport(policy) {
+  return runAnalysis(
+    { content: fs.readFileSync(path.join(ROOT, 'test-owasp-report.html'), 'utf-8'), fileName: 'test-owasp-report.html' },
+    { content: fs.readFileSync(path.join(__dirname, 'fixtures', 'dependencies', 'npm-lockfile.json'), 'utf-8'), fileName: 'package-lock.json' },
+    { policy }
+  );
+}
+
+function entries(result) {
+  return [...result.confirmed, ...result.needsReview, ...result.falsePositives.directDependencies, ...result.falsePositives.nestedLibraries];
+}
+
+function finding(overrides) {
+  return {
+    dependencyName: 'lodash',
+    cve: 'CVE-2021-23337',
+    severity: 'HIGH',
+    ecosystem: 'npm',
+    scopes: ['runtime'],
+    status: 'confirmed',
+    reasonCode: 'version_match',
+    ...overrides
+  };
+}
+
+function triage(confirmed) {
+  return { confirmed, falsePositives: { directDependencies: [], nestedLibraries: [] }, needsReview: [] };
+}
+
+test('ecosystem rules match HTML report findings by the ecosystem of the tree', () => {
+  const policy = {
+    rules: [
+      { id: 'review-npm', action: 'force-review', match: { ecosystem: 'npm', status: 'confirmed' } },
+      { id: 'fail-maven', action: 'fail-build', match: { ecosystem: 'maven' } }
+    ]
+  };
+  assert.equal(validatePolicy(policy), null);
+  const result = analyzeHtmlReport(policy);
+
+  const byName = new Map(entries(result).map(entry => [entry.dependencyName || entry.libraryName, entry]));
+  assert.equal(byName.get('express').ecosystem, 'npm');
+  assert.equal(byName.get('express').status, 'needs_review');
+  assert.equal(byName.get('express').reasonCode, 'policy_review');
+  assert.equal(byName.get('qs').reasonCode, 'policy_review');
+  // Not in the tree, so only the report could tell the ecosystem, and it does not
+  assert.equal(byName.get('commons-collections').ecosystem, null);
+  assert.equal(byName.get('commons-collections').policyActions, undefined);
+  assert.deepEqual(result.summary.policy, {
+    name: null, rules: 2, forcedReview: 2, autoAccepted: 0, buildFailures: 0, failed: false
+  });
+});
+
+test('scope conditions match only findings whose every scope is listed', () => {
+  const policy = { rules: [{ id: 'dev-only', action: 'auto-accept', match: { scope: ['dev', 'test'] } }] };
+  const { triage: result, summary } = applyPolicy(triage([
+    finding({ dependencyName: 'dev-only', scopes: ['dev'] }),
+    finding({ dependencyName: 'dev-and-runtime', scopes: ['dev', 'runtime'] }),
+    finding({ dependencyName: 'no-scopes', scopes: [] })
+  ]), policy);
+
+  assert.deepEqual(result.falsePositives.directDependencies.map(entry => entry.dependencyName), ['dev-only']);
+  assert.deepEqual(result.confirmed.map(entry => entry.dependencyName), ['dev-and-runtime', 'no-scopes']);
+  assert.equal(summary.autoAccepted, 1);
+});
+
+test('fail-build rules fail the build only for findings still confirmed or in review', () => {
+  const policy = {
+    rules: [
+      { id: 'accept-test', action: 'auto-accept', match: { scope: 'test' } },
+      { id: 'no-critical', action: 'fail-build', match: { minSeverity: 'critical' } }
+    ]
+  };
+  const { triage: result, summary } = applyPolicy(triage([
+    finding({ dependencyName: 'runtime-critical', severity: 'CRITICAL' }),
+    finding({ dependencyName: 'test-critical', severity: 'CRITICAL', scopes: ['test'] }),
+    finding({ dependencyName: 'runtime-high' })
+  ]), policy);
+
+  assert.deepEqual(result.confirmed.map(entry => entry.dependencyName), ['runtime-critical', 'runtime-high']);
+  assert.equal(summary.buildFailures, 1);
+  assert.equal(summary.failed, true);
+});
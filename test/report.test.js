@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReport } = require('../lib/report');
+
+test('rows whose package URL has a malformed escape are skipped, not fatal', () => {
+  const html = `<table id="summaryTable">
+    <thead><tr><th>Dependency</th><th>Vulnerability IDs</th><th>Package</th><th>Highest Severity</th><th>CVE Count</th></tr></thead>
+    <tbody>
+      <tr><td>qs-6.5.0.tgz</td><td></td><td>pkg:npm/qs@6.5.0</td><td>HIGH</td><td>1</td></tr>
+      <tr><td>broken.tgz</td><td></td><td>pkg:npm/%zz@1.0.0</td><td>HIGH</td><td>1</td></tr>
+    </tbody>
+  </table>`;
+  const { findings, diagnostics } = parseReport(html, 'html');
+
+  assert.deepEqual(findings.map(finding => finding.packageUrl), ['pkg:npm/qs@6.5.0']);
+  assert.equal(diagnostics.skippedRowCount, 1);
+  assert.deepEqual(diagnostics.skippedRows[0], {
+    strategy: 'summary-table', row: 2, text: 'broken.tgz | | pkg:npm/%zz@1.0.0 | HIGH | 1', reason: 'malformed package URL'
+  });
+});
+
+test('JSON reports fall back to the file name when a package URL has a malformed escape', () => {
+  const report = {
+    dependencies: [{
+      fileName: 'broken-1.0.0.jar',
+      packages: [{ id: 'pkg:maven/org.example/%zz@1.0.0' }],
+      vulnerabilities: [{ name: 'CVE-2020-0001', severity: 'HIGH' }]
+    }]
+  };
+  const { findings } = parseReport(JSON.stringify(report), 'json');
+  assert.deepEqual(findings.map(finding => [finding.dependencyName, finding.version, finding.packageUrl]), [['broken', '1.0.0', null]]);
+});
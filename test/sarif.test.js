@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderSarifReport } = require('../lib/sarif');
+
+function entry(overrides) {
+  return {
+    dependencyName: 'qs',
+    reportedVersion: '6.5.0',
+    cve: 'CVE-2022-24999',
+    severity: 'HIGH',
+    cvssV3Score: 7.5,
+    packageUrl: 'pkg:npm/qs@6.5.0',
+    scopes: ['runtime'],
+    ...overrides
+  };
+}
+
+test('only false positives are suppressed; findings that need review stay visible, tagged', () => {
+  const log = renderSarifReport({
+    confirmed: [entry({ status: 'confirmed', reasonCode: 'version_match', reason: 'Version matches' })],
+    falsePositives: {
+      directDependencies: [entry({ cve: 'CVE-2020-0001', status: 'false_positive', reasonCode: 'version_mismatch', reason: 'Version mismatch' })],
+      nestedLibraries: [{ ...entry({ cve: 'CVE-2020-0002', status: 'false_positive', reasonCode: 'not_in_tree', reason: 'Not found' }), dependencyName: undefined, libraryName: 'qs' }]
+    },
+    needsReview: [entry({ cve: 'CVE-2020-0003', status: 'needs_review', reasonCode: 'unknown_version', reason: 'Installed version is unknown' })]
+  }, { manifest: 'package-lock.json' });
+
+  const results = new Map(log.runs[0].results.map(result => [result.ruleId, result]));
+  assert.equal(results.size, 4);
+  assert.equal(results.get('CVE-2022-24999').suppressions, undefined);
+  assert.deepEqual(results.get('CVE-2020-0001').suppressions, [{ kind: 'external', status: 'accepted', justification: 'Version mismatch' }]);
+  assert.equal(results.get('CVE-2020-0002').suppressions[0].status, 'accepted');
+
+  const review = results.get('CVE-2020-0003');
+  assert.equal(review.suppressions, undefined);
+  assert.equal(review.properties.triage, 'needs-review');
+  assert.deepEqual(review.properties.tags, ['needs-review']);
+  assert.equal(results.get('CVE-2022-24999').properties.triage, undefined);
+  assert.equal(review.level, 'error');
+  assert.equal(review.locations[0].physicalLocation.artifactLocation.uri, 'package-lock.json');
+});
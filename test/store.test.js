@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveAnalysis, listAnalyses, getAnalysis, deleteAnalysis } = require('../lib/analyses');
+const { createBatch, saveBatch, listBatches, getBatch } = require('../lib/batches');
+
+test('analyses and batches share one file store, each in its own directory', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const analyses = path.join(directory, 'analyses');
+  const batches = path.join(directory, 'batches');
+
+  const result = { summary: { total: 0, confirmed: 0, falsePositives: 0, needsReview: 0 } };
+  const analysis = saveAnalysis(analyses, { projectName: 'web', report: {}, dependencies: {}, result });
+  assert.equal(getAnalysis(analyses, analysis.id).projectName, 'web');
+  assert.deepEqual(listAnalyses(analyses).map(entry => entry.id), [analysis.id]);
+
+  const batch = createBatch(batches, { fileName: 'projects.zip', projects: [] });
+  batch.status = 'completed';
+  saveBatch(batches, batch);
+  // Saving again replaces the index entry instead of adding one
+  assert.deepEqual(listBatches(batches).map(entry => [entry.id, entry.status]), [[batch.id, 'completed']]);
+  assert.equal(getBatch(batches, batch.id).status, 'completed');
+
+  // Ids that are not UUIDs never reach the file system
+  assert.equal(getAnalysis(analyses, '../batches/index'), null);
+  assert.equal(deleteAnalysis(analyses, '../batches/index'), false);
+  assert.equal(deleteAnalysis(analyses, analysis.id), true);
+  assert.deepEqual(listAnalyses(analyses), []);
+  assert.equal(listBatches(batches).length, 1);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSuppressionXml } = require('../lib/suppression');
+
+function falsePositive(overrides) {
+  return {
+    dependencyName: 'qs',
+    reportedVersion: '6.5.0',
+    cve: 'CVE-2022-24999',
+    reason: 'Installed version 6.7.0 does not match reported version 6.5.0',
+    ...overrides
+  };
+}
+
+function suppress(entries) {
+  return generateSuppressionXml({ directDependencies: entries, nestedLibraries: [] });
+}
+
+test('dependencies are matched by package URL, coordinates, file name, CPE, then a guessed file name', () => {
+  const cpe = 'cpe:2.3:a:qs_project:qs:6.5.0:*:*:*:*:node.js:*:*';
+  // [finding fields, expected matcher, expected rules matching by CPE]
+  const cases = [
+    [{ packageUrl: 'pkg:npm/qs@6.5.0', cpes: [cpe] }, '<packageUrl>pkg:npm/qs@6.5.0</packageUrl>', 0],
+    [{ ecosystem: 'npm', cpes: [cpe] }, '<packageUrl regex="true">^pkg:npm/qs@6\\.5\\.0$</packageUrl>', 0],
+    [{ fileName: 'qs.jar', cpes: [cpe] }, '<filePath regex="true">.*\\bqs\\.jar\\b.*</filePath>', 0],
+    [{ cpes: [cpe] }, `<cpe>${cpe}</cpe>`, 1],
+    [{}, '<filePath regex="true">.*\\bqs\\-6\\.5\\.0\\b.*</filePath>', 0]
+  ];
+  cases.forEach(([overrides, matcher, expectedByCpe]) => {
+    const { xml, byCpe } = suppress([falsePositive(overrides)]);
+    assert.ok(xml.includes(matcher), `${JSON.stringify(overrides)}: ${xml}`);
+    assert.equal(byCpe, expectedByCpe);
+  });
+});
+
+test('CPE rules warn that they suppress every dependency with the CPE', () => {
+  const { xml } = suppress([falsePositive({ cpes: ['cpe:2.3:a:qs_project:qs:6.5.0'], reason: 'Version <6.7.0> & "other"' })]);
+  assert.match(xml, /<notes>Matched by CPE: this suppresses the vulnerabilities for every dependency identified as cpe:2\.3:a:qs_project:qs:6\.5\.0, not only qs\n/);
+  assert.ok(xml.includes('Version &lt;6.7.0&gt; &amp; &quot;other&quot;</notes>'));
+});
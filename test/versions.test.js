@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareVersions, isVersionRange, matchVersion, mavenRangeContains, pep440Satisfies } = require('../lib/versions');
+
+// [a, b, ecosystem, expected sign of compareVersions(a, b)]
+const COMPARISONS = [
+  ['1.2.3', '1.2.10', 'npm', -1],
+  ['2.0.0-rc1', '2.0.0', 'npm', -1],
+  ['2.0.0-alpha', '2.0.0-beta', 'npm', -1],
+  ['v1.4.0', '1.4.0', 'golang', 0],
+  ['v0.0.0-20210711020723-a769d52b0f1a', 'v0.1.0', 'golang', -1],
+  ['1.0-SNAPSHOT', '1.0', 'maven', -1],
+  ['2.3.RELEASE', '2.3', 'maven', 0],
+  ['2.3.Final', '2.3.GA', 'maven', 0],
+  ['1.0-alpha1', '1.0-beta1', 'maven', -1],
+  ['1.0-rc1', '1.0-cr1', 'maven', 0],
+  ['1.0', '1.0-sp1', 'maven', -1],
+  ['1.0.0', '1', 'maven', 0],
+  ['1.10', '1.9', 'maven', 1],
+  ['31.1-jre', '30.0-jre', 'maven', 1],
+  ['13.0.1', '13.0.2', 'nuget', -1],
+  ['1.0.dev1', '1.0a1', 'pypi', -1],
+  ['1.0a1', '1.0rc1', 'pypi', -1],
+  ['1.0rc1', '1.0', 'pypi', -1],
+  ['1.0', '1.0.post1', 'pypi', -1],
+  ['1.0.0', '1.0', 'pypi', 0],
+  ['1!1.0', '2.0', 'pypi', 1]
+];
+
+test('compareVersions orders versions the way their ecosystem does', () => {
+  COMPARISONS.forEach(([a, b, ecosystem, expected]) => {
+    assert.equal(Math.sign(compareVersions(a, b, ecosystem)), expected, `${a} vs ${b} (${ecosystem})`);
+    assert.equal(Math.sign(compareVersions(b, a, ecosystem)), 0 - expected, `${b} vs ${a} (${ecosystem})`);
+  });
+});
+
+test('Maven and NuGet ranges', () => {
+  const compare = (a, b) => compareVersions(a, b, 'maven');
+  const cases = [
+    ['[1.0,2.0)', '1.0', true],
+    ['[1.0,2.0)', '2.0', false],
+    ['(1.0,2.0]', '1.0', false],
+    ['(1.0,2.0]', '2.0', true],
+    ['[1.5]', '1.5', true],
+    ['[1.5]', '1.5.1', false],
+    ['(,1.0],[1.2,)', '1.1', false],
+    ['(,1.0],[1.2,)', '1.3', true],
+    ['[13.0.1, )', '13.0.1', true]
+  ];
+  cases.forEach(([range, version, expected]) => {
+    assert.equal(mavenRangeContains(range, version, compare), expected, `${version} in ${range}`);
+  });
+});
+
+test('PEP 440 specifiers', () => {
+  const cases = [
+    ['2.2.1', '~=2.2', true],
+    ['3.0', '~=2.2', false],
+    ['2.2.5', '~=2.2.0', true],
+    ['2.3.0', '~=2.2.0', false],
+    ['1.4.2', '==1.4.*', true],
+    ['1.5.0', '==1.4.*', false],
+    ['1.5.0', '>=1.2,<2.0', true],
+    ['2.0', '>=1.2,<2.0', false],
+    ['1.3', '!=1.3', false]
+  ];
+  cases.forEach(([version, specifiers, expected]) => {
+    assert.equal(pep440Satisfies(version, specifiers), expected, `${version} against ${specifiers}`);
+  });
+});
+
+test('isVersionRange tells ranges from single versions', () => {
+  assert.equal(isVersionRange('^1.2.0', 'npm'), true);
+  assert.equal(isVersionRange('1.2.x', 'npm'), true);
+  assert.equal(isVersionRange('1.2.0', 'npm'), false);
+  assert.equal(isVersionRange('[1.0,2.0)', 'maven'), true);
+  assert.equal(isVersionRange('1.0-SNAPSHOT', 'maven'), false);
+  assert.equal(isVersionRange('~=2.2', 'pypi'), true);
+  assert.equal(isVersionRange('v1.2.0', 'golang'), false);
+});
+
+test('matchVersion decides whether the installed version is the reported one', () => {
+  // [installed, reported, ecosystem, expected matched]
+  const cases = [
+    ['1.2.3', '1.2.3', 'npm', true],
+    ['1.2.3', '1.2.4', 'npm', false],
+    ['2.0.0-rc1', '2.0.0', 'npm', false],
+    ['^1.2.0', '1.3.0', 'npm', true],
+    ['^1.2.0', '2.0.0', 'npm', false],
+    ['>=1.2 <2', '1.9.9', null, true],
+    ['2.3.RELEASE', '2.3', 'maven', true],
+    ['1.0-SNAPSHOT', '1.0', 'maven', false],
+    ['[1.0,2.0)', '1.5', 'maven', true],
+    ['[1.0,2.0)', '2.0', 'maven', false],
+    ['~=2.2', '2.4', 'pypi', true],
+    ['~=2.2', '3.0', 'pypi', false],
+    ['unknown', '1.0.0', 'npm', null],
+    ['1.0.0', 'unknown', 'npm', null],
+    // Values that are neither a version nor a range cannot be compared
+    ['workspace:*', '1.0.0', 'npm', null],
+    ['latest', '1.0.0', 'npm', null],
+    ['git+https://github.com/example/repo.git', '1.0.0', 'npm', null],
+    ['file:../local', '1.0.0', null, null]
+  ];
+  cases.forEach(([installed, reported, ecosystem, expected]) => {
+    const result = matchVersion(installed, reported, ecosystem);
+    assert.equal(result.matched, expected, `${installed} vs ${reported}: ${result.reason}`);
+    assert.equal(typeof result.reason, 'string');
+  });
+});